@@ -0,0 +1,93 @@
+/**
+ * Converts the node and edge JSON exports into the binary data format
+ * (see src/binaryFormat.js), which loads without JSON parsing.
+ *
+ * Usage:
+ *   node scripts/convertToBinary.js <nodes|edges> <input.json[.gz]> [output]
+ *
+ * The output defaults to the input path with ".json[.gz]" replaced by ".bin".
+ * Give an output ending in ".bin.gz" to gzip it as well. Point
+ * CONFIG.nodeDataUrl / CONFIG.edgeDataUrl at the converted files to use them.
+ * The input is validated first (see src/dataValidation.js): problems are
+ * printed, and errors stop the conversion.
+ *
+ * Example:
+ *   node scripts/convertToBinary.js edges static/data/edges.json.gz
+ */
+
+// This is a Node.js script, not browser code
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { encodeBinaryData } from "../src/binaryFormat.js";
+import {
+  nodesJSONToColumns,
+  edgesJSONToColumns,
+} from "../src/dataTransforms.js";
+import {
+  createReport,
+  formatReport,
+  DataValidationError,
+} from "../src/dataValidation.js";
+
+const [kind, inputPath, outputArg] = process.argv.slice(2);
+
+if (!["nodes", "edges"].includes(kind) || !inputPath) {
+  console.error(
+    "Usage: node scripts/convertToBinary.js " +
+      "<nodes|edges> <input.json[.gz]> [output]"
+  );
+  process.exit(1);
+}
+
+const outputPath =
+  outputArg || inputPath.replace(/\.json(\.gz)?$/i, "") + ".bin";
+
+function readJSON(file) {
+  let contents = fs.readFileSync(file);
+  if (file.endsWith(".gz")) contents = zlib.gunzipSync(contents);
+  return JSON.parse(contents.toString("utf8"));
+}
+
+// Edge ids are stored as integers when possible, otherwise as strings
+function compactIds(ids) {
+  const allIntegers = ids.every(
+    (id) => Number.isInteger(id) && id >= -(2 ** 31) && id < 2 ** 31
+  );
+  return allIntegers ? Int32Array.from(ids) : ids.map(String);
+}
+
+const startTime = Date.now();
+console.log(`Reading ${inputPath}...`);
+const data = readJSON(inputPath);
+
+const report = createReport();
+let columns;
+try {
+  columns =
+    kind === "nodes"
+      ? nodesJSONToColumns(data, report)
+      : edgesJSONToColumns(data, report);
+} catch (error) {
+  if (!(error instanceof DataValidationError)) throw error;
+  console.error(`${inputPath} can't be converted:\n${formatReport(report)}`);
+  process.exit(1);
+}
+if (report.issues.length) {
+  console.warn(formatReport(report));
+}
+if (kind === "edges") columns.ids = compactIds(columns.ids);
+
+let output = encodeBinaryData(kind, data.length, columns);
+if (outputPath.endsWith(".gz")) output = zlib.gzipSync(output, { level: 9 });
+
+fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+fs.writeFileSync(outputPath, output);
+
+const inputSize = fs.statSync(inputPath).size;
+const toMB = (bytes) => (bytes / 1024 / 1024).toFixed(1);
+console.log(
+  `Wrote ${data.length} ${kind} to ${outputPath}: ` +
+    `${toMB(inputSize)} MB -> ${toMB(output.byteLength)} MB ` +
+    `in ${((Date.now() - startTime) / 1000).toFixed(1)} s`
+);
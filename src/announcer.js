@@ -0,0 +1,33 @@
+/**
+ * @file announcer.js
+ * @description Visually hidden live region used to announce changes that are
+ * only visible in the 3D scene (e.g. the selected paper) to screen readers.
+ */
+
+let liveRegion = null;
+
+function getLiveRegion() {
+  if (!liveRegion) {
+    liveRegion = document.createElement("div");
+    liveRegion.id = "screenReaderAnnouncer";
+    liveRegion.className = "visually-hidden";
+    liveRegion.setAttribute("role", "status");
+    liveRegion.setAttribute("aria-live", "polite");
+    liveRegion.setAttribute("aria-atomic", "true");
+    document.body.appendChild(liveRegion);
+  }
+  return liveRegion;
+}
+
+/**
+ * Announce a message to screen readers
+ * @param {string} message - The text to read out
+ */
+export function announce(message) {
+  const region = getLiveRegion();
+  // Clear first so repeating the same message is announced again
+  region.textContent = "";
+  requestAnimationFrame(() => {
+    region.textContent = message;
+  });
+}
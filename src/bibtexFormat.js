@@ -0,0 +1,87 @@
+/**
+ * @file bibtexFormat.js
+ * @description BibTeX writer for the paper export (see exportSubset.js). Free
+ * of DOM dependencies, like the other format modules.
+ *
+ * Authors are stored as "Surname Initials", separated by semicolons, e.g.
+ * "Oberlander TF; Warburton W"; citation keys take the first author's surname
+ * and the year ("oberlander2006").
+ */
+
+/**
+ * Write papers as BibTeX @article entries
+ * @param {Object[]} papers - Paper records of the export (see exportSubset.js)
+ * @returns {string}
+ */
+export function toBibTeX(papers) {
+  const usedKeys = new Map();
+
+  return papers
+    .map((paper) => {
+      const key = createCitationKey(paper, usedKeys);
+      const entries = [
+        ["title", `{${escapeBibTeX(paper.title)}}`],
+        ["author", escapeBibTeX(formatBibTeXAuthors(paper.authors))],
+        ["year", paper.year],
+        ["doi", paper.doi],
+        ["keywords", escapeBibTeX(paper.clusterLabel)],
+        ["note", `Cluster ${paper.cluster}; centrality ${paper.centrality}`],
+      ].filter(([, value]) => value !== "" && value !== undefined);
+
+      const fields = entries
+        .map(([name, value]) => `  ${name} = {${value}}`)
+        .join(",\n");
+      return `@article{${key},\n${fields}\n}`;
+    })
+    .join("\n\n");
+}
+
+// Authors are listed as "Surname Initials", separated by semicolons
+function splitAuthors(authors) {
+  return authors
+    .split(";")
+    .map((author) => author.trim())
+    .filter(Boolean);
+}
+
+// BibTeX expects authors separated by " and "
+function formatBibTeXAuthors(authors) {
+  return splitAuthors(authors).join(" and ");
+}
+
+function escapeBibTeX(text) {
+  return String(text)
+    .replace(/[{}]/g, "")
+    .replace(/([&%$#_])/g, "\\$1");
+}
+
+// Keys look like "smith2010", with a/b/c suffixes for duplicates
+function createCitationKey(paper, usedKeys) {
+  const [firstAuthor = ""] = splitAuthors(paper.authors);
+  // Everything before the initials, e.g. "de Vries" in "de Vries AB"
+  const names = firstAuthor.split(/\s+/);
+  if (names.length > 1 && /^[A-Z.-]{1,6}$/.test(names[names.length - 1])) {
+    names.pop();
+  }
+  const surname = names.join("");
+  const base =
+    (surname
+      .normalize("NFD")
+      .replace(/[^A-Za-z]/g, "")
+      .toLowerCase() || "paper") + paper.year;
+
+  const count = usedKeys.get(base) || 0;
+  usedKeys.set(base, count + 1);
+  return count === 0 ? base : base + suffix(count);
+}
+
+function suffix(count) {
+  let result = "";
+  let n = count;
+  while (n > 0) {
+    n--;
+    result = String.fromCharCode(97 + (n % 26)) + result;
+    n = Math.floor(n / 26);
+  }
+  return result;
+}
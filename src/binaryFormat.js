@@ -0,0 +1,204 @@
+/**
+ * @file binaryFormat.js
+ * @description Versioned binary container for node and edge data, written by
+ * scripts/convertToBinary.js and read by the data pipeline. Each column of the
+ * data (see the column layout in dataTransforms.js) is stored as one section,
+ * so loading is a matter of creating typed array views on the file buffer.
+ *
+ * Layout (little-endian):
+ *   0   magic "SSRB"
+ *   4   uint16 format version
+ *   6   uint16 kind (1 = nodes, 2 = edges)
+ *   8   uint32 item count (nodes or edges)
+ *   12  uint32 section count
+ *   16  section table, 32 bytes per section:
+ *         char[16] name, uint32 type, uint32 byte offset,
+ *         uint32 element count, uint32 reserved
+ *   ... section data, each section aligned to 8 bytes
+ *
+ * String columns are stored as two sections: "<name>" (UTF-8 bytes of all
+ * strings concatenated) and "<name>.offsets" (Uint32, count + 1 offsets in
+ * UTF-16 code units into the decoded text).
+ */
+
+export const FORMAT_VERSION = 1;
+
+const MAGIC = "SSRB";
+const HEADER_SIZE = 16;
+const SECTION_ENTRY_SIZE = 32;
+const SECTION_NAME_LENGTH = 16;
+const ALIGNMENT = 8;
+
+const KINDS = { nodes: 1, edges: 2 };
+
+const TYPES = {
+  1: Float32Array,
+  2: Int32Array,
+  3: Uint32Array,
+  4: Float64Array,
+  5: Uint8Array, // UTF-8 text of a string column
+};
+
+const align = (offset) => Math.ceil(offset / ALIGNMENT) * ALIGNMENT;
+
+function getTypeCode(array) {
+  for (const [code, ArrayType] of Object.entries(TYPES)) {
+    if (array instanceof ArrayType) return Number(code);
+  }
+  throw new Error(`Unsupported column type ${array.constructor.name}`);
+}
+
+/**
+ * Check whether a URL points to a binary data file (.bin or .bin.gz)
+ * @param {string} url - The data URL
+ * @returns {boolean}
+ */
+export function isBinaryDataUrl(url) {
+  return /\.bin(\.gz)?$/i.test(url.split(/[?#]/)[0]);
+}
+
+/**
+ * Encode data columns into a binary file
+ * @param {"nodes"|"edges"} kind - What the columns describe
+ * @param {number} count - Number of nodes or edges
+ * @param {Object} columns - Typed arrays, or arrays of strings
+ * @returns {Uint8Array} The file contents
+ */
+export function encodeBinaryData(kind, count, columns) {
+  const encoder = new TextEncoder();
+  const sections = [];
+
+  for (const [name, column] of Object.entries(columns)) {
+    if (ArrayBuffer.isView(column)) {
+      sections.push({ name, array: column });
+      continue;
+    }
+
+    // String column: text plus offsets into it
+    const offsets = new Uint32Array(column.length + 1);
+    for (let i = 0; i < column.length; i++) {
+      offsets[i + 1] = offsets[i] + String(column[i] ?? "").length;
+    }
+    const text = column.map((value) => String(value ?? "")).join("");
+    sections.push({ name, array: encoder.encode(text) });
+    sections.push({ name: `${name}.offsets`, array: offsets });
+  }
+
+  sections.forEach(({ name }) => {
+    if (name.length > SECTION_NAME_LENGTH) {
+      throw new Error(`Section name "${name}" is too long`);
+    }
+  });
+
+  let offset = align(HEADER_SIZE + sections.length * SECTION_ENTRY_SIZE);
+  sections.forEach((section) => {
+    section.offset = offset;
+    offset = align(offset + section.array.byteLength);
+  });
+
+  const bytes = new Uint8Array(offset);
+  const view = new DataView(bytes.buffer);
+
+  for (let i = 0; i < MAGIC.length; i++) bytes[i] = MAGIC.charCodeAt(i);
+  view.setUint16(4, FORMAT_VERSION, true);
+  view.setUint16(6, KINDS[kind], true);
+  view.setUint32(8, count, true);
+  view.setUint32(12, sections.length, true);
+
+  sections.forEach((section, i) => {
+    const entry = HEADER_SIZE + i * SECTION_ENTRY_SIZE;
+    for (let c = 0; c < section.name.length; c++) {
+      bytes[entry + c] = section.name.charCodeAt(c);
+    }
+    view.setUint32(entry + 16, getTypeCode(section.array), true);
+    view.setUint32(entry + 20, section.offset, true);
+    view.setUint32(entry + 24, section.array.length, true);
+
+    bytes.set(
+      new Uint8Array(
+        section.array.buffer,
+        section.array.byteOffset,
+        section.array.byteLength
+      ),
+      section.offset
+    );
+  });
+
+  return bytes;
+}
+
+/**
+ * Decode a binary file into data columns. Numeric columns are views on the
+ * given buffer, not copies.
+ * @param {ArrayBuffer} buffer - The file contents
+ * @param {"nodes"|"edges"} [expectedKind] - Reject files of another kind
+ * @returns {{kind: string, version: number, count: number, columns: Object}}
+ */
+export function decodeBinaryData(buffer, expectedKind) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+
+  const magic = String.fromCharCode(...bytes.subarray(0, MAGIC.length));
+  if (magic !== MAGIC) {
+    throw new Error("Not a binary data file (bad magic number)");
+  }
+
+  const version = view.getUint16(4, true);
+  if (version > FORMAT_VERSION) {
+    throw new Error(
+      `Binary data version ${version} is newer than the supported ` +
+        `version ${FORMAT_VERSION}`
+    );
+  }
+
+  const kind = Object.keys(KINDS).find(
+    (key) => KINDS[key] === view.getUint16(6, true)
+  );
+  if (expectedKind && kind !== expectedKind) {
+    throw new Error(`Expected ${expectedKind} data but the file has ${kind}`);
+  }
+
+  const count = view.getUint32(8, true);
+  const sectionCount = view.getUint32(12, true);
+  const sections = {};
+
+  for (let i = 0; i < sectionCount; i++) {
+    const entry = HEADER_SIZE + i * SECTION_ENTRY_SIZE;
+    const nameBytes = bytes.subarray(entry, entry + SECTION_NAME_LENGTH);
+    const nameLength = nameBytes.indexOf(0);
+    const name = String.fromCharCode(
+      ...(nameLength === -1 ? nameBytes : nameBytes.subarray(0, nameLength))
+    );
+
+    const ArrayType = TYPES[view.getUint32(entry + 16, true)];
+    if (!ArrayType) {
+      throw new Error(`Unknown type for section "${name}"`);
+    }
+    sections[name] = new ArrayType(
+      buffer,
+      view.getUint32(entry + 20, true),
+      view.getUint32(entry + 24, true)
+    );
+  }
+
+  const decoder = new TextDecoder();
+  const columns = {};
+  for (const [name, array] of Object.entries(sections)) {
+    if (name.endsWith(".offsets")) continue;
+
+    const offsets = sections[`${name}.offsets`];
+    if (!offsets) {
+      columns[name] = array;
+      continue;
+    }
+
+    const text = decoder.decode(array);
+    const strings = new Array(offsets.length - 1);
+    for (let i = 0; i < strings.length; i++) {
+      strings[i] = text.slice(offsets[i], offsets[i + 1]);
+    }
+    columns[name] = strings;
+  }
+
+  return { kind, version, count, columns };
+}
@@ -0,0 +1,486 @@
+/**
+ * @file citationPath.js
+ * @description Citation path between two papers. The start and end papers are
+ * picked from the node info panel of the selected paper (so both clicking and
+ * search results work), then the path is computed over the citation graph,
+ * its edges are highlighted, the papers on it are listed in a side panel and
+ * the camera can fly along the intermediate nodes.
+ *
+ * Two path modes are supported:
+ * - "fewestSteps": breadth-first search, the path with the fewest citations
+ * - "strongest": Dijkstra with cost 1 / weight, preferring heavy edges
+ *
+ * Citations are followed in both directions, so a path may go from a paper to
+ * one it builds on as well as to one that builds on it.
+ */
+
+import * as THREE from "three";
+import { CONFIG } from "./config.js";
+import { nodesMap } from "./nodesLoader.js";
+import { points } from "./nodesCreation.js";
+import { visibilityManager } from "./visibilityManager.js";
+import { neighborhoodExplorer } from "./neighborhoodExplorer.js";
+import { updateNodeInfo } from "./singleNodeSelection.js";
+import { nodeBrightness } from "./nodeBrightness.js";
+import { naturalEasing } from "./video/cameraUtils.js";
+
+const MODES = {
+  fewestSteps: "Fewest steps",
+  strongest: "Strongest links",
+};
+
+class CitationPath {
+  constructor() {
+    this.startIndex = -1;
+    this.endIndex = -1;
+    this.mode = CONFIG.citationPath.defaultMode;
+    this.path = null; // { nodes: number[], edgeIds: number[] } or null
+    this.searched = false;
+    this.tourId = 0;
+    this.camera = null;
+    this.controls = null;
+    this.scene = null;
+    this.ui = {
+      panel: null,
+      content: null,
+    };
+  }
+
+  /**
+   * Initialize the citation path panel
+   * @param {THREE.Camera} camera - The camera object
+   * @param {OrbitControls} controls - The orbit controls
+   * @param {THREE.Scene} scene - The scene object
+   */
+  initialize(camera, controls, scene) {
+    this.camera = camera;
+    this.controls = controls;
+    this.scene = scene;
+    this.createUI();
+
+    window.addEventListener("nodeSelectionChanged", (event) => {
+      this.renderPickButtons(event.detail.index);
+    });
+
+    // The path refers to nodes that have been replaced, or was searched
+    // before the edges of the new graph were in
+    window.addEventListener("graphDataReplaced", () => this.clear());
+    window.addEventListener("graphEdgesReplaced", () => this.clear());
+  }
+
+  setStart(index) {
+    this.startIndex = index;
+    this.update();
+  }
+
+  setEnd(index) {
+    this.endIndex = index;
+    this.update();
+  }
+
+  setMode(mode) {
+    this.mode = mode;
+    this.update();
+  }
+
+  clear() {
+    this.stopTour();
+    this.resetBrightness();
+    this.startIndex = -1;
+    this.endIndex = -1;
+    this.path = null;
+    this.searched = false;
+    visibilityManager.setEdgeFocus("citationPath", null);
+    this.renderPanel();
+  }
+
+  /**
+   * Recompute the path once both ends are set and refresh the scene and panel
+   */
+  update() {
+    this.stopTour();
+    this.resetBrightness();
+    this.path = null;
+    this.searched = false;
+
+    if (this.startIndex !== -1 && this.endIndex !== -1) {
+      const startTime = performance.now();
+      this.path = this.findPath(this.startIndex, this.endIndex, this.mode);
+      this.searched = true;
+      console.log(
+        `Citation path (${this.mode}) ${
+          this.path ? `with ${this.path.nodes.length} papers` : "not found"
+        } in ${(performance.now() - startTime).toFixed(1)} ms`
+      );
+    }
+
+    visibilityManager.setEdgeFocus(
+      "citationPath",
+      this.path ? this.path.edgeIds : null
+    );
+    this.applyHighlight();
+    this.renderPanel();
+  }
+
+  /**
+   * Find a path between two nodes
+   * @param {number} start - Buffer index of the first paper
+   * @param {number} end - Buffer index of the last paper
+   * @param {string} mode - "fewestSteps" or "strongest"
+   * @returns {{nodes: number[], edgeIds: number[]}|null} The path, or null if
+   *   the papers are not connected
+   */
+  findPath(start, end, mode) {
+    // Reuse the adjacency lists built by the neighborhood explorer
+    const adjacency = neighborhoodExplorer.adjacency;
+    if (!adjacency) return null;
+    if (start === end) return { nodes: [start], edgeIds: [] };
+
+    const previous =
+      mode === "strongest"
+        ? this.searchStrongest(adjacency, start, end)
+        : this.searchFewestSteps(adjacency, start, end);
+    if (!previous.has(end)) return null;
+
+    const nodes = [end];
+    const edgeIds = [];
+    let current = end;
+    while (current !== start) {
+      const step = previous.get(current);
+      edgeIds.unshift(step.edgeId);
+      nodes.unshift(step.index);
+      current = step.index;
+    }
+    return { nodes, edgeIds };
+  }
+
+  // Breadth-first search; returns the predecessor of every reached node
+  searchFewestSteps(adjacency, start, end) {
+    const previous = new Map();
+    const visited = new Set([start]);
+    let frontier = [start];
+
+    while (frontier.length > 0 && !visited.has(end)) {
+      const next = [];
+      for (const index of frontier) {
+        for (const link of adjacency.get(index) || []) {
+          if (visited.has(link.index)) continue;
+          visited.add(link.index);
+          previous.set(link.index, { index, edgeId: link.edgeId });
+          next.push(link.index);
+        }
+      }
+      frontier = next;
+    }
+
+    return previous;
+  }
+
+  // Dijkstra with cost 1 / weight; returns the predecessor of every settled node
+  searchStrongest(adjacency, start, end) {
+    const previous = new Map();
+    const cost = new Map([[start, 0]]);
+    const settled = new Set();
+    const queue = new MinHeap();
+    queue.push(start, 0);
+
+    while (queue.size > 0) {
+      const { value: index, priority } = queue.pop();
+      if (settled.has(index)) continue;
+      settled.add(index);
+      if (index === end) break;
+
+      for (const link of adjacency.get(index) || []) {
+        if (settled.has(link.index)) continue;
+        const linkCost = link.weight > 0 ? 1 / link.weight : Infinity;
+        const newCost = priority + linkCost;
+        if (newCost < (cost.get(link.index) ?? Infinity)) {
+          cost.set(link.index, newCost);
+          previous.set(link.index, { index, edgeId: link.edgeId });
+          queue.push(link.index, newCost);
+        }
+      }
+    }
+
+    return previous;
+  }
+
+  applyHighlight() {
+    if (!this.path) return;
+
+    nodeBrightness.setLayer(
+      "citationPath",
+      this.path.nodes.map((index) => [
+        index,
+        CONFIG.citationPath.nodeBrightness,
+      ])
+    );
+  }
+
+  resetBrightness() {
+    nodeBrightness.clearLayer("citationPath");
+  }
+
+  /**
+   * Fly the camera from paper to paper along the current path
+   */
+  async playTour() {
+    if (!this.path) return;
+
+    const tourId = ++this.tourId;
+    const positions = points.geometry.attributes.position.array;
+
+    // Keep the current viewing direction, at a fixed distance from each paper
+    const offset = new THREE.Vector3()
+      .subVectors(this.camera.position, this.controls.target)
+      .normalize()
+      .multiplyScalar(CONFIG.citationPath.cameraDistance);
+
+    for (const index of this.path.nodes) {
+      const target = new THREE.Vector3(
+        positions[index * 3],
+        positions[index * 3 + 1],
+        positions[index * 3 + 2]
+      );
+      const position = target.clone().add(offset);
+
+      await this.flyTo(position, target, CONFIG.citationPath.stepDuration);
+      if (tourId !== this.tourId) return;
+
+      updateNodeInfo({ index }, nodesMap, this.scene);
+      await new Promise((resolve) =>
+        setTimeout(resolve, CONFIG.citationPath.pauseDuration)
+      );
+      if (tourId !== this.tourId) return;
+    }
+  }
+
+  stopTour() {
+    this.tourId++;
+  }
+
+  /**
+   * Move camera position and orbit target together
+   * @returns {Promise} Resolves when the move ends or the tour is stopped
+   */
+  flyTo(position, target, duration) {
+    const tourId = this.tourId;
+    const startPosition = this.camera.position.clone();
+    const startTarget = this.controls.target.clone();
+    const startTime = performance.now();
+
+    return new Promise((resolve) => {
+      const animate = () => {
+        if (tourId !== this.tourId) return resolve();
+
+        const elapsed = performance.now() - startTime;
+        const progress = Math.min(elapsed / duration, 1);
+        const eased = naturalEasing(progress);
+        this.camera.position.lerpVectors(startPosition, position, eased);
+        this.controls.target.lerpVectors(startTarget, target, eased);
+        this.controls.update();
+
+        if (progress < 1) {
+          requestAnimationFrame(animate);
+        } else {
+          resolve();
+        }
+      };
+      animate();
+    });
+  }
+
+  /**
+   * Add "path from / to here" buttons to the node info panel
+   * @param {number} index - Buffer index of the selected node, -1 if none
+   */
+  renderPickButtons(index) {
+    const nodeInfoDiv = document.getElementById("nodeInfoDiv");
+    nodeInfoDiv.querySelector(".citation-path-controls")?.remove();
+    if (index === -1) return;
+
+    const controls = document.createElement("div");
+    controls.className = "citation-path-controls";
+
+    [
+      ["Path from here", () => this.setStart(index)],
+      ["Path to here", () => this.setEnd(index)],
+    ].forEach(([label, onClick]) => {
+      const button = document.createElement("button");
+      button.className = "citation-path-button";
+      button.textContent = label;
+      button.addEventListener("click", (e) => {
+        e.stopPropagation();
+        onClick();
+      });
+      controls.appendChild(button);
+    });
+
+    nodeInfoDiv.appendChild(controls);
+  }
+
+  /**
+   * Create the citation path panel
+   */
+  createUI() {
+    this.ui.panel = document.createElement("div");
+    this.ui.panel.id = "citationPathPanel";
+
+    const header = document.createElement("div");
+    header.className = "citation-path-header";
+
+    const title = document.createElement("span");
+    title.className = "citation-path-title";
+    title.textContent = "Citation Path";
+    header.appendChild(title);
+
+    const clearButton = document.createElement("button");
+    clearButton.className = "citation-path-clear";
+    clearButton.textContent = "Clear";
+    clearButton.title = "Clear the citation path";
+    clearButton.addEventListener("click", () => this.clear());
+    header.appendChild(clearButton);
+
+    this.ui.content = document.createElement("div");
+
+    this.ui.panel.appendChild(header);
+    this.ui.panel.appendChild(this.ui.content);
+    document.body.appendChild(this.ui.panel);
+
+    this.renderPanel();
+  }
+
+  /**
+   * Render the endpoints, mode selection and the papers on the path
+   */
+  renderPanel() {
+    const { panel, content } = this.ui;
+    if (!panel) return;
+
+    panel.style.display =
+      this.startIndex !== -1 || this.endIndex !== -1 ? "block" : "none";
+    content.innerHTML = "";
+
+    content.appendChild(this.createEndpoint("From", this.startIndex));
+    content.appendChild(this.createEndpoint("To", this.endIndex));
+
+    const modeSelect = document.createElement("select");
+    modeSelect.className = "citation-path-mode";
+    Object.entries(MODES).forEach(([value, label]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      option.selected = value === this.mode;
+      modeSelect.appendChild(option);
+    });
+    modeSelect.addEventListener("change", () => this.setMode(modeSelect.value));
+    content.appendChild(modeSelect);
+
+    if (!this.searched) return;
+
+    if (!this.path) {
+      const message = document.createElement("div");
+      message.className = "citation-path-message";
+      message.textContent = "These papers are not connected by citations.";
+      content.appendChild(message);
+      return;
+    }
+
+    const summary = document.createElement("div");
+    summary.className = "citation-path-message";
+    summary.textContent = `${this.path.edgeIds.length} step${
+      this.path.edgeIds.length === 1 ? "" : "s"
+    } · ${this.path.nodes.length} papers`;
+    content.appendChild(summary);
+
+    const list = document.createElement("ol");
+    list.className = "citation-path-list";
+    this.path.nodes.forEach((index) => {
+      const node = nodesMap.get(index);
+      const item = document.createElement("li");
+      item.className = "citation-path-item";
+      item.textContent = `${node.title || "Untitled"} (${node.year})`;
+      item.title = node.clusterLabel || "";
+      item.addEventListener("click", () => {
+        updateNodeInfo({ index }, nodesMap, this.scene);
+      });
+      list.appendChild(item);
+    });
+    content.appendChild(list);
+
+    const tourButton = document.createElement("button");
+    tourButton.className = "citation-path-button";
+    tourButton.textContent = "Fly along path";
+    tourButton.addEventListener("click", () => this.playTour());
+    content.appendChild(tourButton);
+  }
+
+  createEndpoint(label, index) {
+    const row = document.createElement("div");
+    row.className = "citation-path-endpoint";
+    const node = index !== -1 ? nodesMap.get(index) : null;
+    row.textContent = `${label}: ${
+      node ? node.title || "Untitled" : "select a paper"
+    }`;
+    if (!node) row.classList.add("empty");
+    return row;
+  }
+}
+
+/**
+ * Minimal binary heap keyed by priority, used by the Dijkstra search
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(value, priority) {
+    const items = this.items;
+    items.push({ value, priority });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (
+          left < items.length &&
+          items[left].priority < items[smallest].priority
+        ) {
+          smallest = left;
+        }
+        if (
+          right < items.length &&
+          items[right].priority < items[smallest].priority
+        ) {
+          smallest = right;
+        }
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+export const citationPath = new CitationPath();
@@ -0,0 +1,324 @@
+/**
+ * @file clusterDashboard.js
+ * @description Cluster statistics dashboard. For the papers that pass the
+ * current legend selection and year range it shows, per cluster, the paper
+ * count, a publications-per-year sparkline, mean/max centrality, intra- vs
+ * inter-cluster edge counts and the most cited papers, computed from nodesMap
+ * and edgesMap.
+ *
+ * Edges point from the citing paper (source) to the cited paper (target), so a
+ * paper's citation count is the number of edges targeting it in the loaded
+ * network. An edge counts for a cluster when at least one of its endpoints is a
+ * visible paper of that cluster.
+ */
+
+import { CONFIG } from "./config.js";
+import { nodesMap } from "./nodesLoader.js";
+import { edgesMap } from "./edgesLoader.js";
+import { visibilityManager } from "./visibilityManager.js";
+import { getCurrentYearRange } from "./yearSlider.js";
+import {
+  loadClusterLabelTagMap,
+  getClusterLabelTagMap,
+} from "./dataUtils.js";
+import { updateNodeInfo } from "./singleNodeSelection.js";
+import { getDataset, getTagLabel } from "./datasetManifest.js";
+
+export class ClusterDashboard {
+  constructor() {
+    this.modal = null;
+    this.openButton = null;
+    this.closeButton = null;
+    this.summary = null;
+    this.content = null;
+    this.citationCounts = null;
+    this.scene = null;
+  }
+
+  /**
+   * Initialize the dashboard
+   * @param {THREE.Scene} scene - The scene object
+   */
+  initialize(scene) {
+    this.scene = scene;
+    this.modal = document.getElementById("clusterDashboardModal");
+    this.openButton = document.getElementById("clusterDashboardButton");
+    this.closeButton = document.getElementById("clusterDashboardCloseBtn");
+    this.summary = document.getElementById("clusterDashboardSummary");
+    this.content = document.getElementById("clusterDashboardContent");
+
+    if (!this.modal || !this.openButton || !this.closeButton) {
+      console.error("ClusterDashboard: Required elements not found!");
+      return false;
+    }
+
+    this.openButton.addEventListener("click", () => this.show());
+    this.closeButton.addEventListener("click", () => this.hide());
+
+    // Refresh an open dashboard once the visibility manager has applied a change
+    const refresh = () => {
+      if (this.isVisible()) setTimeout(() => this.render(), 0);
+    };
+    window.addEventListener("yearUpdated", refresh);
+    window.addEventListener("clusterVisibilityUpdated", refresh);
+    const resetCitations = () => {
+      this.citationCounts = null;
+      refresh();
+    };
+    window.addEventListener("graphDataReplaced", resetCitations);
+    window.addEventListener("graphEdgesReplaced", resetCitations);
+
+    // Tags are only shown in the dashboard, so don't hold up the initial load
+    const tagMapUrl = getDataset().files.clusterLabelTagMap;
+    if (tagMapUrl) {
+      loadClusterLabelTagMap(tagMapUrl)
+        .then(() => refresh())
+        .catch(() => {});
+    }
+
+    return true;
+  }
+
+  show() {
+    this.modal.style.display = "block";
+    this.render();
+  }
+
+  hide() {
+    this.modal.style.display = "none";
+  }
+
+  isVisible() {
+    return this.modal && this.modal.style.display === "block";
+  }
+
+  /**
+   * Count the citations of every paper once; they don't depend on the filters
+   */
+  buildCitationCounts() {
+    this.citationCounts = new Map();
+    edgesMap.forEach(({ target }) => {
+      const count = this.citationCounts.get(target) || 0;
+      this.citationCounts.set(target, count + 1);
+    });
+  }
+
+  /**
+   * Compute per-cluster statistics for the visible papers
+   * @param {number} fromYear - First year of the range
+   * @param {number} toYear - Last year of the range
+   * @returns {Object[]} One entry per cluster, sorted by paper count
+   */
+  computeStats(fromYear, toYear) {
+    if (!this.citationCounts) this.buildCitationCounts();
+
+    const visibleIndices = visibilityManager.getVisibleNodeIndices();
+    const visible = new Set(visibleIndices);
+    const clusters = new Map();
+
+    visibleIndices.forEach((index) => {
+      const node = nodesMap.get(index);
+      if (!clusters.has(node.cluster)) {
+        clusters.set(node.cluster, {
+          cluster: node.cluster,
+          label: node.clusterLabel,
+          color: node.color,
+          count: 0,
+          centralitySum: 0,
+          maxCentrality: -Infinity,
+          perYear: new Array(toYear - fromYear + 1).fill(0),
+          intraEdges: 0,
+          interEdges: 0,
+          papers: [],
+        });
+      }
+
+      const stats = clusters.get(node.cluster);
+      stats.count++;
+      stats.centralitySum += node.centrality;
+      stats.maxCentrality = Math.max(stats.maxCentrality, node.centrality);
+      if (node.year >= fromYear && node.year <= toYear) {
+        stats.perYear[node.year - fromYear]++;
+      }
+      stats.papers.push(index);
+    });
+
+    edgesMap.forEach(({ source, target }) => {
+      const sourceVisible = visible.has(source);
+      const targetVisible = visible.has(target);
+      if (!sourceVisible && !targetVisible) return;
+
+      const sourceCluster = nodesMap.get(source)?.cluster;
+      const targetCluster = nodesMap.get(target)?.cluster;
+      if (sourceCluster === targetCluster) {
+        clusters.get(sourceCluster).intraEdges++;
+        return;
+      }
+      if (sourceVisible) clusters.get(sourceCluster).interEdges++;
+      if (targetVisible) clusters.get(targetCluster).interEdges++;
+    });
+
+    const tagMap = getClusterLabelTagMap();
+    return Array.from(clusters.values())
+      .map((stats) => ({
+        ...stats,
+        tag: tagMap[stats.cluster]?.[1],
+        meanCentrality: stats.centralitySum / stats.count,
+        topPapers: stats.papers
+          .sort(
+            (a, b) =>
+              (this.citationCounts.get(b) || 0) -
+                (this.citationCounts.get(a) || 0) ||
+              nodesMap.get(b).centrality - nodesMap.get(a).centrality
+          )
+          .slice(0, CONFIG.clusterDashboard.topPapers),
+      }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Render the statistics table
+   */
+  render() {
+    const [fromYear, toYear] = getCurrentYearRange();
+    const stats = this.computeStats(fromYear, toYear);
+    const totalPapers = stats.reduce((sum, s) => sum + s.count, 0);
+
+    this.summary.textContent =
+      `${totalPapers} papers in ${stats.length} clusters, ` +
+      `${fromYear}–${toYear}`;
+    this.content.innerHTML = "";
+
+    const table = document.createElement("table");
+    table.className = "cluster-dashboard-table";
+
+    const headerRow = document.createElement("tr");
+    [
+      "Cluster",
+      "Papers",
+      "Per year",
+      "Mean centrality",
+      "Max centrality",
+      "Intra edges",
+      "Inter edges",
+      "Most cited",
+    ].forEach((heading) => {
+      const th = document.createElement("th");
+      th.textContent = heading;
+      headerRow.appendChild(th);
+    });
+    const thead = document.createElement("thead");
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement("tbody");
+    stats.forEach((clusterStats) => {
+      tbody.appendChild(this.createRow(clusterStats, fromYear));
+    });
+    table.appendChild(tbody);
+
+    this.content.appendChild(table);
+  }
+
+  createRow(stats, fromYear) {
+    const row = document.createElement("tr");
+
+    const clusterCell = document.createElement("td");
+    const swatch = document.createElement("span");
+    swatch.className = "cluster-dashboard-swatch";
+    swatch.style.backgroundColor = `#${stats.color.getHexString()}`;
+    clusterCell.appendChild(swatch);
+    clusterCell.appendChild(
+      document.createTextNode(stats.label || `Cluster ${stats.cluster}`)
+    );
+    if (stats.tag !== undefined) {
+      const tag = document.createElement("span");
+      tag.className = "cluster-dashboard-tag";
+      tag.textContent = getTagLabel(stats.tag);
+      clusterCell.appendChild(tag);
+    }
+    row.appendChild(clusterCell);
+
+    row.appendChild(this.createCell(stats.count));
+
+    const sparklineCell = document.createElement("td");
+    sparklineCell.appendChild(this.createSparkline(stats.perYear, fromYear));
+    row.appendChild(sparklineCell);
+
+    row.appendChild(this.createCell(stats.meanCentrality.toFixed(3)));
+    row.appendChild(this.createCell(stats.maxCentrality.toFixed(3)));
+    row.appendChild(this.createCell(stats.intraEdges));
+    row.appendChild(this.createCell(stats.interEdges));
+
+    const papersCell = document.createElement("td");
+    const list = document.createElement("ol");
+    list.className = "cluster-dashboard-papers";
+    stats.topPapers.forEach((index) => {
+      const node = nodesMap.get(index);
+      const item = document.createElement("li");
+      item.textContent = `${node.title || "Untitled"} (${node.year})`;
+      item.title = `${this.citationCounts.get(index) || 0} citations`;
+      item.addEventListener("click", () => {
+        this.hide();
+        updateNodeInfo({ index }, nodesMap, this.scene);
+      });
+      list.appendChild(item);
+    });
+    papersCell.appendChild(list);
+    row.appendChild(papersCell);
+
+    return row;
+  }
+
+  createCell(text) {
+    const cell = document.createElement("td");
+    cell.className = "cluster-dashboard-number";
+    cell.textContent = text;
+    return cell;
+  }
+
+  /**
+   * Draw publications per year as an SVG polyline
+   * @param {number[]} counts - Paper counts, one per year of the range
+   * @param {number} fromYear - Year of the first count
+   * @returns {SVGElement}
+   */
+  createSparkline(counts, fromYear) {
+    const { sparklineWidth: width, sparklineHeight: height } =
+      CONFIG.clusterDashboard;
+    const svgNamespace = "http://www.w3.org/2000/svg";
+    const svg = document.createElementNS(svgNamespace, "svg");
+    svg.setAttribute("width", width);
+    svg.setAttribute("height", height);
+    svg.setAttribute("class", "cluster-dashboard-sparkline");
+
+    const max = Math.max(1, ...counts);
+    const step = counts.length > 1 ? width / (counts.length - 1) : 0;
+    const polyline = document.createElementNS(svgNamespace, "polyline");
+    polyline.setAttribute(
+      "points",
+      counts
+        .map(
+          (count, i) =>
+            `${(i * step).toFixed(1)},${(
+              height -
+              1 -
+              (count / max) * (height - 2)
+            ).toFixed(1)}`
+        )
+        .join(" ")
+    );
+    svg.appendChild(polyline);
+
+    const peakIndex = counts.indexOf(Math.max(...counts));
+    const title = document.createElementNS(svgNamespace, "title");
+    title.textContent = `Peak: ${counts[peakIndex]} papers in ${
+      fromYear + peakIndex
+    }`;
+    svg.appendChild(title);
+
+    return svg;
+  }
+}
+
+export const clusterDashboard = new ClusterDashboard();
@@ -117,15 +117,47 @@ export const CONFIG = {
   minZoom: 75,
   maxZoom: 50000,
 
-  // File Paths and URLs
+  // Datasets: each manifest lists the data files, year bounds, default camera
+  // and labels of one dataset (see datasetManifest.js). Choose one with the
+  // ?dataset=<id> URL parameter or the dataset picker in the instructions.
+  datasets: {
+    defaultId: "ssri-2025",
+    available: [
+      {
+        id: "ssri-2025",
+        name: "SSRI research (May 2025)",
+        manifestUrl: "data/manifest_2025.json",
+      },
+    ],
+  },
+
+  // File Paths and URLs (data files are only used when no dataset manifest
+  // is configured above)
   nodeDataUrl: "data/nodes_2025-05-13-13-44-03scale2.json",
   edgeDataUrl: "data/smaller_edges_2025-05-13-13-44-03scale2.json.gz",
   clusterColorMapUrl: "data/cluster_color_map_2025.json",
   clusterLabelMapUrl: "data/cluster_label_map_2025.json",
+  clusterLabelTagMapUrl: "data/cluster_label_tag_map_2025.json",
   legendDataUrl: "data/legend_2025.json",
+  topicTreeDataUrl: "data/D3JS_cluster_hierarchy_structure_2025.json",
   nodeTextureUrl: "textures/nodeTexture.png",
   spotlightTextureUrl: "textures/spotlightTexture.png",
 
+  // Data Loading Configuration
+  dataPipeline: {
+    useWorker: true, // Fetch, parse and build buffers in a Web Worker
+    edgeChunkSize: 20000, // Edges per chunk drawn while edges are loading
+  },
+
+  // Offline Support Configuration
+  offline: {
+    enabled: false, // Register the service worker (static/sw.js)
+    serviceWorkerUrl: "sw.js",
+    // Cached data files are kept per dataset version (the manifest's
+    // "version"). This one is for the data files configured in this file.
+    datasetVersion: "2025-05-13",
+  },
+
   // Search Functionality Configuration
   search: {
     resultsLimit: 10, // Maximum number of search results to display
@@ -138,13 +170,83 @@ export const CONFIG = {
       viewOffsetUpward: 0.9, // Upward view offset component (Z in rotated system)
       viewOffsetCenter: 0.5, // Center view offset component
     },
+    index: {
+      useWorker: true, // Build and query the search index in a Web Worker
+      prefixWeight: 0.7, // Score multiplier for words matched by prefix while typing
+      fuzzyWeight: 0.5, // Score multiplier for misspelled words (e.g. "fluoxitine")
+      maxExpansions: 10, // Maximum prefix or fuzzy variants per word
+      fuzzyMinLength: 4, // Words shorter than this are never fuzzy matched
+    },
+    highlight: {
+      matchBrightness: 0.5, // Brightness boost for matches in "show all matches" mode
+      dimBrightness: -0.8, // Brightness of non-matching nodes (-1 is black)
+    },
+  },
+
+  // Citation Neighborhood Configuration
+  neighborhood: {
+    defaultHops: 1, // 1 = direct neighbors only, 2 = also neighbors of neighbors
+    listLimit: 25, // Maximum number of neighbors listed per section
+    neighborBrightness: 0.25, // Highlight for direct neighbors (0-1)
+    dimBrightness: -0.75, // Dimming for nodes outside the neighborhood (-1 = black)
+  },
+
+  // Multi-Selection Working Set Configuration
+  workingSet: {
+    brightness: 0.8, // Highlight for papers in the working set (0-1)
+    maxLassoSelection: 200, // Ask for confirmation when a lasso selects more papers
+  },
+
+  // Cluster Statistics Dashboard Configuration
+  clusterDashboard: {
+    topPapers: 3, // Most cited papers listed per cluster
+    sparklineWidth: 120, // Sparkline size in pixels
+    sparklineHeight: 24,
+  },
+
+  // Hover Tooltip Configuration
+  hoverTooltip: {
+    enabled: true,
+    throttleDelay: 80, // Minimum time between hover raycasts in ms
+    brightness: 0.3, // Soft brightness boost for the hovered node
+  },
+
+  // Citation Path Configuration
+  citationPath: {
+    defaultMode: "fewestSteps", // "fewestSteps" (fewest citations) or "strongest" (highest edge weights)
+    nodeBrightness: 0.6, // Brightness boost for papers on the path
+    cameraDistance: 600, // Camera distance from each paper while flying along the path
+    stepDuration: 1500, // Duration of each camera move in ms
+    pauseDuration: 600, // Pause on each paper in ms
+  },
+
+  // Export Configuration
+  export: {
+    filename: "ssri-papers", // Base filename; the year range and extension are appended
+    networkFilename: "ssri-network", // Base filename of network exports (GraphML, GEXF, CSV)
+  },
+
+  // Shareable URL State Configuration
+  urlState: {
+    enabled: true, // Serialize the current view into the URL hash
+    updateDelay: 300, // Delay in ms before the URL is rewritten after a change
+  },
+
+  // Visibility Fade Configuration
+  visibilityFade: {
+    duration: 600, // Milliseconds papers and edges take to fade in or out when filters change (0 to switch instantly)
   },
 
   // Time Travel Configuration
   timeTravel: {
+    // Year bounds without a dataset manifest (the manifest's "years" win)
     startYear: 1982,
     endYear: 2025,
-    animationSpeed: 750, // Milliseconds between each year step
+    animationSpeed: 750, // Milliseconds between each year step at 1× speed
+    speeds: [0.5, 1, 2, 4], // Playback speeds to choose from
+    mode: "cumulative", // "cumulative" (all years so far) or "window" (the last windowSize years)
+    windowSize: 5, // Years visible in sliding window mode
+    loop: false, // Start over at the end of the range
     maxVisibleNodesWarning: 15000,
     processingDelay: 0, // Delay between batch processing to keep UI responsive
     camera: {
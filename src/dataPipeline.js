@@ -0,0 +1,209 @@
+/**
+ * @file dataPipeline.js
+ * @description Loads node and edge data through the data pipeline worker
+ * (dataPipeline.worker.js), so fetching, decompression, JSON parsing and buffer
+ * building happen off the main thread. Falls back to doing the same work on
+ * the main thread when workers are unavailable or fail to start.
+ *
+ * Data files can be JSON exports or the binary format from binaryFormat.js
+ * (.bin / .bin.gz), chosen by file extension. Results are the typed arrays and
+ * metadata described in dataTransforms.js. Edges are delivered in chunks
+ * through an `onChunk` callback as they are processed.
+ *
+ * JSON data is validated on the way (see dataValidation.js): results carry a
+ * `report` of the problems loaded with a fallback, and invalid data rejects
+ * with a DataValidationError listing every problem found.
+ */
+
+import * as THREE from "three";
+import { CONFIG } from "./config.js";
+import { loadDataColumns } from "./dataUtils.js";
+import { transformNodes, transformEdges } from "./dataTransforms.js";
+import { createReport, DataValidationError } from "./dataValidation.js";
+
+let worker = null;
+let workerFailed = false;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+
+/**
+ * Collect the settings the transforms need, in a form that can be posted to
+ * a worker
+ * @param {Object} clusterColorMap - Cluster ids to THREE.Color
+ * @returns {Object} Options for transformNodes / transformEdges
+ */
+export function getTransformOptions(clusterColorMap) {
+  return {
+    coordinateMultiplier: CONFIG.coordinateMultiplier,
+    liftUpZ: CONFIG.liftUpZ,
+    zCoordinateShift: CONFIG.zCoordinateShift,
+    nodeSize: {
+      min: CONFIG.nodeSize.min,
+      max: CONFIG.nodeSize.max,
+      power: CONFIG.nodeSize.power || 2,
+    },
+    percentage: 1,
+    clustersToLoad: CONFIG.loadClusterSubset ? CONFIG.clustersToLoad : null,
+    clusterColors: Object.fromEntries(
+      Object.entries(clusterColorMap).map(([cluster, color]) => [
+        cluster,
+        color.toArray(),
+      ])
+    ),
+    defaultNodeColor: new THREE.Color(0xcccccc).toArray(),
+    defaultEdgeColor: new THREE.Color(CONFIG.edgeDefaultColor).toArray(),
+    edgeChunkSize: CONFIG.dataPipeline.edgeChunkSize,
+  };
+}
+
+/**
+ * Fetch and transform node or edge data
+ * @param {"nodes"|"edges"} kind - Which transform to run
+ * @param {string} url - Data URL, relative to the page
+ * @param {Object} options - Transform options (see getTransformOptions)
+ * @param {Function} [onProgress] - Called with a status message and the
+ *   fraction done of the current stage (null when unknown)
+ * @param {Function} [onChunk] - Called with each chunk of edges (see
+ *   transformEdges); edge results then only hold edgeCount, totalPoints and
+ *   vertexCount
+ * @returns {Promise<Object>} The transform result, with the validation report
+ *   as `report`
+ */
+export function loadPipelineData(kind, url, options, onProgress, onChunk) {
+  const pipelineWorker = getWorker();
+  if (!pipelineWorker) {
+    return loadOnMainThread(kind, url, options, onProgress, onChunk);
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = ++nextRequestId;
+    pendingRequests.set(id, {
+      kind,
+      url,
+      options,
+      onProgress,
+      onChunk,
+      resolve,
+      reject,
+    });
+    // Relative URLs would otherwise resolve against the worker script
+    pipelineWorker.postMessage({
+      type: "load",
+      id,
+      kind,
+      url: new URL(url, document.baseURI).href,
+      options,
+    });
+  });
+}
+
+function getWorker() {
+  if (worker || workerFailed) return worker;
+  if (!CONFIG.dataPipeline.useWorker || typeof Worker === "undefined") {
+    return null;
+  }
+
+  try {
+    worker = new Worker(new URL("./dataPipeline.worker.js", import.meta.url), {
+      type: "module",
+    });
+    worker.onmessage = handleWorkerMessage;
+    worker.onerror = handleWorkerError;
+  } catch (error) {
+    console.warn("Could not start data pipeline worker:", error);
+    workerFailed = true;
+    worker = null;
+  }
+  return worker;
+}
+
+function handleWorkerMessage(event) {
+  const message = event.data;
+  const request = pendingRequests.get(message.id);
+  if (!request) return;
+
+  if (message.type === "progress") {
+    reportProgress(request.onProgress, message);
+  } else if (message.type === "chunk") {
+    request.onChunk?.(message.chunk);
+  } else if (message.type === "result") {
+    pendingRequests.delete(message.id);
+    message.result.report = message.report;
+    request.resolve(message.result);
+  } else if (message.type === "error") {
+    pendingRequests.delete(message.id);
+    request.reject(
+      message.report
+        ? new DataValidationError(message.report)
+        : new Error(message.message)
+    );
+  }
+}
+
+// The worker script itself failed (e.g. it could not be loaded): finish the
+// outstanding requests on the main thread instead
+function handleWorkerError(error) {
+  console.error("Data pipeline worker failed, loading on main thread:", error);
+  worker.terminate();
+  worker = null;
+  workerFailed = true;
+
+  const requests = Array.from(pendingRequests.values());
+  pendingRequests.clear();
+  requests.forEach((request) => {
+    const { kind, url, options, onProgress, onChunk } = request;
+    loadOnMainThread(kind, url, options, onProgress, onChunk).then(
+      request.resolve,
+      request.reject
+    );
+  });
+}
+
+// Chunks already received from the failed worker are simply sent again from
+// the start, the receiver writes them at their own offsets
+async function loadOnMainThread(kind, url, options, onProgress, onChunk) {
+  const report = createReport();
+  const columns = await loadDataColumns(
+    kind,
+    url,
+    (loaded, total) =>
+      reportProgress(onProgress, {
+        stage: `Downloading ${kind}`,
+        loaded,
+        total,
+        unit: "bytes",
+      }),
+    report
+  );
+  reportProgress(onProgress, {
+    stage: `Processing ${kind}`,
+    loaded: 0,
+    total: null,
+    unit: "items",
+  });
+  const result =
+    kind === "nodes"
+      ? transformNodes(columns, options)
+      : transformEdges(columns, options, null, onChunk, report);
+  result.report = report;
+  return result;
+}
+
+function reportProgress(onProgress, { stage, loaded, total, unit }) {
+  if (!onProgress) return;
+
+  const format =
+    unit === "bytes" ? formatBytes : (count) => count.toLocaleString();
+  let message = `${stage}...`;
+  if (total) {
+    message += ` ${format(loaded)} of ${format(total)}`;
+  } else if (loaded) {
+    message += ` ${format(loaded)}`;
+  }
+  onProgress(message, total ? loaded / total : null);
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,102 @@
+/**
+ * @file dataPipeline.worker.js
+ * @description Web Worker that fetches, decompresses, parses and transforms
+ * node or edge data off the main thread, so the loading screen stays
+ * responsive. Buffers are posted back as transferables. Edges are posted in
+ * chunks as they are processed, so they can be drawn while loading.
+ *
+ * Messages in:
+ *   { type: "load", id, kind: "nodes" | "edges", url, options }
+ * Messages out:
+ *   { type: "progress", id, stage, loaded, total, unit }  unit is "bytes" or
+ *     "items"; total is null when unknown
+ *   { type: "chunk", id, chunk }  edges only, see transformEdges
+ *   { type: "result", id, result, report }  for edges only the counts
+ *     (edgeCount, totalPoints, vertexCount), the buffers were sent in chunks;
+ *     report lists data problems that were loaded with a fallback
+ *   { type: "error", id, message, report }  report lists the problems that
+ *     stopped loading, if the data was invalid
+ */
+
+import { loadDataColumns } from "./dataUtils.js";
+import { createReport } from "./dataValidation.js";
+import {
+  transformNodes,
+  transformEdges,
+  getTransferables,
+} from "./dataTransforms.js";
+
+// Minimum time between two progress messages
+const PROGRESS_INTERVAL = 100;
+
+self.onmessage = async (event) => {
+  const { type, id, kind, url, options } = event.data;
+  if (type !== "load") return;
+
+  let lastProgressTime = 0;
+  const reportProgress = (stage, unit) => (loaded, total) => {
+    const now = performance.now();
+    if (now - lastProgressTime < PROGRESS_INTERVAL && loaded !== total) {
+      return;
+    }
+    lastProgressTime = now;
+    self.postMessage({ type: "progress", id, stage, loaded, total, unit });
+  };
+
+  const report = createReport();
+  try {
+    const columns = await loadDataColumns(
+      kind,
+      url,
+      reportProgress(`Downloading ${kind}`, "bytes"),
+      report
+    );
+    const onItemProgress = reportProgress(`Processing ${kind}`, "items");
+
+    if (kind === "nodes") {
+      const result = transformNodes(columns, options, onItemProgress);
+      self.postMessage(
+        { type: "result", id, result, report },
+        getTransferables(result)
+      );
+      return;
+    }
+
+    const { edgeCount, totalPoints, vertexCount } = transformEdges(
+      columns,
+      options,
+      onItemProgress,
+      (chunk) => {
+        // The chunk holds views on the full buffers: copy just its range
+        const copy = copyChunk(chunk);
+        self.postMessage(
+          { type: "chunk", id, chunk: copy },
+          getTransferables(copy)
+        );
+      },
+      report
+    );
+    self.postMessage({
+      type: "result",
+      id,
+      result: { edgeCount, totalPoints, vertexCount },
+      report,
+    });
+  } catch (error) {
+    self.postMessage({
+      type: "error",
+      id,
+      message: error.message,
+      report: error.report,
+    });
+  }
+};
+
+function copyChunk(chunk) {
+  return Object.fromEntries(
+    Object.entries(chunk).map(([key, value]) => [
+      key,
+      ArrayBuffer.isView(value) ? value.slice() : value,
+    ])
+  );
+}
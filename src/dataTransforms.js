@@ -0,0 +1,541 @@
+/**
+ * @file dataTransforms.js
+ * @description Turns node and edge data into flat typed arrays ready for
+ * THREE.BufferAttributes, plus compact per-item metadata. Free of DOM and
+ * config dependencies so it can run in the data pipeline worker and in the
+ * Node conversion script; all settings are passed in through `options`.
+ *
+ * Data is handled in a column layout, which is also what the binary format
+ * (binaryFormat.js) stores. JSON exports are converted to it first.
+ *
+ * Node columns: nodeIds, clusters, years (Int32), centralities (Float64),
+ *   points (Float32 x, y, z in data coordinates), titles, dois, authors, and
+ *   optionally dates (the `date` as given, "" when unknown or invalid) and
+ *   dateFractions (Float32, how far into its year a paper was published;
+ *   NaN when unknown)
+ * Edge columns: ids (Int32 or strings), sources, targets, years, colorIds
+ *   (Int32, -1 for the default color), weights (Float64), pointOffsets
+ *   (Uint32, edge count + 1, in points), points (Float32 x, y, z)
+ *
+ * Options:
+ *   coordinateMultiplier, liftUpZ, zCoordinateShift  position transform
+ *   nodeSize: { min, max, power }                     centrality to size
+ *   percentage                 fraction of the nodes to load
+ *   clustersToLoad             cluster ids, or null for all clusters
+ *   clusterColors              { [cluster]: [r, g, b] } for nodes and edges
+ *   defaultNodeColor, defaultEdgeColor  [r, g, b]
+ *   edgeChunkSize              edges per chunk when streaming edges
+ */
+
+import * as THREE from "three";
+import {
+  createReport,
+  addIssue,
+  validateNodesJSON,
+  validateEdgesJSON,
+} from "./dataValidation.js";
+
+const X_AXIS = new THREE.Vector3(1, 0, 0);
+
+// Number of progress reports per transform
+const PROGRESS_STEPS = 10;
+
+// Latest publication time within a year. Keeps year + fraction below the
+// next year, also after rounding to a Float32 attribute.
+const MAX_YEAR_FRACTION = 0.998;
+
+// Scale, lift and rotate a data point into scene coordinates
+function transformPoint(x, y, z, options, target) {
+  return target
+    .set(
+      x * options.coordinateMultiplier,
+      y * options.coordinateMultiplier,
+      (z + options.liftUpZ) * options.zCoordinateShift
+    )
+    .applyAxisAngle(X_AXIS, Math.PI / 2);
+}
+
+/**
+ * Undo the position transform, e.g. to export positions in the coordinates
+ * of the data files
+ * @param {THREE.Vector3} position - Scene position
+ * @param {Object} options - See file header
+ * @returns {number[]} [x, y, z] in data coordinates
+ */
+export function toDataPoint(position, options) {
+  const { x, y, z } = position.clone().applyAxisAngle(X_AXIS, -Math.PI / 2);
+  return [
+    x / options.coordinateMultiplier,
+    y / options.coordinateMultiplier,
+    z / options.zCoordinateShift - options.liftUpZ,
+  ];
+}
+
+function isValidNumber(value) {
+  return typeof value === "number" && !isNaN(value) && isFinite(value);
+}
+
+/**
+ * How far into the year a date lies: "2004-03-15" is 0.2, "2004-03" the
+ * middle of March
+ * @param {string} date - ISO date (YYYY-MM-DD or YYYY-MM)
+ * @param {number} year - Publication year of the paper
+ * @returns {number} Fraction from 0 to 1, or NaN when the date is not a day
+ *   or month of that year
+ */
+function parseDateFraction(date, year) {
+  const match = /^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?/.exec(String(date));
+  if (!match || Number(match[1]) !== year) return NaN;
+
+  const month = Number(match[2]) - 1;
+  const monthStart = Date.UTC(year, month, 1);
+  const monthEnd = Date.UTC(year, month + 1, 1);
+  // Midday, or the middle of the month when only the month is known
+  const time = match[3]
+    ? Date.UTC(year, month, Number(match[3]), 12)
+    : (monthStart + monthEnd) / 2;
+  if (month < 0 || month > 11 || time < monthStart || time >= monthEnd) {
+    return NaN;
+  }
+
+  const yearStart = Date.UTC(year, 0, 1);
+  return (time - yearStart) / (Date.UTC(year + 1, 0, 1) - yearStart);
+}
+
+/**
+ * Publication time of every node as a fractional year (year + fraction), so
+ * papers can appear one after another within a year. Dated papers are placed
+ * at their date, the others spread evenly over their year in the order of
+ * the node data.
+ * @param {Int32Array} years - Year of every node
+ * @param {Float32Array} dateFractions - See parseDateFraction, NaN if unknown
+ * @param {number} count - Number of nodes filled in
+ * @returns {Float64Array}
+ */
+function computeNodeTimes(years, dateFractions, count) {
+  const times = new Float64Array(years.length);
+  const undatedByYear = new Map();
+
+  for (let i = 0; i < count; i++) {
+    const fraction = dateFractions[i];
+    if (Number.isNaN(fraction)) {
+      if (!undatedByYear.has(years[i])) undatedByYear.set(years[i], []);
+      undatedByYear.get(years[i]).push(i);
+    } else {
+      times[i] = years[i] + Math.min(fraction, MAX_YEAR_FRACTION);
+    }
+  }
+
+  undatedByYear.forEach((indices, year) => {
+    indices.forEach((index, rank) => {
+      const fraction = (rank + 0.5) / indices.length;
+      times[index] = year + fraction * MAX_YEAR_FRACTION;
+    });
+  });
+  return times;
+}
+
+function createProgressReporter(total, onProgress) {
+  const step = Math.max(1, Math.ceil(total / PROGRESS_STEPS));
+  return (done) => {
+    if (onProgress && done % step === 0) onProgress(done, total);
+  };
+}
+
+/**
+ * Convert the node JSON export into columns
+ * @param {Object[]} data - Parsed node JSON
+ * @param {Object} [report] - Validation report to add problems to (see
+ *   dataValidation.js)
+ * @returns {Object} Node columns
+ * @throws {DataValidationError} When the data is not usable
+ */
+export function nodesJSONToColumns(data, report = createReport()) {
+  validateNodesJSON(data, report);
+  const count = data.length;
+  const columns = {
+    nodeIds: new Int32Array(count),
+    clusters: new Int32Array(count),
+    years: new Int32Array(count),
+    centralities: new Float64Array(count),
+    points: new Float32Array(count * 3),
+    titles: new Array(count),
+    dois: new Array(count),
+    authors: new Array(count),
+    dates: new Array(count).fill(""),
+    dateFractions: new Float32Array(count).fill(NaN),
+  };
+
+  for (let i = 0; i < count; i++) {
+    const node = data[i];
+    if (node.date !== undefined && node.date !== null && node.date !== "") {
+      columns.dateFractions[i] = parseDateFraction(node.date, node.year);
+      if (Number.isNaN(columns.dateFractions[i])) {
+        addIssue(
+          report,
+          "warning",
+          "nodes",
+          "date is not a day or month of the paper's year (placed by order)",
+          `entry ${i}`
+        );
+      } else {
+        columns.dates[i] = String(node.date).trim();
+      }
+    }
+    columns.nodeIds[i] = node.node_index;
+    columns.clusters[i] = node.cluster;
+    columns.years[i] = node.year;
+    columns.centralities[i] = isValidNumber(node.centrality)
+      ? parseFloat(node.centrality.toFixed(5))
+      : 0;
+    columns.points[i * 3] = node.x;
+    columns.points[i * 3 + 1] = node.y;
+    columns.points[i * 3 + 2] = node.z;
+    columns.titles[i] = node.title;
+    columns.dois[i] = node.doi || "";
+    columns.authors[i] = node.authors || "";
+  }
+
+  return columns;
+}
+
+/**
+ * Convert the edge JSON export into columns
+ * @param {Object[]} data - Parsed edge JSON
+ * @param {Object} [report] - Validation report to add problems to
+ * @returns {Object} Edge columns
+ * @throws {DataValidationError} When the data is not usable
+ */
+export function edgesJSONToColumns(data, report = createReport()) {
+  validateEdgesJSON(data, report);
+  const count = data.length;
+  const pointOffsets = new Uint32Array(count + 1);
+  for (let e = 0; e < count; e++) {
+    pointOffsets[e + 1] = pointOffsets[e] + data[e].points.length;
+  }
+
+  const columns = {
+    ids: new Array(count),
+    sources: new Int32Array(count),
+    targets: new Int32Array(count),
+    years: new Int32Array(count),
+    colorIds: new Int32Array(count),
+    weights: new Float64Array(count),
+    pointOffsets,
+    points: new Float32Array(pointOffsets[count] * 3),
+  };
+
+  for (let e = 0; e < count; e++) {
+    const { id, source, target, weight, color, points, year } = data[e];
+    columns.ids[e] = id;
+    columns.sources[e] = source;
+    columns.targets[e] = target;
+    columns.years[e] = year || 0;
+    columns.colorIds[e] = color;
+    columns.weights[e] = weight;
+
+    let p3 = pointOffsets[e] * 3;
+    for (const point of points) {
+      // Invalid coordinates become NaN and are skipped by transformEdges
+      columns.points[p3++] = isValidNumber(point?.x) ? point.x : NaN;
+      columns.points[p3++] = isValidNumber(point?.y) ? point.y : NaN;
+      columns.points[p3++] = isValidNumber(point?.z) ? point.z : NaN;
+    }
+  }
+
+  return columns;
+}
+
+/**
+ * Build node buffers and metadata
+ * @param {Object} columns - Node columns
+ * @param {Object} options - See file header
+ * @param {Function} [onProgress] - Called with (processed, total) nodes
+ * @returns {Object} Typed arrays sized for `total` nodes, of which the first
+ *   `count` are filled: positions, colors, sizes, nodeIds, clusters, years,
+ *   centralities, times (see computeNodeTimes); and string arrays titles,
+ *   dois, authors, dates ("" when unknown)
+ */
+export function transformNodes(columns, options, onProgress) {
+  const total = Math.floor(columns.nodeIds.length * options.percentage);
+  const clustersToLoad = options.clustersToLoad
+    ? new Set(options.clustersToLoad)
+    : null;
+
+  let maxCentrality = -Infinity;
+  let minCentrality = Infinity;
+  for (let i = 0; i < total; i++) {
+    maxCentrality = Math.max(maxCentrality, columns.centralities[i]);
+    minCentrality = Math.min(minCentrality, columns.centralities[i]);
+  }
+
+  const positions = new Float32Array(total * 3);
+  const colors = new Float32Array(total * 3);
+  const sizes = new Float32Array(total);
+  const nodeIds = new Int32Array(total);
+  const clusters = new Int32Array(total);
+  const years = new Int32Array(total);
+  const centralities = new Float64Array(total);
+  const dateFractions = new Float32Array(total).fill(NaN);
+  const titles = [];
+  const dois = [];
+  const authors = [];
+  const dates = [];
+
+  const { min: minSize, max: maxSize, power = 2 } = options.nodeSize;
+  const { points } = columns;
+  const position = new THREE.Vector3();
+  const reportProgress = createProgressReporter(total, onProgress);
+
+  let count = 0;
+  for (let i = 0; i < total; i++) {
+    reportProgress(i);
+    const cluster = columns.clusters[i];
+    if (clustersToLoad && !clustersToLoad.has(cluster)) continue;
+
+    const centrality = columns.centralities[i];
+    const normalizedCentrality =
+      (centrality - minCentrality) / (maxCentrality - minCentrality);
+    transformPoint(
+      points[i * 3],
+      points[i * 3 + 1],
+      points[i * 3 + 2],
+      options,
+      position
+    );
+
+    // Clusters without a color are reported by validateGraph
+    const color = options.clusterColors[cluster] || options.defaultNodeColor;
+
+    const i3 = count * 3;
+    positions[i3] = position.x;
+    positions[i3 + 1] = position.y;
+    positions[i3 + 2] = position.z;
+    colors[i3] = color[0];
+    colors[i3 + 1] = color[1];
+    colors[i3 + 2] = color[2];
+    sizes[count] =
+      minSize + (maxSize - minSize) * Math.pow(normalizedCentrality, power);
+
+    nodeIds[count] = columns.nodeIds[i];
+    clusters[count] = cluster;
+    years[count] = columns.years[i];
+    centralities[count] = centrality;
+    // Binary files written before dates were supported have no dates
+    if (columns.dateFractions) {
+      dateFractions[count] = columns.dateFractions[i];
+    }
+    dates.push(columns.dates ? columns.dates[i] : "");
+    titles.push(columns.titles[i]);
+    dois.push(columns.dois[i]);
+    authors.push(columns.authors[i]);
+    count++;
+  }
+
+  return {
+    total,
+    count,
+    positions,
+    colors,
+    sizes,
+    nodeIds,
+    clusters,
+    years,
+    centralities,
+    times: computeNodeTimes(years, dateFractions, count),
+    titles,
+    dois,
+    authors,
+    dates,
+  };
+}
+
+/**
+ * Build edge buffers and metadata. Every bundled edge becomes a polyline of
+ * line segments between its valid points. Positions are written over the
+ * `points` column, so the columns must not be used afterwards.
+ *
+ * With `onChunk`, finished edges are also handed out every
+ * `options.edgeChunkSize` edges (see getEdgeChunk), so they can be drawn
+ * while the rest is still being processed.
+ * @param {Object} columns - Edge columns
+ * @param {Object} options - See file header
+ * @param {Function} [onProgress] - Called with (processed, total) edges
+ * @param {Function} [onChunk] - Called with each chunk of finished edges
+ * @param {Object} [report] - Validation report for edge colors missing from
+ *   the color map
+ * @returns {Object} Vertex arrays (positions, colors, years), segment indices,
+ *   vertexEdges (position of the edge in edge order for each vertex) and
+ *   per-edge metadata (ids, sources, targets, weights, edgeYears,
+ *   startVertices, endVertices)
+ */
+export function transformEdges(
+  columns,
+  options,
+  onProgress,
+  onChunk,
+  report = createReport()
+) {
+  const { pointOffsets, points } = columns;
+  const edgeCount = pointOffsets.length - 1;
+  const totalPoints = pointOffsets[edgeCount];
+
+  let totalSegments = 0;
+  for (let e = 0; e < edgeCount; e++) {
+    totalSegments += Math.max(0, pointOffsets[e + 1] - pointOffsets[e] - 1);
+  }
+
+  // Valid points are compacted towards the front, so positions can be written
+  // in place: a vertex never lands after the point it comes from
+  const positions = points;
+  const colors = new Float32Array(totalPoints * 3);
+  const years = new Float32Array(totalPoints);
+  const vertexEdges = new Int32Array(totalPoints);
+  const indices = new Uint32Array(totalSegments * 2);
+  const startVertices = new Int32Array(edgeCount);
+  const endVertices = new Int32Array(edgeCount);
+
+  const result = {
+    edgeCount,
+    totalPoints,
+    vertexCount: 0,
+    positions,
+    colors,
+    years,
+    vertexEdges,
+    indices,
+    ids: columns.ids,
+    sources: columns.sources,
+    targets: columns.targets,
+    weights: columns.weights,
+    edgeYears: columns.years,
+    startVertices,
+    endVertices,
+  };
+
+  const vector = new THREE.Vector3();
+  const reportProgress = createProgressReporter(edgeCount, onProgress);
+  const chunkSize = Math.max(1, options.edgeChunkSize || edgeCount);
+  let vertexIndex = 0;
+  let indexCount = 0;
+  let chunkStart = { edge: 0, vertex: 0, index: 0 };
+
+  for (let e = 0; e < edgeCount; e++) {
+    reportProgress(e);
+    const year = columns.years[e];
+    const startVertexIndex = vertexIndex;
+    const edgeColor = getEdgeColor(columns.colorIds[e], options, report);
+
+    for (let p = pointOffsets[e]; p < pointOffsets[e + 1]; p++) {
+      const x = points[p * 3];
+      const y = points[p * 3 + 1];
+      const z = points[p * 3 + 2];
+      if (!isValidNumber(x) || !isValidNumber(y) || !isValidNumber(z)) {
+        continue;
+      }
+
+      transformPoint(x, y, z, options, vector);
+      const i3 = vertexIndex * 3;
+      positions[i3] = vector.x;
+      positions[i3 + 1] = vector.y;
+      positions[i3 + 2] = vector.z;
+      colors[i3] = edgeColor[0];
+      colors[i3 + 1] = edgeColor[1];
+      colors[i3 + 2] = edgeColor[2];
+      years[vertexIndex] = year;
+      vertexEdges[vertexIndex] = e;
+
+      // Connect to the previous valid point of the same edge
+      if (vertexIndex > startVertexIndex) {
+        indices[indexCount++] = vertexIndex - 1;
+        indices[indexCount++] = vertexIndex;
+      }
+      vertexIndex++;
+    }
+
+    startVertices[e] = startVertexIndex;
+    endVertices[e] = vertexIndex - 1;
+
+    if (onChunk && ((e + 1) % chunkSize === 0 || e + 1 === edgeCount)) {
+      const chunkEnd = { edge: e + 1, vertex: vertexIndex, index: indexCount };
+      onChunk(getEdgeChunk(result, totalSegments, chunkStart, chunkEnd));
+      chunkStart = chunkEnd;
+    }
+  }
+
+  result.vertexCount = vertexIndex;
+  // Invalid points leave unused room at the end of the index buffer
+  if (indexCount < indices.length) {
+    result.indices = indices.slice(0, indexCount);
+  }
+  return result;
+}
+
+/**
+ * Views on one range of finished edges. The full sizes (edgeCount,
+ * totalPoints, totalSegments) are included so the receiver can allocate
+ * buffers for all edges when the first chunk arrives.
+ * @returns {Object} edgeStart, vertexStart and indexStart of the range, its
+ *   vertex arrays and indices, and the per-edge metadata of its edges
+ */
+function getEdgeChunk(result, totalSegments, start, end) {
+  const perEdge = (array) =>
+    ArrayBuffer.isView(array)
+      ? array.subarray(start.edge, end.edge)
+      : array.slice(start.edge, end.edge); // string ids
+  const perVertex = (array, itemSize = 1) =>
+    array.subarray(start.vertex * itemSize, end.vertex * itemSize);
+
+  return {
+    edgeCount: result.edgeCount,
+    totalPoints: result.totalPoints,
+    totalSegments,
+    edgeStart: start.edge,
+    vertexStart: start.vertex,
+    indexStart: start.index,
+    positions: perVertex(result.positions, 3),
+    colors: perVertex(result.colors, 3),
+    years: perVertex(result.years),
+    vertexEdges: perVertex(result.vertexEdges),
+    indices: result.indices.subarray(start.index, end.index),
+    ids: perEdge(result.ids),
+    sources: perEdge(result.sources),
+    targets: perEdge(result.targets),
+    weights: perEdge(result.weights),
+    edgeYears: perEdge(result.edgeYears),
+    startVertices: perEdge(result.startVertices),
+    endVertices: perEdge(result.endVertices),
+  };
+}
+
+function getEdgeColor(color, options, report) {
+  if (color === -1) return options.defaultEdgeColor;
+
+  const clusterColor = options.clusterColors[color];
+  if (!clusterColor) {
+    addIssue(
+      report,
+      "warning",
+      "edges",
+      "color is a cluster missing from the color map (default color used)",
+      `cluster ${color}`
+    );
+    return options.defaultEdgeColor;
+  }
+  return clusterColor;
+}
+
+/**
+ * List the typed array buffers of a transform result, for zero-copy transfer
+ * out of a worker. Arrays decoded from a binary file share one buffer, which
+ * must only be listed once.
+ * @param {Object} result - Result of transformNodes or transformEdges
+ * @returns {ArrayBuffer[]}
+ */
+export function getTransferables(result) {
+  const buffers = new Set();
+  Object.values(result).forEach((value) => {
+    if (ArrayBuffer.isView(value)) buffers.add(value.buffer);
+  });
+  return Array.from(buffers);
+}
@@ -1,72 +1,184 @@
 import * as THREE from "three";
+import { ungzip } from "pako";
+import { isBinaryDataUrl, decodeBinaryData } from "./binaryFormat.js";
+import { nodesJSONToColumns, edgesJSONToColumns } from "./dataTransforms.js";
+import {
+  createReport,
+  validateColorMap,
+  validateLabelMap,
+} from "./dataValidation.js";
 
 // Private variables (not exported)
 let clusterLabelMap = {};
 let clusterColorMap = {};
+let clusterLabelTagMap = {};
 
 /**
  * Loads JSON data from a given URL.
  * @param {string} url - The URL to fetch JSON data from.
+ * @param {Function} [onProgress] - Called with (loadedBytes, totalBytes) while
+ *   downloading; totalBytes is null when the size is unknown.
  * @returns {Promise<Object>} The parsed JSON data.
  * @throws Will throw an error if the fetch fails or if the response is not OK.
  */
-export async function loadJSONData(url) {
+export async function loadJSONData(url, onProgress) {
   try {
     const response = await fetch(url);
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
 
-    const contentEncoding = (
-      response.headers.get("content-encoding") || ""
-    ).toLowerCase();
-    const isGzipUrl = url.endsWith(".gz");
-    const alreadyDecodedByBrowser = contentEncoding.includes("gzip");
-
-    // If not a .gz URL or if the browser already decompressed due to Content-Encoding, parse as JSON directly
-    if (!isGzipUrl || alreadyDecodedByBrowser) {
-      return await response.json();
+    // If not gzipped or if the browser already decompressed due to Content-Encoding, parse as JSON directly
+    const arrayBuffer = await readResponse(response, onProgress);
+    if (!needsGunzip(url, response, arrayBuffer)) {
+      return JSON.parse(new TextDecoder().decode(arrayBuffer));
     }
 
-    const arrayBuffer = await response.arrayBuffer();
+    const decompressed = await gunzip(arrayBuffer);
+    return JSON.parse(new TextDecoder().decode(decompressed));
+  } catch (error) {
+    console.error(`Error fetching data from ${url}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Loads binary data from a given URL, decompressing .gz files.
+ * @param {string} url - The URL to fetch the data from.
+ * @param {Function} [onProgress] - Called with (loadedBytes, totalBytes) while
+ *   downloading; totalBytes is null when the size is unknown.
+ * @returns {Promise<ArrayBuffer>} The file contents.
+ * @throws Will throw an error if the fetch fails or if the response is not OK.
+ */
+export async function loadBinaryData(url, onProgress) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
 
-    // Prefer native DecompressionStream if available
-    if (typeof DecompressionStream !== "undefined") {
-      const ds = new DecompressionStream("gzip");
-      const decompressedStream = new Response(
-        new Blob([arrayBuffer]).stream().pipeThrough(ds)
-      );
-      const text = await decompressedStream.text();
-      return JSON.parse(text);
+    const arrayBuffer = await readResponse(response, onProgress);
+    if (!needsGunzip(url, response, arrayBuffer)) {
+      return arrayBuffer;
     }
 
-    // Fallback to pako via CDN to avoid bundling/resolution issues
-    const { ungzip } = await import(
-      /* @vite-ignore */
-      "https://cdn.jsdelivr.net/npm/pako@2.1.0/dist/pako.esm.mjs"
+    const decompressed = await gunzip(arrayBuffer);
+    return decompressed.buffer.slice(
+      decompressed.byteOffset,
+      decompressed.byteOffset + decompressed.byteLength
     );
-    const textDecoder = new TextDecoder();
-    const text = textDecoder.decode(ungzip(new Uint8Array(arrayBuffer)));
-    return JSON.parse(text);
   } catch (error) {
     console.error(`Error fetching data from ${url}:`, error);
     throw error;
   }
 }
 
+/**
+ * Loads node or edge data in the column layout of dataTransforms.js, from
+ * either a JSON export or a binary file (.bin / .bin.gz, see binaryFormat.js).
+ * @param {"nodes"|"edges"} kind - Which data the URL holds.
+ * @param {string} url - The URL to fetch the data from.
+ * @param {Function} [onProgress] - Download progress, see loadJSONData.
+ * @param {Object} [report] - Validation report for problems in JSON data
+ *   (binary files were checked when they were converted).
+ * @returns {Promise<Object>} The data columns.
+ * @throws {DataValidationError} If the JSON data is not usable.
+ */
+export async function loadDataColumns(kind, url, onProgress, report) {
+  if (isBinaryDataUrl(url)) {
+    return decodeBinaryData(await loadBinaryData(url, onProgress), kind)
+      .columns;
+  }
+
+  const data = await loadJSONData(url, onProgress);
+  return kind === "nodes"
+    ? nodesJSONToColumns(data, report)
+    : edgesJSONToColumns(data, report);
+}
+
+// A .gz file still needs decompressing unless the browser already did it
+// because the server sent it with Content-Encoding: gzip. URLs without a file
+// name (blob: URLs of dropped files) are recognized by the gzip magic number.
+function needsGunzip(url, response, arrayBuffer) {
+  const contentEncoding = (
+    response.headers.get("content-encoding") || ""
+  ).toLowerCase();
+  if (contentEncoding.includes("gzip")) return false;
+
+  const isGzipUrl = url.split(/[?#]/)[0].endsWith(".gz");
+  const bytes = new Uint8Array(
+    arrayBuffer,
+    0,
+    Math.min(2, arrayBuffer.byteLength)
+  );
+  return isGzipUrl || (bytes[0] === 0x1f && bytes[1] === 0x8b);
+}
+
+// Read the response body chunk by chunk, reporting the bytes received
+async function readResponse(response, onProgress) {
+  if (!onProgress || !response.body) {
+    return await response.arrayBuffer();
+  }
+
+  // With Content-Encoding the body is decoded by the browser, so
+  // Content-Length (the encoded size) can't be compared to the bytes read
+  const contentLength = Number(response.headers.get("content-length"));
+  const total =
+    contentLength > 0 && !response.headers.get("content-encoding")
+      ? contentLength
+      : null;
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  onProgress(0, total);
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.byteLength;
+    onProgress(loaded, total);
+  }
+
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return bytes.buffer;
+}
+
+async function gunzip(arrayBuffer) {
+  // Prefer native DecompressionStream if available
+  if (typeof DecompressionStream !== "undefined") {
+    const ds = new DecompressionStream("gzip");
+    const decompressedStream = new Response(
+      new Blob([arrayBuffer]).stream().pipeThrough(ds)
+    );
+    return new Uint8Array(await decompressedStream.arrayBuffer());
+  }
+
+  // Bundled fallback, so offline use doesn't depend on a CDN
+  return ungzip(new Uint8Array(arrayBuffer));
+}
+
 /**
  * Loads and processes the cluster color map.
  * @param {string} url - The URL of the cluster color map JSON.
+ * @param {Object} [report] - Validation report to add problems to; invalid
+ *   entries are left out of the map.
  * @returns {Promise<Object>} An object mapping cluster IDs to THREE.Color objects.
  */
-export async function loadClusterColorMap(url) {
+export async function loadClusterColorMap(url, report = createReport()) {
   try {
     const data = await loadJSONData(url);
     clusterColorMap = Object.fromEntries(
-      Object.entries(data).map(([key, value]) => [
-        key,
-        new THREE.Color(value.rgb[0], value.rgb[1], value.rgb[2]),
-      ])
+      validateColorMap(data, report).map((key) => {
+        const { rgb } = data[key];
+        return [key, new THREE.Color(rgb[0], rgb[1], rgb[2])];
+      })
     );
     console.log("Cluster Color Map Successfully Loaded");
     return clusterColorMap;
@@ -79,11 +191,14 @@ export async function loadClusterColorMap(url) {
 /**
  * Loads and processes the cluster label map.
  * @param {string} url - The URL of the cluster label map JSON.
+ * @param {Object} [report] - Validation report to add problems to.
  * @returns {Promise<Object>} The cluster label map object.
  */
-export async function loadClusterLabelMap(url) {
+export async function loadClusterLabelMap(url, report = createReport()) {
   try {
-    clusterLabelMap = await loadJSONData(url);
+    const data = await loadJSONData(url);
+    validateLabelMap(data, report);
+    clusterLabelMap = data;
     console.log("Cluster Label Map Successfully Loaded");
     return clusterLabelMap;
   } catch (error) {
@@ -92,6 +207,22 @@ export async function loadClusterLabelMap(url) {
   }
 }
 
+/**
+ * Loads the cluster label tag map.
+ * @param {string} url - The URL of the cluster label tag map JSON.
+ * @returns {Promise<Object>} An object mapping cluster IDs to [label, tag] pairs.
+ */
+export async function loadClusterLabelTagMap(url) {
+  try {
+    clusterLabelTagMap = await loadJSONData(url);
+    console.log("Cluster Label Tag Map Successfully Loaded");
+    return clusterLabelTagMap;
+  } catch (error) {
+    console.error("Error loading cluster label tag map:", error);
+    throw error;
+  }
+}
+
 /**
  * Retrieves the current cluster color map.
  * @returns {Object} The current cluster color map.
@@ -107,3 +238,11 @@ export function getClusterColorMap() {
 export function getClusterLabelMap() {
   return clusterLabelMap;
 }
+
+/**
+ * Retrieves the current cluster label tag map.
+ * @returns {Object} The current cluster label tag map.
+ */
+export function getClusterLabelTagMap() {
+  return clusterLabelTagMap;
+}
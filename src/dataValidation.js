@@ -0,0 +1,403 @@
+/**
+ * @file dataValidation.js
+ * @description Checks the data files (nodes, edges, cluster color map, cluster
+ * label map, legend) and collects every problem into a validation report,
+ * instead of stopping at the first one. Free of DOM and config dependencies so
+ * it runs in the data pipeline worker, on the main thread and in the Node
+ * conversion script.
+ *
+ * A report is a plain object, so it can be posted from the worker:
+ *   { issues: [{ severity, file, message, count, examples }] }
+ * Issues with the same file and message are merged: `count` is the number of
+ * entries affected and `examples` names the first few of them. "error" issues
+ * stop loading (a DataValidationError is thrown); "warning" issues are
+ * loaded with a fallback that the message describes.
+ */
+
+const MAX_EXAMPLES = 5;
+
+/**
+ * Thrown when the data can't be loaded; `report` lists all problems found
+ */
+export class DataValidationError extends Error {
+  constructor(report) {
+    const errors = report.issues.filter(({ severity }) => severity === "error");
+    super(
+      `Invalid data: ${errors
+        .map(({ file, message }) => `${file}: ${message}`)
+        .join("; ")}`
+    );
+    this.name = "DataValidationError";
+    this.report = report;
+  }
+}
+
+/**
+ * @returns {{issues: Object[]}} An empty report
+ */
+export function createReport() {
+  return { issues: [] };
+}
+
+/**
+ * Record a problem, merged with earlier ones of the same kind
+ * @param {Object} report - The report to add to
+ * @param {"error"|"warning"} severity - Whether loading has to stop
+ * @param {string} file - Which data file, e.g. "nodes"
+ * @param {string} message - What is wrong, the same for every entry affected
+ * @param {string} [example] - Which entry, e.g. "entry 12"
+ */
+export function addIssue(report, severity, file, message, example) {
+  let issue = report.issues.find(
+    (item) => item.file === file && item.message === message
+  );
+  if (!issue) {
+    issue = { severity, file, message, count: 0, examples: [] };
+    report.issues.push(issue);
+  }
+  issue.count++;
+  if (
+    example !== undefined &&
+    issue.examples.length < MAX_EXAMPLES &&
+    !issue.examples.includes(example)
+  ) {
+    issue.examples.push(example);
+  }
+}
+
+/**
+ * Add the issues of another report (e.g. one posted by the worker)
+ * @param {Object} report - The report to add to
+ * @param {Object} [other] - The report to take the issues from
+ */
+export function mergeReport(report, other) {
+  if (!other) return;
+  other.issues.forEach((issue) => {
+    const existing = report.issues.find(
+      (item) => item.file === issue.file && item.message === issue.message
+    );
+    if (!existing) {
+      report.issues.push({ ...issue, examples: [...issue.examples] });
+      return;
+    }
+    existing.count += issue.count;
+    existing.examples = Array.from(
+      new Set([...existing.examples, ...issue.examples])
+    ).slice(0, MAX_EXAMPLES);
+  });
+}
+
+export function hasErrors(report) {
+  return report.issues.some(({ severity }) => severity === "error");
+}
+
+// Stop loading once a file has been checked completely
+function throwIfErrors(report) {
+  if (hasErrors(report)) throw new DataValidationError(report);
+}
+
+/**
+ * Plain text version of a report, for the console and the conversion script
+ * @param {Object} report
+ * @returns {string}
+ */
+export function formatReport(report) {
+  return report.issues
+    .map(({ severity, file, message, count, examples }) => {
+      const where = examples.length ? ` (e.g. ${examples.join(", ")})` : "";
+      return `${severity} in ${file}: ${count} × ${message}${where}`;
+    })
+    .join("\n");
+}
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function checkArray(data, file, report) {
+  if (!Array.isArray(data)) {
+    addIssue(report, "error", file, "the file must contain a JSON array");
+  } else if (!data.length) {
+    addIssue(report, "error", file, "the file contains no entries");
+  }
+  throwIfErrors(report);
+}
+
+/**
+ * Check the node JSON export
+ * @param {Object[]} data - Parsed node JSON
+ * @param {Object} report - Report to add the problems to
+ * @throws {DataValidationError} When nodes can't be placed or filtered
+ */
+export function validateNodesJSON(data, report) {
+  const file = "nodes";
+  checkArray(data, file, report);
+
+  const seen = new Set();
+  data.forEach((node, i) => {
+    const error = (message) =>
+      addIssue(report, "error", file, message, `entry ${i}`);
+    const warn = (message) =>
+      addIssue(report, "warning", file, message, `entry ${i}`);
+    if (!isObject(node)) {
+      error("entry is not an object");
+      return;
+    }
+
+    if (!Number.isInteger(node.node_index)) {
+      error("node_index missing or not an integer");
+    } else if (seen.has(node.node_index)) {
+      error("node_index used more than once");
+    } else {
+      seen.add(node.node_index);
+    }
+
+    if (!isNumber(node.x) || !isNumber(node.y) || !isNumber(node.z)) {
+      error("x, y or z missing or not a number");
+    }
+    if (!Number.isInteger(node.cluster)) {
+      error("cluster missing or not an integer");
+    }
+    if (!Number.isInteger(node.year)) {
+      error("year missing or not an integer");
+    }
+    if (!isNumber(node.centrality)) {
+      warn("centrality missing or not a number (0 used)");
+    }
+    if (typeof node.title !== "string" || !node.title) {
+      warn("title missing");
+    }
+  });
+
+  throwIfErrors(report);
+}
+
+/**
+ * Check the edge JSON export
+ * @param {Object[]} data - Parsed edge JSON
+ * @param {Object} report - Report to add the problems to
+ * @throws {DataValidationError} When edges can't be drawn or linked
+ */
+export function validateEdgesJSON(data, report) {
+  const file = "edges";
+  checkArray(data, file, report);
+
+  data.forEach((edge, i) => {
+    const error = (message) =>
+      addIssue(report, "error", file, message, `entry ${i}`);
+    const warn = (message) =>
+      addIssue(report, "warning", file, message, `entry ${i}`);
+    if (!isObject(edge)) {
+      error("entry is not an object");
+      return;
+    }
+
+    if (!Number.isInteger(edge.source) || !Number.isInteger(edge.target)) {
+      error("source or target missing or not an integer");
+    }
+    if (!Array.isArray(edge.points)) {
+      error("points missing or not an array");
+      return;
+    }
+
+    const validPoints = edge.points.filter(
+      (point) =>
+        isObject(point) &&
+        isNumber(point.x) &&
+        isNumber(point.y) &&
+        isNumber(point.z)
+    ).length;
+    if (validPoints < edge.points.length) {
+      warn("points with missing or NaN coordinates (skipped)");
+    }
+    if (validPoints < 2) {
+      warn("fewer than two valid points (not drawn)");
+    }
+    if (edge.weight !== undefined && !isNumber(edge.weight)) {
+      warn("weight is not a number");
+    }
+  });
+
+  throwIfErrors(report);
+}
+
+/**
+ * Check the cluster color map ({ [cluster]: { rgb: [r, g, b] } }, 0–1)
+ * @param {Object} data - Parsed color map JSON
+ * @param {Object} report - Report to add the problems to
+ * @returns {string[]} Keys of the usable entries
+ * @throws {DataValidationError} When the file is not a map
+ */
+export function validateColorMap(data, report) {
+  const file = "cluster color map";
+  if (!isObject(data)) {
+    addIssue(report, "error", file, "the file must contain a JSON object");
+    throwIfErrors(report);
+  }
+
+  return Object.keys(data).filter((key) => {
+    const rgb = data[key] && data[key].rgb;
+    const valid =
+      Array.isArray(rgb) &&
+      rgb.length === 3 &&
+      rgb.every((value) => isNumber(value) && value >= 0 && value <= 1);
+    if (!valid) {
+      addIssue(
+        report,
+        "warning",
+        file,
+        "rgb must be three numbers from 0 to 1 (cluster shown grey)",
+        `cluster ${key}`
+      );
+    }
+    return valid;
+  });
+}
+
+/**
+ * Check the cluster label map ({ [cluster]: label })
+ * @param {Object} data - Parsed label map JSON
+ * @param {Object} report - Report to add the problems to
+ * @throws {DataValidationError} When the file is not a map
+ */
+export function validateLabelMap(data, report) {
+  const file = "cluster label map";
+  if (!isObject(data)) {
+    addIssue(report, "error", file, "the file must contain a JSON object");
+    throwIfErrors(report);
+  }
+
+  Object.entries(data).forEach(([key, label]) => {
+    if (typeof label !== "string" || !label) {
+      addIssue(report, "warning", file, "label is not text", `cluster ${key}`);
+    }
+  });
+}
+
+/**
+ * Check the legend tree: nested objects whose leaves are arrays of
+ * { [cluster]: label } objects. The rest of the data works without a legend,
+ * so its problems are only warnings.
+ * @param {Object} data - Parsed legend JSON
+ * @param {Object} report - Report to add the problems to
+ * @returns {Set<number>|null} Clusters listed in the legend, or null when
+ *   the file can't be used at all
+ */
+export function validateLegend(data, report) {
+  const file = "legend";
+  if (!isObject(data)) {
+    addIssue(
+      report,
+      "warning",
+      file,
+      "the file must contain a JSON object (legend not shown)"
+    );
+    return null;
+  }
+
+  const clusters = new Set();
+
+  const visit = (item, path) => {
+    if (Array.isArray(item)) {
+      item.forEach((leaf, index) => {
+        if (!isObject(leaf)) {
+          addIssue(
+            report,
+            "warning",
+            file,
+            "list entry is not an object (ignored)",
+            `${path} #${index}`
+          );
+          return;
+        }
+        Object.keys(leaf).forEach((key) => {
+          if (!/^-?\d+$/.test(key)) {
+            addIssue(
+              report,
+              "warning",
+              file,
+              "key is not a cluster id (can't be selected)",
+              `${path}: ${key}`
+            );
+          } else {
+            clusters.add(Number(key));
+          }
+        });
+      });
+    } else if (isObject(item)) {
+      Object.entries(item).forEach(([key, child]) =>
+        visit(child, path ? `${path} / ${key}` : key)
+      );
+    } else {
+      addIssue(
+        report,
+        "warning",
+        file,
+        "entry is neither a group nor a list of clusters",
+        path
+      );
+    }
+  };
+  visit(data, "");
+
+  return clusters;
+}
+
+/**
+ * Check how the loaded files fit together: clusters without a color or label,
+ * clusters missing from the legend and edges between nodes that don't exist
+ * @param {Object} graph - nodesMap, edgesMap, clusterColorMap,
+ *   clusterLabelMap and optionally legendClusters (see validateLegend)
+ * @param {Object} report - Report to add the problems to
+ */
+export function validateGraph(graph, report) {
+  const { nodesMap, edgesMap, clusterColorMap, clusterLabelMap } = graph;
+
+  const clusters = new Set();
+  nodesMap.forEach((node) => clusters.add(node.cluster));
+  clusters.forEach((cluster) => {
+    const example = `cluster ${cluster}`;
+    if (!clusterColorMap[cluster]) {
+      addIssue(
+        report,
+        "warning",
+        "nodes",
+        "cluster missing from the color map (shown grey)",
+        example
+      );
+    }
+    if (clusterLabelMap[cluster] === undefined) {
+      addIssue(
+        report,
+        "warning",
+        "nodes",
+        "cluster missing from the label map (shown without a label)",
+        example
+      );
+    }
+    if (graph.legendClusters && !graph.legendClusters.has(cluster)) {
+      addIssue(
+        report,
+        "warning",
+        "legend",
+        "cluster of some papers is not in the legend (can't be filtered)",
+        example
+      );
+    }
+  });
+
+  if (!edgesMap) return;
+  edgesMap.forEach(({ source, target }, id) => {
+    if (!nodesMap.has(source) || !nodesMap.has(target)) {
+      addIssue(
+        report,
+        "warning",
+        "edges",
+        "source or target is not a loaded node (not filtered by cluster)",
+        `edge ${id}`
+      );
+    }
+  });
+}
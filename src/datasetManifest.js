@@ -0,0 +1,212 @@
+/**
+ * @file datasetManifest.js
+ * @description The dataset shown by the viewer: its data files, year bounds,
+ * default camera and label vocabulary, described by a JSON manifest. A
+ * dataset is chosen with the `dataset` URL parameter (an id from
+ * CONFIG.datasets.available, or the URL of a manifest) or with the dataset
+ * picker in the instructions; otherwise CONFIG.datasets.defaultId is shown.
+ * Without any configured datasets the paths and years in config.js are used.
+ *
+ * Manifest format (see static/data/manifest_2025.json):
+ *   id, name       Identifier and display name
+ *   version        Key of the offline cache: change it whenever files change
+ *   files          Paths relative to the manifest. Required: nodes, edges,
+ *                  clusterColorMap, clusterLabelMap, legend. Optional:
+ *                  clusterLabelTagMap, topicTree
+ *   years          { min, max } bounds of the year slider and time travel
+ *   camera         Optional { position: {x, y, z}, target: {x, y, z} }
+ *   labels         Optional { title: page title, tags: { [tag]: name } }
+ */
+
+import { CONFIG } from "./config.js";
+import { loadJSONData } from "./dataUtils.js";
+
+const REQUIRED_FILES = [
+  "nodes",
+  "edges",
+  "clusterColorMap",
+  "clusterLabelMap",
+  "legend",
+];
+
+let dataset = null;
+
+/**
+ * The dataset described by config.js, used when no manifest is configured
+ * @returns {Object} Dataset in the normalized manifest format
+ */
+function getConfigDataset() {
+  return {
+    id: "config",
+    name: document.title,
+    version: CONFIG.offline.datasetVersion,
+    manifestUrl: null,
+    files: {
+      nodes: CONFIG.nodeDataUrl,
+      edges: CONFIG.edgeDataUrl,
+      clusterColorMap: CONFIG.clusterColorMapUrl,
+      clusterLabelMap: CONFIG.clusterLabelMapUrl,
+      clusterLabelTagMap: CONFIG.clusterLabelTagMapUrl,
+      legend: CONFIG.legendDataUrl,
+      topicTree: CONFIG.topicTreeDataUrl,
+    },
+    years: {
+      min: CONFIG.timeTravel.startYear,
+      max: CONFIG.timeTravel.endYear,
+    },
+    camera: {
+      position: CONFIG.cameraPosition,
+      target: CONFIG.cameraTarget,
+    },
+    labels: { title: null, tags: {} },
+  };
+}
+
+// Find the manifest URL for the `dataset` URL parameter or the default
+function getSelectedManifest() {
+  const { available, defaultId } = CONFIG.datasets;
+  const requested = new URLSearchParams(window.location.search).get(
+    "dataset"
+  );
+
+  if (requested) {
+    const entry = available.find(({ id }) => id === requested);
+    // Anything else is taken as the URL of a manifest
+    return entry ? entry.manifestUrl : requested;
+  }
+
+  const entry = available.find(({ id }) => id === defaultId) || available[0];
+  return entry ? entry.manifestUrl : null;
+}
+
+/**
+ * Check a manifest and resolve its file paths
+ * @param {Object} manifest - Parsed manifest JSON
+ * @param {string} manifestUrl - Absolute URL of the manifest
+ * @returns {Object} The dataset
+ * @throws When required fields are missing or invalid
+ */
+function normalizeManifest(manifest, manifestUrl) {
+  const files = manifest.files || {};
+  const missing = REQUIRED_FILES.filter((key) => !files[key]);
+  if (missing.length) {
+    throw new Error(
+      `Dataset manifest ${manifestUrl} is missing files: ${missing.join(", ")}`
+    );
+  }
+
+  const { min, max } = manifest.years || {};
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min > max) {
+    throw new Error(
+      `Dataset manifest ${manifestUrl} needs integer years.min <= years.max`
+    );
+  }
+
+  const defaults = getConfigDataset();
+  return {
+    id: manifest.id || manifestUrl,
+    name: manifest.name || manifest.id || manifestUrl,
+    version: String(manifest.version || manifest.id || manifestUrl),
+    manifestUrl,
+    files: Object.fromEntries(
+      Object.entries(files).map(([key, path]) => [
+        key,
+        new URL(path, manifestUrl).href,
+      ])
+    ),
+    years: { min, max },
+    camera: {
+      position: manifest.camera?.position || defaults.camera.position,
+      target: manifest.camera?.target || defaults.camera.target,
+    },
+    labels: {
+      title: manifest.labels?.title || null,
+      tags: manifest.labels?.tags || {},
+    },
+  };
+}
+
+/**
+ * Load the selected dataset manifest. Must finish before the scene is
+ * created, as the camera and data files come from it.
+ * @returns {Promise<Object>} The dataset
+ */
+export async function loadDataset() {
+  const manifestUrl = getSelectedManifest();
+  if (!manifestUrl) {
+    dataset = getConfigDataset();
+    return dataset;
+  }
+
+  const absoluteUrl = new URL(manifestUrl, document.baseURI).href;
+  const manifest = await loadJSONData(absoluteUrl);
+  dataset = normalizeManifest(manifest, absoluteUrl);
+  console.log(`Dataset "${dataset.name}" (version ${dataset.version})`);
+  return dataset;
+}
+
+/**
+ * The current dataset (the config.js dataset until loadDataset has finished)
+ * @returns {Object}
+ */
+export function getDataset() {
+  return dataset || getConfigDataset();
+}
+
+/**
+ * Display name for a cluster tag, from the dataset's label vocabulary
+ * @param {number|string} tag - Tag from the cluster label tag map
+ * @returns {string}
+ */
+export function getTagLabel(tag) {
+  return getDataset().labels.tags[tag] || `tag ${tag}`;
+}
+
+/**
+ * Switch to another dataset. The page is reloaded with the new `dataset`
+ * parameter; the view state in the hash belongs to the old dataset and is
+ * dropped.
+ * @param {string} idOrUrl - Dataset id or manifest URL
+ */
+export function selectDataset(idOrUrl) {
+  const url = new URL(window.location.href);
+  url.searchParams.set("dataset", idOrUrl);
+  url.hash = "";
+  window.location.assign(url.href);
+}
+
+/**
+ * Apply the dataset title and fill the dataset picker in the instructions.
+ * The picker is only shown when there is more than one dataset to choose.
+ */
+export function initializeDatasetPicker() {
+  const current = getDataset();
+  if (current.labels.title) {
+    document.title = current.labels.title;
+  }
+
+  const section = document.getElementById("datasetPickerSection");
+  const picker = document.getElementById("datasetPicker");
+  if (!section || !picker) return;
+
+  const options = CONFIG.datasets.available.map(({ id, name }) => ({
+    value: id,
+    name,
+  }));
+  // A manifest opened by URL is not in the list
+  const currentId = new URLSearchParams(window.location.search).get("dataset");
+  if (currentId && !options.some(({ value }) => value === currentId)) {
+    options.push({ value: currentId, name: current.name });
+  }
+  if (options.length < 2) return;
+
+  options.forEach(({ value, name }) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = name;
+    picker.appendChild(option);
+  });
+  picker.value = currentId || CONFIG.datasets.defaultId;
+  picker.addEventListener("change", () => selectDataset(picker.value));
+  section.hidden = false;
+}
@@ -6,16 +6,33 @@
 
 import * as THREE from "three";
 import { CONFIG } from "./config.js";
-
-// Custom shaders that respect the visibility attribute
+import {
+  filterUniforms,
+  filterShaderChunk,
+  getClusterSlot,
+} from "./gpuFilters.js";
+
+// Custom shaders that respect the visibility attribute and the year, cluster
+// and time travel filters (see gpuFilters.js)
 const VertexShaderEdge = `
   attribute float visible;
+  attribute float fadeStart;
+  attribute vec2 timeRange;
+  attribute vec2 clusterSlots;
+  uniform bool uFiltersReady;
   varying vec3 vColor;
   varying float vVisible;
-
+${filterShaderChunk}
   void main() {
     vColor = color; // Use the existing color attribute that THREE.js provides
-    vVisible = visible;
+    vVisible = fadeVisible(visible, fadeStart);
+    // An edge passes when both its papers do
+    if (uFiltersReady) {
+      vVisible *=
+        passesYear(floor(timeRange.x)) * passesYear(floor(timeRange.y));
+      vVisible *= passesTimeWindow(timeRange.x, timeRange.y);
+      vVisible *= passesCluster(clusterSlots.x) * passesCluster(clusterSlots.y);
+    }
     gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
   }
 `;
@@ -27,19 +44,21 @@ const FragmentShaderEdge = `
   varying float vVisible;
 
   void main() {
-    if (vVisible < 0.5) discard; // Skip invisible segments
-    gl_FragColor = vec4(vColor * brightness, opacity);
+    if (vVisible <= 0.0) discard; // Skip invisible segments
+    gl_FragColor = vec4(vColor * brightness, opacity * vVisible);
   }
 `;
 
 let lineSegments;
 
-export function createEdges(edgesGeometry, edgesMap, nodesMap, edgeIndices) {
-  console.log(`Creating optimized edge rendering with ${edgesMap.size} edges`);
-
-  // We're now working with a pre-built geometry with indices already set
-  // We just need to create the material and LineSegments object
-
+/**
+ * Create the LineSegments object for the edge geometry. Called as soon as the
+ * first edges arrive, so they are drawn while the rest are still loading;
+ * createEdges completes the object once all edges are in.
+ * @param {THREE.BufferGeometry} edgesGeometry - Geometry from edgesLoader.js
+ * @returns {THREE.LineSegments}
+ */
+export function createEdgeObject(edgesGeometry) {
   const material = new THREE.ShaderMaterial({
     vertexShader: VertexShaderEdge,
     fragmentShader: FragmentShaderEdge,
@@ -48,6 +67,10 @@ export function createEdges(edgesGeometry, edgesMap, nodesMap, edgeIndices) {
       brightness: { value: CONFIG.edgeBrightness },
       saturation: { value: CONFIG.shaderEffects.edges.saturation },
       glowIntensity: { value: CONFIG.shaderEffects.edges.glowIntensity },
+      // Streamed edges are drawn unfiltered until createEdges has filled in
+      // their publication times and cluster slots
+      uFiltersReady: { value: false },
+      ...filterUniforms,
     },
     transparent: true,
     vertexColors: true,
@@ -56,6 +79,22 @@ export function createEdges(edgesGeometry, edgesMap, nodesMap, edgeIndices) {
   // Create the LineSegments with our existing geometry
   lineSegments = new THREE.LineSegments(edgesGeometry, material);
   lineSegments.name = "edges";
+  lineSegments.userData.edgeData = [];
+  // The bounds are only known once every edge has arrived
+  lineSegments.frustumCulled = false;
+
+  return lineSegments;
+}
+
+export function createEdges(edgesGeometry, edgesMap, nodesMap, edgeIndices) {
+  console.log(`Creating optimized edge rendering with ${edgesMap.size} edges`);
+
+  // We're now working with a pre-built geometry with indices already set
+  // We just need the LineSegments object, which may exist already
+  if (!lineSegments || lineSegments.geometry !== edgesGeometry) {
+    createEdgeObject(edgesGeometry);
+  }
+  lineSegments.frustumCulled = true;
 
   // Store edge metadata for later use
   const edgeData = [];
@@ -105,6 +144,11 @@ export function createEdges(edgesGeometry, edgesMap, nodesMap, edgeIndices) {
         visibilityArray[j] = 1;
       }
 
+      const minYear =
+        sourceNode && targetNode
+          ? Math.min(sourceNode.year, targetNode.year)
+          : edgeYear;
+
       // Store edge data for reference
       edgeData.push({
         id: edgeId,
@@ -114,7 +158,8 @@ export function createEdges(edgesGeometry, edgesMap, nodesMap, edgeIndices) {
         endIndex: endVertexIndex,
         year: edgeYear,
         maxYear: edgeYear,
-        minYear: sourceNode && targetNode ? Math.min(sourceNode.year, targetNode.year) : edgeYear
+        minYear,
+        ...getEdgeTimes(sourceNode, targetNode, minYear, edgeYear),
       });
 
       // Check if edge is colored (non-default color)
@@ -152,77 +197,75 @@ export function createEdges(edgesGeometry, edgesMap, nodesMap, edgeIndices) {
       const sourceNode = nodesMap.get(sourceNodeId);
       const targetNode = nodesMap.get(targetNodeId);
 
+      const maxYear =
+        year ||
+        (sourceNode && targetNode
+          ? Math.max(sourceNode.year, targetNode.year)
+          : 0);
+      const minYear =
+        sourceNode && targetNode
+          ? Math.min(sourceNode.year, targetNode.year)
+          : year || 0;
+
       edgeData.push({
         id: edgeId,
         sourceCluster: sourceNode ? sourceNode.cluster : null,
         targetCluster: targetNode ? targetNode.cluster : null,
         startIndex: startVertexIndex,
         endIndex: endVertexIndex,
-        year: year || (sourceNode && targetNode ? Math.max(sourceNode.year, targetNode.year) : 0),
-        maxYear: year || (sourceNode && targetNode ? Math.max(sourceNode.year, targetNode.year) : 0),
-        minYear: sourceNode && targetNode ? Math.min(sourceNode.year, targetNode.year) : (year || 0)
+        year: maxYear,
+        maxYear,
+        minYear,
+        ...getEdgeTimes(sourceNode, targetNode, minYear, maxYear),
       });
     }
   }
 
   // Store edge data in userData for reference
   lineSegments.userData.edgeData = edgeData;
+  writeFilterAttributes(edgesGeometry, edgeData);
+  lineSegments.material.uniforms.uFiltersReady.value = true;
 
   return lineSegments;
 }
 
-// Functions for controlling edge visibility
-export function showEdgesByYear(minYear, maxYear) {
-  if (!lineSegments) return;
-
-  const visibilityArray = lineSegments.geometry.attributes.visible.array;
-  const yearArray = lineSegments.geometry.attributes.year.array;
-
-  for (let i = 0; i < visibilityArray.length; i++) {
-    const year = yearArray[i];
-    visibilityArray[i] = (year >= minYear && year <= maxYear) ? 1 : 0;
-  }
-
-  lineSegments.geometry.attributes.visible.needsUpdate = true;
+/**
+ * Publication times of the older and the newer paper of an edge, so it
+ * appears in time travel together with the later of its papers. Falls back
+ * to the start of the year when a paper is missing or the edge file gives a
+ * different year.
+ * @param {Object|undefined} sourceNode - Source paper
+ * @param {Object|undefined} targetNode - Target paper
+ * @param {number} minYear - Year of the older paper
+ * @param {number} maxYear - Year of the newer paper
+ * @returns {{minTime: number, maxTime: number}}
+ */
+function getEdgeTimes(sourceNode, targetNode, minYear, maxYear) {
+  const times = [sourceNode, targetNode]
+    .filter(Boolean)
+    .map(({ time }) => time);
+  const minTime = Math.min(...times);
+  const maxTime = Math.max(...times);
+  return {
+    minTime: Math.floor(minTime) === minYear ? minTime : minYear,
+    maxTime: Math.floor(maxTime) === maxYear ? maxTime : maxYear,
+  };
 }
 
-export function showEdgesByCluster(clusterIds) {
-  if (!lineSegments || !lineSegments.userData.edgeData) return;
-
-  const visibilityArray = lineSegments.geometry.attributes.visible.array;
-  visibilityArray.fill(0); // Start by hiding all
-
-  const edgeData = lineSegments.userData.edgeData;
-  const clusterSet = new Set(clusterIds);
-
-  edgeData.forEach(edge => {
-    const { sourceCluster, targetCluster, startIndex, endIndex } = edge;
-    const showEdge = clusterSet.has(sourceCluster) || clusterSet.has(targetCluster);
-
-    if (showEdge) {
-      for (let i = startIndex; i <= endIndex; i++) {
-        visibilityArray[i] = 1;
-      }
+// Give every vertex the publication times and the cluster slots of its edge,
+// for the filters in the vertex shader
+function writeFilterAttributes(edgesGeometry, edgeData) {
+  const { timeRange, clusterSlots } = edgesGeometry.attributes;
+  for (const edge of edgeData) {
+    const sourceSlot = getClusterSlot(edge.sourceCluster);
+    const targetSlot = getClusterSlot(edge.targetCluster);
+    for (let i = edge.startIndex; i <= edge.endIndex; i++) {
+      timeRange.setXY(i, edge.minTime, edge.maxTime);
+      clusterSlots.setXY(i, sourceSlot, targetSlot);
     }
-  });
-
-  lineSegments.geometry.attributes.visible.needsUpdate = true;
-}
-
-export function setEdgeVisibility(edgeId, isVisible) {
-  if (!lineSegments) return;
-
-  const edgeData = lineSegments.userData.edgeData.find(edge => edge.id === edgeId);
-  if (!edgeData) return;
-
-  const visibilityArray = lineSegments.geometry.attributes.visible.array;
-  const visibilityValue = isVisible ? 1 : 0;
-
-  for (let i = edgeData.startIndex; i <= edgeData.endIndex; i++) {
-    visibilityArray[i] = visibilityValue;
   }
-
-  lineSegments.geometry.attributes.visible.needsUpdate = true;
+  timeRange.needsUpdate = true;
+  clusterSlots.needsUpdate = true;
 }
 
 // Fisher-Yates shuffle algorithm
@@ -1,223 +1,189 @@
 /**
  * @file edgesLoader.js
- * @description Optimized module for loading and rendering edge data using merged BufferGeometry
- * @version 2.0.0
+ * @description Optimized module for loading and rendering edge data using merged BufferGeometry.
+ * Fetching, parsing and buffer building run in the data pipeline worker (see dataPipeline.js);
+ * this module copies the edge chunks it streams into one geometry and fills edgesMap.
+ * @version 2.1.0
  */
 
 import * as THREE from "three";
-import { CONFIG } from "./config.js";
-import { loadJSONData } from "./dataUtils.js";
+import { loadPipelineData, getTransformOptions } from "./dataPipeline.js";
+import { FADE_SETTLED } from "./gpuFilters.js";
 
 let edgesMap = new Map();
 let edgesGeometry = null;
-let edgeIndices = []; // Tracks which edges each vertex belongs to (for visibility control)
+let edgeIndices = new Int32Array(0); // Position of each vertex's edge in the loaded edge order (for visibility control)
 
-// Initialize optimized buffer geometry
-function initializeBufferGeometry(totalPoints) {
+// Allocate the geometry for all edges when the first chunk arrives
+function initializeBufferGeometry({ totalPoints, totalSegments }) {
   edgesGeometry = new THREE.BufferGeometry();
-  const positions = new Float32Array(totalPoints * 3); // x, y, z
-  const colors = new Float32Array(totalPoints * 3); // r, g, b
   const visible = new Float32Array(totalPoints).fill(1); // default visible (1)
-  const years = new Float32Array(totalPoints); // Year for each point
-  const indices = []; // Line indices array
 
   // Create attributes
   edgesGeometry.setAttribute(
     "position",
-    new THREE.BufferAttribute(positions, 3)
+    new THREE.BufferAttribute(new Float32Array(totalPoints * 3), 3)
+  );
+  edgesGeometry.setAttribute(
+    "color",
+    new THREE.BufferAttribute(new Float32Array(totalPoints * 3), 3)
   );
-  edgesGeometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
   edgesGeometry.setAttribute("visible", new THREE.BufferAttribute(visible, 1));
-  edgesGeometry.setAttribute("year", new THREE.BufferAttribute(years, 1));
+  edgesGeometry.setAttribute(
+    "fadeStart",
+    new THREE.BufferAttribute(
+      new Float32Array(totalPoints).fill(FADE_SETTLED),
+      1
+    )
+  );
+  edgesGeometry.setAttribute(
+    "year",
+    new THREE.BufferAttribute(new Float32Array(totalPoints), 1)
+  );
+  // Filled by createEdges (edgeCreation.js) once the papers of every edge
+  // are known: the publication times of the older and the newer paper, and
+  // the cluster slots of the source and the target (see gpuFilters.js)
+  edgesGeometry.setAttribute(
+    "timeRange",
+    new THREE.BufferAttribute(new Float32Array(totalPoints * 2), 2)
+  );
+  edgesGeometry.setAttribute(
+    "clusterSlots",
+    new THREE.BufferAttribute(new Float32Array(totalPoints * 2), 2)
+  );
+  edgesGeometry.setIndex(
+    new THREE.BufferAttribute(new Uint32Array(totalSegments * 2), 1)
+  );
+  // Only the segments received so far are drawn
+  edgesGeometry.setDrawRange(0, 0);
   edgesGeometry.name = "edgesGeometry";
 
-  // We'll set indices later after processing all points
-  return indices;
+  edgeIndices = new Int32Array(totalPoints);
 }
 
-// Point transformation helper
-function transformPoint(point) {
-  return new THREE.Vector3(
-    point.x * CONFIG.coordinateMultiplier,
-    point.y * CONFIG.coordinateMultiplier,
-    (point.z + CONFIG.liftUpZ) * CONFIG.zCoordinateShift
-  ).applyAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI / 2);
-}
-
-// Valid number checker
-function isValidNumber(value) {
-  return typeof value === "number" && !isNaN(value) && isFinite(value);
+// Copy values into an attribute and upload only the changed range. Chunks
+// can arrive faster than frames are drawn, so a range that has not been
+// uploaded yet (count !== -1) is extended instead of replaced.
+function writeAttributeRange(attribute, values, start) {
+  attribute.array.set(values, start);
+
+  const range = attribute.updateRange;
+  const end = start + values.length;
+  if (range.count === -1) {
+    range.offset = start;
+    range.count = values.length;
+  } else {
+    const rangeEnd = Math.max(range.offset + range.count, end);
+    range.offset = Math.min(range.offset, start);
+    range.count = rangeEnd - range.offset;
+  }
+  attribute.needsUpdate = true;
 }
 
-// Edge color helper
-function getEdgeColor(color, clusterColorMap, defaultColor) {
-  if (color === -1) return defaultColor;
+// Add a chunk of edges from the data pipeline (see transformEdges)
+function appendEdgeChunk(chunk) {
+  if (!edgesGeometry) {
+    initializeBufferGeometry(chunk);
+    console.log(
+      `BufferGeometry initialized for ${chunk.edgeCount} edges with ${chunk.totalPoints} total points`
+    );
+  }
 
-  const clusterColor = clusterColorMap[color];
-  if (!clusterColor) {
-    console.warn(`No color found for cluster ${color}, using default color`);
-    return defaultColor;
+  const { attributes } = edgesGeometry;
+  const { vertexStart, indexStart } = chunk;
+  writeAttributeRange(attributes.position, chunk.positions, vertexStart * 3);
+  writeAttributeRange(attributes.color, chunk.colors, vertexStart * 3);
+  writeAttributeRange(attributes.year, chunk.years, vertexStart);
+  writeAttributeRange(edgesGeometry.index, chunk.indices, indexStart);
+  edgeIndices.set(chunk.vertexEdges, vertexStart);
+
+  for (let e = 0; e < chunk.ids.length; e++) {
+    edgesMap.set(chunk.ids[e], {
+      source: chunk.sources[e],
+      target: chunk.targets[e],
+      weight: chunk.weights[e],
+      startVertexIndex: chunk.startVertices[e],
+      endVertexIndex: chunk.endVertices[e],
+      year: chunk.edgeYears[e],
+    });
   }
 
-  return clusterColor;
+  edgesGeometry.setDrawRange(
+    0,
+    Math.max(edgesGeometry.drawRange.count, indexStart + chunk.indices.length)
+  );
 }
 
-// Buffer update with improved vertex processing
-function updateEdgeBuffer(positionIndex, vector, edgeColor, year, edgeId) {
-  const i3 = positionIndex * 3;
-  const positions = edgesGeometry.attributes.position.array;
-  const colors = edgesGeometry.attributes.color.array;
-  const visible = edgesGeometry.attributes.visible.array;
-  const years = edgesGeometry.attributes.year.array;
-
-  positions[i3] = vector.x;
-  positions[i3 + 1] = vector.y;
-  positions[i3 + 2] = vector.z;
-
-  colors[i3] = edgeColor.r;
-  colors[i3 + 1] = edgeColor.g;
-  colors[i3 + 2] = edgeColor.b;
+// All chunks are in: draw the whole index and fix the bounds
+function finishEdges({ edgeCount, totalPoints, vertexCount }) {
+  if (!edgesGeometry) {
+    throw new Error("No edge data received");
+  }
 
-  visible[positionIndex] = 1;
-  years[positionIndex] = year || 0;
+  // Invalid points are skipped: the unused vertices at the end of the buffers
+  // are not referenced by the index, so no draw range is needed
+  edgesGeometry.setDrawRange(0, Infinity);
+  edgesGeometry.computeBoundingSphere();
+  if (vertexCount < totalPoints) {
+    console.warn(`Skipped ${totalPoints - vertexCount} invalid edge points`);
+  }
 
-  // Store which edge this vertex belongs to (for visibility updates)
-  edgeIndices[positionIndex] = edgeId;
+  console.log(`Edge data processed for ${edgeCount} edges.`);
 }
 
-// Edge metadata storage with improved index tracking
-function storeEdgeMetadata(
-  id,
-  source,
-  target,
-  weight,
-  startVertexIndex,
-  endVertexIndex,
-  year
-) {
-  edgesMap.set(id, {
-    source,
-    target,
-    weight,
-    startVertexIndex,
-    endVertexIndex,
-    year,
-  });
+/**
+ * Replace the edges with an empty geometry, e.g. while the edges of an
+ * imported graph are loading, or when they could not be loaded
+ * @returns {THREE.BufferGeometry} The empty geometry, now edgesGeometry
+ */
+export function clearEdgeData() {
+  edgesMap.clear();
+  initializeBufferGeometry({ totalPoints: 0, totalSegments: 0 });
+  // Bounds of nothing, so frustum culling doesn't compute NaN bounds
+  edgesGeometry.boundingSphere = new THREE.Sphere(new THREE.Vector3(), 0);
+  return edgesGeometry;
 }
 
-// Main data parsing function with optimized buffer creation
-function parseEdgesData(data, clusterColorMap) {
-  const totalEdges = data.length;
-  let totalPoints = 0;
-
-  // First pass: count total points
-  data.forEach((edge) => {
-    totalPoints += edge.points.length;
-  });
-
-  // Initialize geometry and get indices array
-  const indices = initializeBufferGeometry(totalPoints);
-  edgeIndices = new Array(totalPoints).fill(0); // Initialize edge indices tracker
-
-  console.log(
-    `BufferGeometry initialized for ${totalEdges} edges with ${totalPoints} total points`
-  );
+/**
+ * Load edge data. Edges are added to the geometry chunk by chunk while they
+ * are processed; `onChunk` is called after each chunk with the geometry, e.g.
+ * to add it to the scene as soon as it exists.
+ * @param {string} url - Edge data URL
+ * @param {Object} clusterColorMap - Cluster ids to THREE.Color
+ * @param {Function} [onProgress] - Loading progress, see loadPipelineData
+ * @param {Function} [onChunk] - Called with (edgesGeometry, chunk)
+ */
+export async function loadEdgeData(
+  url,
+  clusterColorMap,
+  onProgress,
+  onChunk
+) {
+  // Replace edges of an earlier load (see graphImport.js). edgesMap is
+  // cleared rather than reassigned, as other modules keep a reference to it.
+  edgesMap.clear();
+  edgesGeometry = null;
 
-  const defaultColor = new THREE.Color(CONFIG.edgeDefaultColor);
-  let vertexIndex = 0;
-
-  // Second pass: process each edge
-  data.forEach((edge) => {
-    const { id, source, target, weight, color, points, year } = edge;
-    const startVertexIndex = vertexIndex;
-    const edgeColor = getEdgeColor(color, clusterColorMap, defaultColor);
-    const validPoints = [];
-
-    // Process all points in this edge
-    points.forEach((point) => {
-      if (
-        isValidNumber(point.x) &&
-        isValidNumber(point.y) &&
-        isValidNumber(point.z)
-      ) {
-        const vector = transformPoint(point);
-        updateEdgeBuffer(vertexIndex, vector, edgeColor, year, id);
-        validPoints.push(vertexIndex);
-        vertexIndex++;
+  try {
+    const options = getTransformOptions(clusterColorMap);
+    const result = await loadPipelineData(
+      "edges",
+      url,
+      options,
+      onProgress,
+      (chunk) => {
+        appendEdgeChunk(chunk);
+        if (onChunk) onChunk(edgesGeometry, chunk);
       }
-    });
-
-    // Create line segments from the points
-    for (let i = 0; i < validPoints.length - 1; i++) {
-      indices.push(validPoints[i], validPoints[i + 1]);
-    }
-
-    // Store edge metadata
-    storeEdgeMetadata(
-      id,
-      source,
-      target,
-      weight,
-      startVertexIndex,
-      vertexIndex - 1,
-      year
     );
-  });
-
-  // Set the indices for the line segments
-  edgesGeometry.setIndex(indices);
-
-  // Trim buffer attributes if fewer points were loaded
-  if (vertexIndex < totalPoints) {
-    edgesGeometry.setDrawRange(0, vertexIndex);
-  }
-
-  console.log("Edge data processed with optimized buffer approach.");
-}
-
-// Load and parse edge data
-export async function loadEdgeData(url, clusterColorMap) {
-  try {
-    const data = await loadJSONData(url);
-    parseEdgesData(data, clusterColorMap);
+    finishEdges(result);
     console.log("Optimized edgesLoader ran successfully");
-    return { edgesMap, edgesGeometry, edgeIndices };
+    // The validation report lists problems loaded with a fallback
+    return { edgesMap, edgesGeometry, edgeIndices, report: result.report };
   } catch (error) {
     console.error("Error loading edge data:", error);
     throw error;
   }
 }
 
-// Function to update visibility of a specific edge
-export function updateEdgeVisibility(edgeId, isVisible) {
-  if (!edgesMap.has(edgeId) || !edgesGeometry) return;
-
-  const edge = edgesMap.get(edgeId);
-  const visibilityValue = isVisible ? 1 : 0;
-  const visibilityArray = edgesGeometry.attributes.visible.array;
-
-  // Update visibility for all vertices that belong to this edge
-  for (let i = edge.startVertexIndex; i <= edge.endVertexIndex; i++) {
-    visibilityArray[i] = visibilityValue;
-  }
-
-  // Flag the attribute for update
-  edgesGeometry.attributes.visible.needsUpdate = true;
-}
-
-// Function to update visibility based on year
-export function updateVisibilityByYear(minYear, maxYear) {
-  if (!edgesGeometry) return;
-
-  const visibilityArray = edgesGeometry.attributes.visible.array;
-  const yearsArray = edgesGeometry.attributes.year.array;
-
-  for (let i = 0; i < visibilityArray.length; i++) {
-    const year = yearsArray[i];
-    visibilityArray[i] = year >= minYear && year <= maxYear ? 1 : 0;
-  }
-
-  edgesGeometry.attributes.visible.needsUpdate = true;
-}
-
 export { edgesMap, edgesGeometry, edgeIndices };
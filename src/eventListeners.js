@@ -2,7 +2,7 @@ import { handleResize } from "./sceneCreation";
 import { handleScroll } from "./orbitControls";
 import { handleMouseDown, handleMouseUp } from "./singleNodeSelection";
 import { visibilityManager } from "./visibilityManager.js";
-import { instructionsModal } from "./instructionsModal.js";
+import { initializeKeyboardShortcuts } from "./keyboardShortcuts.js";
 
 export function addEventListeners(
   nodesMap,
@@ -40,10 +40,6 @@ export function addEventListeners(
     visibilityManager.updateClusterVisibility();
   });
 
-  // Add keyboard shortcut for instructions
-  document.addEventListener("keydown", (event) => {
-    if (event.key.toLowerCase() === "h") {
-      instructionsModal.show();
-    }
-  });
+  // Keyboard shortcuts (instructions, search, reset view, edges, time travel)
+  initializeKeyboardShortcuts(camera, controls, scene);
 }
@@ -0,0 +1,288 @@
+/**
+ * @file exportSubset.js
+ * @description Export of the papers that pass the current year and cluster
+ * filters. The visible subset is collected by walking nodesMap against the
+ * VisibilityManager visibility arrays and downloaded as CSV, JSON or BibTeX
+ * for use in reference managers and systematic-review tooling.
+ *
+ * The network itself (papers with positions, clusters and colors, and the
+ * citations between them) can be exported as GraphML, GEXF or a node / edge
+ * CSV pair for Gephi and VOSviewer, either whole or only the visible papers.
+ * See graphFormats.js for the formats; the files can be imported again.
+ */
+
+import { CONFIG } from "./config.js";
+import { nodesMap } from "./nodesLoader.js";
+import { edgesMap, edgesGeometry } from "./edgesLoader.js";
+import { visibilityManager } from "./visibilityManager.js";
+import { getCurrentYearRange } from "./yearSlider.js";
+import { getClusterColorMap } from "./dataUtils.js";
+import { getTransformOptions } from "./dataPipeline.js";
+import { toDataPoint } from "./dataTransforms.js";
+import { toGraphML, toGEXF, toCSVGraph } from "./graphFormats.js";
+import { toBibTeX } from "./bibtexFormat.js";
+
+const NO_DOI = "No DOI available";
+
+const FIELDS = [
+  "doi",
+  "title",
+  "authors",
+  "year",
+  "date",
+  "cluster",
+  "clusterLabel",
+  "centrality",
+];
+
+const FORMATS = {
+  csv: { label: "CSV", mimeType: "text/csv;charset=utf-8", build: toCSV },
+  json: { label: "JSON", mimeType: "application/json", build: toJSON },
+  bib: { label: "BibTeX", mimeType: "application/x-bibtex", build: toBibTeX },
+};
+
+// Each network format builds { [file suffix]: content }
+const NETWORK_FORMATS = {
+  graphml: {
+    label: "GraphML",
+    mimeType: "application/graphml+xml",
+    build: (network) => ({ ".graphml": toGraphML(network) }),
+  },
+  gexf: {
+    label: "GEXF",
+    mimeType: "application/gexf+xml",
+    build: (network) => ({ ".gexf": toGEXF(network) }),
+  },
+  csv: {
+    label: "CSV",
+    mimeType: "text/csv;charset=utf-8",
+    build: (network) => {
+      const { nodes, edges } = toCSVGraph(network);
+      return { "_nodes.csv": nodes, "_edges.csv": edges };
+    },
+  },
+};
+
+/**
+ * Add the export controls to the legend panel
+ */
+export function initializeExport() {
+  const container = document.createElement("div");
+  container.id = "export-control";
+  container.className = "export-section";
+
+  const title = document.createElement("div");
+  title.className = "legend-section-title";
+  title.textContent = "Export Visible Papers";
+  container.appendChild(title);
+
+  const buttons = document.createElement("div");
+  buttons.className = "export-buttons";
+
+  Object.entries(FORMATS).forEach(([extension, format]) => {
+    const button = document.createElement("button");
+    button.className = "legend-button";
+    button.textContent = format.label;
+    button.title = `Download the visible papers as ${format.label}`;
+    button.addEventListener("click", () => exportVisiblePapers(extension));
+    buttons.appendChild(button);
+  });
+
+  container.appendChild(buttons);
+  container.appendChild(createNetworkExport());
+
+  const legendDiv = document.getElementById("legendDiv");
+  if (legendDiv) {
+    legendDiv.appendChild(container);
+  } else {
+    console.error("Legend div not found, cannot add export UI");
+  }
+}
+
+function createNetworkExport() {
+  const section = document.createElement("div");
+  section.className = "export-network";
+
+  const title = document.createElement("div");
+  title.className = "legend-section-title";
+  title.textContent = "Export Network";
+  section.appendChild(title);
+
+  const visibleOnlyLabel = document.createElement("label");
+  visibleOnlyLabel.className = "export-option";
+  const visibleOnly = document.createElement("input");
+  visibleOnly.type = "checkbox";
+  visibleOnly.checked = true;
+  visibleOnlyLabel.append(visibleOnly, " Visible papers only");
+
+  const buttons = document.createElement("div");
+  buttons.className = "export-buttons";
+  Object.entries(NETWORK_FORMATS).forEach(([key, format]) => {
+    const button = document.createElement("button");
+    button.className = "legend-button";
+    button.textContent = format.label;
+    button.title = `Download the network as ${format.label}`;
+    button.addEventListener("click", () =>
+      exportNetwork(key, visibleOnly.checked)
+    );
+    buttons.appendChild(button);
+  });
+
+  section.append(buttons, visibleOnlyLabel);
+  return section;
+}
+
+/**
+ * Collect the papers that pass the current year and cluster filters
+ * @returns {Object[]} Plain paper records with the exported fields
+ */
+export function getVisiblePapers() {
+  return visibilityManager.getVisibleNodeIndices().map((index) => {
+    const node = nodesMap.get(index);
+    return {
+      doi: node.doi && node.doi !== NO_DOI ? node.doi : "",
+      title: node.title || "",
+      authors: node.authors || "",
+      year: node.year,
+      date: node.date || "",
+      cluster: node.cluster,
+      clusterLabel: node.clusterLabel || "",
+      centrality: node.centrality,
+    };
+  });
+}
+
+/**
+ * Download the visible papers in the given format
+ * @param {string} extension - One of "csv", "json" or "bib"
+ */
+export function exportVisiblePapers(extension) {
+  const format = FORMATS[extension];
+  const papers = getVisiblePapers();
+  if (papers.length === 0) {
+    alert("No papers are visible with the current filters.");
+    return;
+  }
+
+  const [fromYear, toYear] = getCurrentYearRange();
+  const filename = `${CONFIG.export.filename}_${fromYear}-${toYear}.${extension}`;
+  downloadFile(format.build(papers), filename, format.mimeType);
+  console.log(`Exported ${papers.length} papers to ${filename}`);
+}
+
+/**
+ * Collect the network for export, with positions in data coordinates
+ * @param {boolean} visibleOnly - Only papers passing the current filters, and
+ *   the citations between them
+ * @returns {{nodes: Object[], edges: Object[]}} See graphFormats.js
+ */
+export function getNetwork(visibleOnly) {
+  const indices = visibleOnly
+    ? visibilityManager.getVisibleNodeIndices()
+    : Array.from(nodesMap.keys());
+  const included = new Set(indices);
+  const options = getTransformOptions(getClusterColorMap());
+  const roundCoordinate = (value) => Number(value.toPrecision(7));
+  const toRGB = (color) =>
+    color.toArray().map((value) => Math.round(value * 255));
+
+  const nodes = indices.map((index) => {
+    const node = nodesMap.get(index);
+    const [x, y, z] = toDataPoint(node.position, options).map(roundCoordinate);
+    return {
+      id: node.nodeId,
+      label: node.title || "",
+      x,
+      y,
+      z,
+      cluster: node.cluster,
+      clusterLabel: node.clusterLabel || "",
+      year: node.year,
+      date: node.date || "",
+      centrality: node.centrality,
+      doi: node.doi && node.doi !== NO_DOI ? node.doi : "",
+      authors: node.authors || "",
+      color: toRGB(node.color),
+    };
+  });
+
+  // Edge colors are only kept in the geometry, one per vertex
+  const edgeColors = edgesGeometry?.attributes.color.array;
+  const edges = [];
+  edgesMap.forEach((edge, id) => {
+    if (!included.has(edge.source) || !included.has(edge.target)) return;
+    const i3 = edge.startVertexIndex * 3;
+    // Edges without vertices have no color of their own
+    const hasVertices = edge.endVertexIndex >= edge.startVertexIndex;
+    edges.push({
+      id,
+      source: nodesMap.get(edge.source).nodeId,
+      target: nodesMap.get(edge.target).nodeId,
+      weight: edge.weight,
+      year: edge.year,
+      color:
+        edgeColors && hasVertices
+          ? Array.from(edgeColors.slice(i3, i3 + 3), (value) =>
+              Math.round(value * 255)
+            )
+          : null,
+    });
+  });
+
+  return { nodes, edges };
+}
+
+/**
+ * Download the network in the given format
+ * @param {string} key - One of "graphml", "gexf" or "csv"
+ * @param {boolean} visibleOnly - See getNetwork
+ */
+export function exportNetwork(key, visibleOnly) {
+  const format = NETWORK_FORMATS[key];
+  const network = getNetwork(visibleOnly);
+  if (network.nodes.length === 0) {
+    alert("No papers are visible with the current filters.");
+    return;
+  }
+
+  let basename = CONFIG.export.networkFilename;
+  if (visibleOnly) {
+    const [fromYear, toYear] = getCurrentYearRange();
+    basename += `_${fromYear}-${toYear}`;
+  }
+  Object.entries(format.build(network)).forEach(([suffix, content]) =>
+    downloadFile(content, basename + suffix, format.mimeType)
+  );
+  console.log(
+    `Exported ${network.nodes.length} papers and ` +
+      `${network.edges.length} citations as ${format.label}`
+  );
+}
+
+function toCSV(papers) {
+  const rows = papers.map((paper) =>
+    FIELDS.map((field) => escapeCSV(paper[field])).join(",")
+  );
+  return [FIELDS.join(","), ...rows].join("\r\n");
+}
+
+function escapeCSV(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toJSON(papers) {
+  return JSON.stringify(papers, null, 2);
+}
+
+function downloadFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,249 @@
+/**
+ * @file gpuFilters.js
+ * @description The year range and cluster filters, evaluated in the node and
+ * edge vertex shaders instead of on the CPU. Both materials share the
+ * uniforms below, so moving the year slider only changes two numbers and
+ * selecting clusters only rewrites a small texture with one texel per
+ * cluster; no node or edge buffer is touched or uploaded again.
+ *
+ * Nodes carry their publication time (year + fraction of the year, see
+ * dataTransforms.js) and cluster slot as attributes (see nodesLoader.js),
+ * edges the times and the cluster slots of their two papers (see
+ * edgeCreation.js). A cluster slot is the position of the cluster's texel in
+ * the texture; slots are assigned when the nodes are loaded. Slot 0 stands
+ * for "no cluster", e.g. the end of an edge whose paper isn't loaded, and is
+ * only enabled while all clusters are. Time travel shows the papers
+ * published within a time window, which moves continuously so that papers
+ * appear one after another rather than a whole year at once.
+ *
+ * Elements fade in and out (opacity and point size) over
+ * CONFIG.visibilityFade.duration instead of popping. For the year and
+ * cluster filters the shaders blend between the state before and after the
+ * last change (the previous year range, and the green channel of the
+ * texture); for the other filters visibilityManager.js records in the
+ * `fadeStart` attribute when each element was shown or hidden. Papers
+ * entering the time window grow in as the window reaches them.
+ */
+
+import * as THREE from "three";
+import { CONFIG } from "./config.js";
+
+// Texels per row of the cluster texture. A power of two keeps the slot to
+// texel arithmetic in the shader exact.
+const TEXTURE_WIDTH = 256;
+// Year bounds while nothing is filtered by year
+const NO_YEAR_LIMIT = 1e6;
+
+/**
+ * `fadeStart` of elements that haven't been shown or hidden since loading
+ */
+export const FADE_SETTLED = -1e6;
+
+// cluster id -> slot
+const clusterSlots = new Map();
+
+/**
+ * Uniforms of the filters. Spread into the uniforms of a ShaderMaterial; the
+ * uniform objects are shared, so every material sees each update.
+ */
+export const filterUniforms = {
+  uMinYear: { value: -NO_YEAR_LIMIT },
+  uMaxYear: { value: NO_YEAR_LIMIT },
+  uPrevMinYear: { value: -NO_YEAR_LIMIT },
+  uPrevMaxYear: { value: NO_YEAR_LIMIT },
+  uYearChangeTime: { value: FADE_SETTLED },
+  uClusterEnabled: { value: null },
+  uClusterTextureSize: { value: new THREE.Vector2(TEXTURE_WIDTH, 1) },
+  uClusterChangeTime: { value: FADE_SETTLED },
+  // Time travel window (start, end) in fractional years, and how many years
+  // before reaching a paper it starts to grow in
+  uTimeWindow: { value: new THREE.Vector2(-NO_YEAR_LIMIT, NO_YEAR_LIMIT) },
+  uTimeFadeSpan: { value: 0 },
+  // Seconds, see getFadeTime
+  uTime: { value: 0 },
+  uFadeDuration: { value: CONFIG.visibilityFade.duration / 1000 },
+};
+
+/**
+ * GLSL declarations of the filter uniforms and the passesYear /
+ * passesCluster / passesTimeWindow / fadeVisible tests, for use in a vertex
+ * shader. The tests return 1.0 for shown and 0.0 for hidden elements, and
+ * values in between while they fade.
+ */
+export const filterShaderChunk = `
+  uniform float uMinYear;
+  uniform float uMaxYear;
+  uniform float uPrevMinYear;
+  uniform float uPrevMaxYear;
+  uniform float uYearChangeTime;
+  uniform sampler2D uClusterEnabled;
+  uniform vec2 uClusterTextureSize;
+  uniform float uClusterChangeTime;
+  uniform vec2 uTimeWindow;
+  uniform float uTimeFadeSpan;
+  uniform float uTime;
+  uniform float uFadeDuration;
+
+  // Blend from the state before a change to the state after it
+  float fadeBetween(float before, float after, float changeTime) {
+    if (uFadeDuration <= 0.0) return after;
+    float progress = clamp((uTime - changeTime) / uFadeDuration, 0.0, 1.0);
+    return mix(before, after, smoothstep(0.0, 1.0, progress));
+  }
+
+  // Whether the year is within the year filter
+  float passesYear(float year) {
+    float before = step(uPrevMinYear, year) * step(year, uPrevMaxYear);
+    float after = step(uMinYear, year) * step(year, uMaxYear);
+    return fadeBetween(before, after, uYearChangeTime);
+  }
+
+  // Whether the cluster in the given slot is enabled (red: now, green:
+  // before the last change)
+  float passesCluster(float slot) {
+    vec2 texel = vec2(
+      mod(slot, uClusterTextureSize.x),
+      floor(slot / uClusterTextureSize.x)
+    );
+    vec2 uv = (texel + 0.5) / uClusterTextureSize;
+    vec4 enabled = texture2D(uClusterEnabled, uv);
+    return fadeBetween(
+      step(0.5, enabled.g),
+      step(0.5, enabled.r),
+      uClusterChangeTime
+    );
+  }
+
+  // Whether the time window contains papers published from firstTime to
+  // lastTime: they grow in as the end of the window reaches lastTime and
+  // shrink as its start passes firstTime
+  float passesTimeWindow(float firstTime, float lastTime) {
+    float span = max(uTimeFadeSpan, 0.0001);
+    float entered = smoothstep(lastTime - span, lastTime, uTimeWindow.y);
+    float left = smoothstep(firstTime, firstTime + span, uTimeWindow.x);
+    return entered * (1.0 - left);
+  }
+
+  // Whether the other filters show the element; visible changed to its
+  // current value at fadeStart
+  float fadeVisible(float visible, float fadeStart) {
+    return fadeBetween(1.0 - visible, visible, fadeStart);
+  }
+`;
+
+/**
+ * The clock of the fades, in seconds
+ * @returns {number}
+ */
+export function getFadeTime() {
+  return performance.now() / 1000;
+}
+
+/**
+ * Advance the fades; call once per frame
+ */
+export function updateFadeTime() {
+  filterUniforms.uTime.value = getFadeTime();
+}
+
+/**
+ * Assign texture slots to the clusters of newly loaded nodes and enable all
+ * of them
+ * @param {Iterable<number>} clusters - Cluster of every node
+ */
+export function setFilterClusters(clusters) {
+  clusterSlots.clear();
+  for (const cluster of clusters) {
+    if (!clusterSlots.has(cluster)) {
+      clusterSlots.set(cluster, clusterSlots.size + 1);
+    }
+  }
+
+  const height = Math.ceil((clusterSlots.size + 1) / TEXTURE_WIDTH);
+  const texture = new THREE.DataTexture(
+    new Uint8Array(TEXTURE_WIDTH * height * 4),
+    TEXTURE_WIDTH,
+    height
+  );
+  if (filterUniforms.uClusterEnabled.value) {
+    filterUniforms.uClusterEnabled.value.dispose();
+  }
+  filterUniforms.uClusterEnabled.value = texture;
+  filterUniforms.uClusterTextureSize.value.set(TEXTURE_WIDTH, height);
+
+  setEnabledClusters(null);
+}
+
+/**
+ * @param {number|null} cluster - Cluster id
+ * @returns {number} Texture slot of the cluster, 0 for unknown clusters
+ */
+export function getClusterSlot(cluster) {
+  return clusterSlots.get(cluster) || 0;
+}
+
+/**
+ * Show only the papers and edges of the given clusters
+ * @param {Set<number>|null} clusters - Enabled clusters, or null for all
+ */
+export function setEnabledClusters(clusters) {
+  const texture = filterUniforms.uClusterEnabled.value;
+  const data = texture.image.data;
+  const setSlot = (slot, enabled) => {
+    data[slot * 4 + 1] = data[slot * 4];
+    data[slot * 4] = enabled ? 255 : 0;
+  };
+  setSlot(0, !clusters);
+  clusterSlots.forEach((slot, cluster) => {
+    setSlot(slot, !clusters || clusters.has(cluster));
+  });
+  texture.needsUpdate = true;
+  filterUniforms.uClusterChangeTime.value = getFadeTime();
+}
+
+/**
+ * Show only the papers published in the given years, and the edges between
+ * them
+ * @param {number|null} fromYear - First year shown, or null for no limit
+ * @param {number|null} toYear - Last year shown, or null for no limit
+ */
+export function setYearFilter(fromYear, toYear) {
+  const { uMinYear, uMaxYear, uPrevMinYear, uPrevMaxYear } = filterUniforms;
+  uPrevMinYear.value = uMinYear.value;
+  uPrevMaxYear.value = uMaxYear.value;
+  uMinYear.value = fromYear ?? -NO_YEAR_LIMIT;
+  uMaxYear.value = toYear ?? NO_YEAR_LIMIT;
+  filterUniforms.uYearChangeTime.value = getFadeTime();
+}
+
+/**
+ * Show only the papers published within a time window, and the edges between
+ * them (time travel)
+ * @param {number|null} start - Start of the window in fractional years, or
+ *   null for no limit
+ * @param {number} end - End of the window
+ * @param {number} fadeSpan - Years over which papers grow in or shrink
+ */
+export function setTimeWindow(start, end, fadeSpan) {
+  filterUniforms.uTimeWindow.value.set(start ?? -NO_YEAR_LIMIT, end);
+  filterUniforms.uTimeFadeSpan.value = fadeSpan;
+}
+
+export function clearTimeWindow() {
+  setTimeWindow(null, NO_YEAR_LIMIT, 0);
+}
+
+/**
+ * The time window on the CPU: whether papers published from firstTime to
+ * lastTime are shown (once fully grown in)
+ * @param {number} firstTime - Time of the older paper
+ * @param {number} lastTime - Time of the newer paper
+ * @returns {boolean}
+ */
+export function isInTimeWindow(firstTime, lastTime) {
+  const { x: start, y: end } = filterUniforms.uTimeWindow.value;
+  return firstTime >= start && lastTime <= end;
+}
+
+// A texture is needed before the first nodes are loaded
+setFilterClusters([]);
@@ -0,0 +1,675 @@
+/**
+ * @file graphFormats.js
+ * @description Import and export adapters for the graph formats of Gephi and
+ * VOSviewer: GraphML, GEXF and pairs of node / edge CSV files (comma,
+ * semicolon or tab separated, with a header row; a VOSviewer network file
+ * without header is read as source, target, weight).
+ *
+ * Imports are converted into the node and edge JSON export schema, so they
+ * go through the data pipeline and its validation like the dataset files:
+ *   { nodes, edges, clusterColors, clusterLabels }
+ * Nodes are numbered in file order (node_index), and edges are drawn as
+ * straight lines between their nodes. Node attributes are matched by name,
+ * ignoring case and punctuation: x, y, z (0 when missing, for 2D layouts),
+ * cluster (or modularity_class), year, date (or publication_date), centrality
+ * (or pagerank), title (or label), doi, authors, and a color (viz:color, r/g/b
+ * or a "#rrggbb" color column). The first color seen for a cluster becomes its
+ * color; edge colors that match a cluster color are drawn in that cluster's
+ * color.
+ *
+ * Two things are lost on import, as the app has no place for them:
+ * - The node ids of the file. Edges are resolved against them, but papers are
+ *   addressed by their position, so a file with ids 10, 20, 30 comes back
+ *   with node_index 0, 1, 2.
+ * - Edge colors that are not a cluster color. Edges are colored by cluster,
+ *   so they get the default edge color (color -1).
+ *
+ * Exports take a network of plain records (see getNetwork in exportSubset.js)
+ * with positions in data coordinates, so an exported file imports back to the
+ * same layout:
+ *   nodes: { id, label, x, y, z, cluster, clusterLabel, year, date,
+ *            centrality, doi, authors, color: [r, g, b] (0–255) }
+ *   edges: { id, source, target, weight, year, color: [r, g, b] }
+ *
+ * XML is read with DOMParser, so imports run on the main thread.
+ */
+
+import { addIssue, DataValidationError } from "./dataValidation.js";
+
+const GEXF_NAMESPACE = "http://gexf.net/1.3";
+const VIZ_NAMESPACE = "http://gexf.net/1.3/viz";
+
+// Attribute names of the foreign formats for each node field
+const NODE_FIELDS = {
+  x: ["x"],
+  y: ["y"],
+  z: ["z"],
+  cluster: ["cluster", "clusterid", "modularityclass"],
+  clusterLabel: ["clusterlabel"],
+  year: ["year"],
+  date: ["date", "publicationdate", "pubdate"],
+  centrality: ["centrality", "pagerank", "eigencentrality"],
+  title: ["title", "label"],
+  doi: ["doi"],
+  authors: ["authors", "author"],
+};
+
+const normalizeName = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// ---------------------------------------------------------------------------
+// Import
+// ---------------------------------------------------------------------------
+
+/**
+ * Read a GraphML file
+ * @param {string} text - File contents
+ * @param {Object} report - Validation report to add problems to
+ * @returns {Object} { nodes, edges, clusterColors, clusterLabels }
+ * @throws {DataValidationError} When the file is not GraphML
+ */
+export function parseGraphML(text, report) {
+  const file = "GraphML";
+  const root = parseXML(text, "graphml", file, report);
+
+  // <key id="d0" for="node" attr.name="year"/>: data refers to the key id
+  const keyNames = new Map();
+  childElements(root, "key").forEach((key) => {
+    keyNames.set(
+      key.getAttribute("id"),
+      key.getAttribute("attr.name") || key.getAttribute("id")
+    );
+  });
+
+  const graph = childElements(root, "graph")[0];
+  if (!graph) fail(report, file, "the file contains no <graph>");
+
+  const readData = (element) => {
+    const attributes = {};
+    childElements(element, "data").forEach((data) => {
+      const key = data.getAttribute("key");
+      attributes[keyNames.get(key) || key] = data.textContent;
+    });
+    return attributes;
+  };
+
+  const nodes = childElements(graph, "node").map((node) => ({
+    id: node.getAttribute("id"),
+    attributes: readData(node),
+  }));
+  const edges = childElements(graph, "edge").map((edge) => ({
+    source: edge.getAttribute("source"),
+    target: edge.getAttribute("target"),
+    attributes: readData(edge),
+  }));
+  return buildGraph(nodes, edges, file, report);
+}
+
+/**
+ * Read a GEXF file (Gephi's own format, with the viz extension for
+ * positions and colors)
+ * @param {string} text - File contents
+ * @param {Object} report - Validation report to add problems to
+ * @returns {Object} { nodes, edges, clusterColors, clusterLabels }
+ * @throws {DataValidationError} When the file is not GEXF
+ */
+export function parseGEXF(text, report) {
+  const file = "GEXF";
+  const root = parseXML(text, "gexf", file, report);
+  const graph = childElements(root, "graph")[0];
+  if (!graph) fail(report, file, "the file contains no <graph>");
+
+  // <attribute id="0" title="year"/>: attvalues refer to the id or title
+  const attributeTitles = { node: new Map(), edge: new Map() };
+  childElements(graph, "attributes").forEach((group) => {
+    const titles = attributeTitles[group.getAttribute("class")];
+    if (!titles) return;
+    childElements(group, "attribute").forEach((attribute) => {
+      titles.set(
+        attribute.getAttribute("id"),
+        attribute.getAttribute("title") || attribute.getAttribute("id")
+      );
+    });
+  });
+
+  const readElement = (element, titles) => {
+    const attributes = {};
+    const label = element.getAttribute("label");
+    if (label) attributes.label = label;
+    if (element.hasAttribute("weight")) {
+      attributes.weight = element.getAttribute("weight");
+    }
+    childElements(element, "attvalues").forEach((values) =>
+      childElements(values, "attvalue").forEach((value) => {
+        const key = value.getAttribute("for") || value.getAttribute("id");
+        attributes[titles.get(key) || key] = value.getAttribute("value");
+      })
+    );
+
+    const position = childElements(element, "position")[0];
+    if (position) {
+      ["x", "y", "z"].forEach((axis) => {
+        if (position.hasAttribute(axis)) {
+          attributes[axis] = position.getAttribute(axis);
+        }
+      });
+    }
+    const color = childElements(element, "color")[0];
+    if (color) {
+      attributes.color = ["r", "g", "b"]
+        .map((channel) => color.getAttribute(channel))
+        .join(",");
+    }
+    return attributes;
+  };
+
+  const nodesElement = childElements(graph, "nodes")[0];
+  const edgesElement = childElements(graph, "edges")[0];
+  const nodes = (nodesElement ? childElements(nodesElement, "node") : []).map(
+    (node) => ({
+      id: node.getAttribute("id"),
+      attributes: readElement(node, attributeTitles.node),
+    })
+  );
+  const edges = (edgesElement ? childElements(edgesElement, "edge") : []).map(
+    (edge) => ({
+      source: edge.getAttribute("source"),
+      target: edge.getAttribute("target"),
+      attributes: readElement(edge, attributeTitles.edge),
+    })
+  );
+  return buildGraph(nodes, edges, file, report);
+}
+
+/**
+ * Read a node CSV and an edge CSV (e.g. Gephi's data laboratory export or a
+ * VOSviewer map and network file)
+ * @param {string} nodesText - Node file contents, with an id column
+ * @param {string} edgesText - Edge file contents, with source and target
+ *   columns
+ * @param {Object} report - Validation report to add problems to
+ * @returns {Object} { nodes, edges, clusterColors, clusterLabels }
+ * @throws {DataValidationError} When the id, source or target column is
+ *   missing
+ */
+export function parseCSVGraph(nodesText, edgesText, report) {
+  const nodeRows = parseCSV(nodesText);
+  const nodeHeader = (nodeRows.shift() || []).map(normalizeName);
+  const idColumn = nodeHeader.findIndex((name) =>
+    ["id", "nodeid", "nodeindex"].includes(name)
+  );
+  if (idColumn === -1) fail(report, "nodes CSV", "no id column");
+
+  const edgeRows = parseCSV(edgesText);
+  let edgeHeader = ["source", "target", "weight"];
+  // VOSviewer network files have no header: every column is a number
+  if (edgeRows.length && !edgeRows[0].every((value) => isNumeric(value))) {
+    edgeHeader = edgeRows.shift().map(normalizeName);
+  }
+  const sourceColumn = edgeHeader.indexOf("source");
+  const targetColumn = edgeHeader.indexOf("target");
+  if (sourceColumn === -1 || targetColumn === -1) {
+    fail(report, "edges CSV", "no source and target columns");
+  }
+
+  const toAttributes = (header, row) =>
+    Object.fromEntries(header.map((name, i) => [name, row[i]]));
+  const nodes = nodeRows.map((row) => ({
+    id: row[idColumn],
+    attributes: toAttributes(nodeHeader, row),
+  }));
+  const edges = edgeRows.map((row) => ({
+    source: row[sourceColumn],
+    target: row[targetColumn],
+    attributes: toAttributes(edgeHeader, row),
+  }));
+  return buildGraph(nodes, edges, "CSV", report);
+}
+
+function parseXML(text, rootName, file, report) {
+  const document = new DOMParser().parseFromString(text, "application/xml");
+  const root = document.documentElement;
+  if (document.getElementsByTagName("parsererror").length) {
+    fail(report, file, "the file is not valid XML");
+  }
+  if (root.localName !== rootName) {
+    fail(report, file, `the file has no <${rootName}> root element`);
+  }
+  return root;
+}
+
+// Child elements by local name, so namespace prefixes (viz:) don't matter
+function childElements(element, localName) {
+  return Array.from(element.children).filter(
+    (child) => child.localName === localName
+  );
+}
+
+function fail(report, file, message) {
+  addIssue(report, "error", file, message);
+  throw new DataValidationError(report);
+}
+
+/**
+ * Split CSV text into rows of fields. The delimiter (comma, semicolon or
+ * tab) is the one found most often in the first line.
+ * @param {string} text - CSV text
+ * @returns {string[][]} Non-empty rows
+ */
+export function parseCSV(csvText) {
+  const text = csvText.replace(/^\uFEFF/, "");
+  const firstLine = text.slice(0, text.indexOf("\n") + 1 || undefined);
+  const delimiter = [",", ";", "\t"].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length
+      ? candidate
+      : best
+  );
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter((fields) => fields.some((value) => value.trim()));
+}
+
+function isNumeric(value) {
+  return value !== undefined && value.trim() !== "" && isFinite(value);
+}
+
+// Numbers stay numbers; anything else is kept, so validation reports it
+function toNumber(value) {
+  if (value === undefined || value === null || value.trim() === "") {
+    return undefined;
+  }
+  return isNumeric(value) ? Number(value) : value;
+}
+
+/**
+ * Colors as "#rrggbb", "r,g,b" (0–255) or separate r, g, b attributes
+ * @returns {number[]|null} [r, g, b] from 0 to 1
+ */
+function readColor(attributes) {
+  let channels = null;
+  if (attributes.color) {
+    const hex = /^#?([0-9a-f]{6})$/i.exec(attributes.color.trim());
+    channels = hex
+      ? [0, 2, 4].map((i) => parseInt(hex[1].slice(i, i + 2), 16))
+      : attributes.color.split(/[,\s]+/).map(Number);
+  } else if (attributes.r !== undefined) {
+    channels = [attributes.r, attributes.g, attributes.b].map(Number);
+  }
+  if (
+    !channels ||
+    channels.length !== 3 ||
+    !channels.every((value) => Number.isFinite(value))
+  ) {
+    return null;
+  }
+  return channels.map((value) => Math.min(255, Math.max(0, value)) / 255);
+}
+
+const colorKey = (color) =>
+  color.map((value) => Math.round(value * 255)).join(",");
+
+/**
+ * Turn nodes and edges read from any format into the JSON export schema
+ * @param {Object[]} rawNodes - { id, attributes } with string values
+ * @param {Object[]} rawEdges - { source, target, attributes }
+ * @param {string} file - Format name for the report
+ * @param {Object} report - Validation report to add problems to
+ * @returns {Object} { nodes, edges, clusterColors, clusterLabels }
+ */
+function buildGraph(rawNodes, rawEdges, file, report) {
+  const indexById = new Map();
+  const clusterColors = {};
+  const clusterLabels = {};
+
+  const nodes = rawNodes.map(({ id, attributes: raw }, index) => {
+    if (indexById.has(id)) {
+      addIssue(
+        report,
+        "warning",
+        file,
+        "node id used more than once (edges go to the last)",
+        `node ${id}`
+      );
+    }
+    indexById.set(id, index);
+
+    const attributes = {};
+    Object.entries(raw).forEach(([name, value]) => {
+      attributes[normalizeName(name)] = value;
+    });
+    const field = (name) =>
+      NODE_FIELDS[name]
+        .map((alias) => attributes[alias])
+        .find((value) => value !== undefined && value !== "");
+
+    const node = {
+      node_index: index,
+      x: toNumber(field("x")),
+      y: toNumber(field("y")),
+      z: toNumber(field("z")) ?? 0,
+      cluster: toNumber(field("cluster")),
+      year: toNumber(field("year")),
+      date: field("date"),
+      centrality: toNumber(field("centrality")),
+      title: field("title") || "",
+      doi: field("doi") || "",
+      authors: field("authors") || "",
+    };
+
+    if (Number.isInteger(node.cluster)) {
+      const color = readColor(attributes);
+      if (color && clusterColors[node.cluster] === undefined) {
+        clusterColors[node.cluster] = color;
+      }
+      const label = field("clusterLabel");
+      if (label && clusterLabels[node.cluster] === undefined) {
+        clusterLabels[node.cluster] = label;
+      }
+    }
+    return node;
+  });
+
+  // Edges in a cluster's color keep that cluster as their color
+  const clusterByColor = new Map();
+  Object.entries(clusterColors).forEach(([cluster, color]) => {
+    const key = colorKey(color);
+    if (!clusterByColor.has(key)) clusterByColor.set(key, Number(cluster));
+  });
+
+  const edges = [];
+  rawEdges.forEach(({ source, target, attributes: raw }, index) => {
+    const sourceNode = nodes[indexById.get(source)];
+    const targetNode = nodes[indexById.get(target)];
+    if (!sourceNode || !targetNode) {
+      addIssue(
+        report,
+        "warning",
+        file,
+        "edge refers to a node that is not in the file (skipped)",
+        `${source} → ${target}`
+      );
+      return;
+    }
+
+    const attributes = {};
+    Object.entries(raw).forEach(([name, value]) => {
+      attributes[normalizeName(name)] = value;
+    });
+    const color = readColor(attributes);
+    edges.push({
+      id: index,
+      source: sourceNode.node_index,
+      target: targetNode.node_index,
+      weight: toNumber(attributes.weight) ?? 1,
+      year: toNumber(attributes.year),
+      color: color ? clusterByColor.get(colorKey(color)) ?? -1 : -1,
+      points: [sourceNode, targetNode].map(({ x, y, z }) => ({ x, y, z })),
+    });
+  });
+
+  return { nodes, edges, clusterColors, clusterLabels };
+}
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+const NODE_ATTRIBUTES = [
+  ["label", "string"],
+  ["x", "double"],
+  ["y", "double"],
+  ["z", "double"],
+  ["cluster", "int"],
+  ["clusterLabel", "string"],
+  ["year", "int"],
+  ["date", "string"],
+  ["centrality", "double"],
+  ["doi", "string"],
+  ["authors", "string"],
+];
+const EDGE_ATTRIBUTES = [
+  ["weight", "double"],
+  ["year", "int"],
+];
+
+function escapeXML(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Write a network as GraphML, with the attribute names Gephi reads for
+ * positions (x, y, z) and colors (r, g, b)
+ * @param {Object} network - { nodes, edges } (see file header)
+ * @returns {string}
+ */
+export function toGraphML({ nodes, edges }) {
+  const colorKeys = ["r", "g", "b"].map((name) => [name, "int"]);
+  const keys = [
+    ...[...NODE_ATTRIBUTES, ...colorKeys].map(([name, type]) => ({
+      id: `n_${name}`,
+      target: "node",
+      name,
+      type,
+    })),
+    ...[...EDGE_ATTRIBUTES, ...colorKeys].map(([name, type]) => ({
+      id: `e_${name}`,
+      target: "edge",
+      name,
+      type,
+    })),
+  ];
+
+  const dataElements = (prefix, item, attributes) =>
+    [
+      ...attributes.map(([name]) => [name, item[name]]),
+      ...["r", "g", "b"].map((name, i) => [name, item.color?.[i]]),
+    ]
+      .filter(([, value]) => value !== undefined && value !== "")
+      .map(
+        ([name, value]) =>
+          `      <data key="${prefix}_${name}">${escapeXML(value)}</data>`
+      )
+      .join("\n");
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...keys.map(
+      ({ id, target, name, type }) =>
+        `  <key id="${id}" for="${target}" attr.name="${name}" ` +
+        `attr.type="${type}"/>`
+    ),
+    '  <graph id="G" edgedefault="directed">',
+    ...nodes.map(
+      (node) =>
+        `    <node id="${escapeXML(node.id)}">\n` +
+        `${dataElements("n", node, NODE_ATTRIBUTES)}\n    </node>`
+    ),
+    ...edges.map(
+      (edge) =>
+        `    <edge id="${escapeXML(edge.id)}" ` +
+        `source="${escapeXML(edge.source)}" ` +
+        `target="${escapeXML(edge.target)}">\n` +
+        `${dataElements("e", edge, EDGE_ATTRIBUTES)}\n    </edge>`
+    ),
+    "  </graph>",
+    "</graphml>",
+  ];
+  return lines.join("\n");
+}
+
+/**
+ * Write a network as GEXF 1.3, with viz:position and viz:color
+ * @param {Object} network - { nodes, edges } (see file header)
+ * @returns {string}
+ */
+export function toGEXF({ nodes, edges }) {
+  const nodeAttributes = NODE_ATTRIBUTES.filter(
+    ([name]) => !["label", "x", "y", "z"].includes(name)
+  );
+  const gexfTypes = { int: "integer", double: "double", string: "string" };
+  const attributeDeclarations = (target, attributes) => [
+    `    <attributes class="${target}">`,
+    ...attributes.map(
+      ([name, type]) =>
+        `      <attribute id="${name}" title="${name}" ` +
+        `type="${gexfTypes[type]}"/>`
+    ),
+    "    </attributes>",
+  ];
+  const attvalues = (item, attributes) => {
+    const values = attributes
+      .filter(([name]) => item[name] !== undefined && item[name] !== "")
+      .map(
+        ([name]) =>
+          `          <attvalue for="${name}" ` +
+          `value="${escapeXML(item[name])}"/>`
+      );
+    return values.length
+      ? ["        <attvalues>", ...values, "        </attvalues>"]
+      : [];
+  };
+  const vizColor = (color) =>
+    color
+      ? [
+          `        <viz:color r="${color[0]}" g="${color[1]}" ` +
+            `b="${color[2]}"/>`,
+        ]
+      : [];
+
+  const edgeAttributes = EDGE_ATTRIBUTES.filter(([name]) => name !== "weight");
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gexf xmlns="${GEXF_NAMESPACE}" xmlns:viz="${VIZ_NAMESPACE}" ` +
+      'version="1.3">',
+    '  <graph defaultedgetype="directed">',
+    ...attributeDeclarations("node", nodeAttributes),
+    ...attributeDeclarations("edge", edgeAttributes),
+    "    <nodes>",
+    ...nodes.flatMap((node) => [
+      `      <node id="${escapeXML(node.id)}" ` +
+        `label="${escapeXML(node.label)}">`,
+      ...attvalues(node, nodeAttributes),
+      `        <viz:position x="${node.x}" y="${node.y}" z="${node.z}"/>`,
+      ...vizColor(node.color),
+      "      </node>",
+    ]),
+    "    </nodes>",
+    "    <edges>",
+    ...edges.flatMap((edge) => [
+      `      <edge id="${escapeXML(edge.id)}" ` +
+        `source="${escapeXML(edge.source)}" ` +
+        `target="${escapeXML(edge.target)}" weight="${edge.weight}">`,
+      ...attvalues(edge, edgeAttributes),
+      ...vizColor(edge.color),
+      "      </edge>",
+    ]),
+    "    </edges>",
+    "  </graph>",
+    "</gexf>",
+  ];
+  return lines.join("\n");
+}
+
+/**
+ * Write a network as a node CSV and an edge CSV, with the Id / Label /
+ * Source / Target / Weight columns of Gephi's spreadsheet import
+ * @param {Object} network - { nodes, edges } (see file header)
+ * @returns {{nodes: string, edges: string}}
+ */
+export function toCSVGraph({ nodes, edges }) {
+  const toHex = (color) =>
+    color
+      ? "#" +
+        color.map((value) => value.toString(16).padStart(2, "0")).join("")
+      : "";
+  const toCSV = (header, rows) =>
+    [header, ...rows]
+      .map((row) => row.map(escapeCSVField).join(","))
+      .join("\r\n");
+
+  return {
+    nodes: toCSV(
+      [
+        "Id",
+        "Label",
+        "x",
+        "y",
+        "z",
+        "cluster",
+        "clusterLabel",
+        "year",
+        "date",
+        "centrality",
+        "doi",
+        "authors",
+        "color",
+      ],
+      nodes.map((node) => [
+        node.id,
+        node.label,
+        node.x,
+        node.y,
+        node.z,
+        node.cluster,
+        node.clusterLabel,
+        node.year,
+        node.date,
+        node.centrality,
+        node.doi,
+        node.authors,
+        toHex(node.color),
+      ])
+    ),
+    edges: toCSV(
+      ["Source", "Target", "Weight", "year", "color"],
+      edges.map((edge) => [
+        edge.source,
+        edge.target,
+        edge.weight,
+        edge.year,
+        toHex(edge.color),
+      ])
+    ),
+  };
+}
+
+function escapeCSVField(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
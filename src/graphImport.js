@@ -0,0 +1,419 @@
+/**
+ * @file graphImport.js
+ * @description Load your own graph files without reloading the page: drop
+ * them onto the page, or choose them with the button in the instructions.
+ * Accepted are a node file and an edge file in the schema of the dataset's
+ * JSON exports (optionally gzipped, .json.gz), a node and an edge CSV, or a
+ * single GraphML or GEXF file. CSV, GraphML and GEXF are converted to the JSON
+ * schema first (see graphFormats.js). The data is read through the data
+ * pipeline like the dataset files; once the nodes have loaded, the current
+ * nodes and edges are removed and their GPU buffers released.
+ *
+ * Node and edge files are told apart by name ("nodes" / "edges"). Clusters
+ * are colored and labeled with the maps of the current dataset, unless the
+ * file brings its own colors or labels. Problems in the files are listed in
+ * the instructions modal (see dataValidation.js).
+ *
+ * Dispatches "graphDataReplaced" as soon as the new nodes are in place, with
+ * no edges yet, so modules that derive data from nodesMap and edgesMap
+ * (search index, year indices, adjacency lists, ...) rebuild it before the
+ * scene can be used again. "graphEdgesReplaced" follows once the edges are
+ * in, or once loading them has failed, for the modules that use the edges.
+ */
+
+import * as THREE from "three";
+import { getClusterColorMap, getClusterLabelMap } from "./dataUtils.js";
+import { loadNodeData } from "./nodesLoader.js";
+import {
+  loadEdgeData,
+  clearEdgeData,
+  edgesGeometry,
+  edgesMap as loadedEdgesMap,
+  edgeIndices,
+} from "./edgesLoader.js";
+import { createNodes, points } from "./nodesCreation.js";
+import {
+  createEdgeObject,
+  createEdges,
+  lineSegments,
+} from "./edgeCreation.js";
+import { updateNodeInfo } from "./singleNodeSelection.js";
+import { instructionsModal } from "./instructionsModal.js";
+import { announce } from "./announcer.js";
+import {
+  createReport,
+  mergeReport,
+  validateGraph,
+  DataValidationError,
+} from "./dataValidation.js";
+import { parseGraphML, parseGEXF, parseCSVGraph } from "./graphFormats.js";
+
+// Formats of single files holding the whole graph
+const GRAPH_PARSERS = {
+  graphml: parseGraphML,
+  gexf: parseGEXF,
+};
+// Formats of node / edge file pairs
+const PAIR_PATTERNS = {
+  json: /\.json(\.gz)?$/i,
+  csv: /\.csv$/i,
+};
+
+class GraphImport {
+  constructor() {
+    this.scene = null;
+    this.parent = null;
+    this.lodSystem = null;
+    this.loading = false;
+    this.dragDepth = 0;
+    this.overlay = null;
+    this.fileInput = null;
+  }
+
+  /**
+   * Enable drag-and-drop and the file picker
+   * @param {THREE.Scene} scene - The scene object
+   * @param {THREE.Object3D} parent - Group holding the nodes and edges
+   * @param {LODSystem} lodSystem - Level of detail system of the scene
+   */
+  initialize(scene, parent, lodSystem) {
+    this.scene = scene;
+    this.parent = parent;
+    this.lodSystem = lodSystem;
+
+    this.createOverlay();
+
+    const section = document.getElementById("graphImportSection");
+    const button = document.getElementById("graphImportButton");
+    this.fileInput = document.getElementById("graphImportInput");
+    if (section && button && this.fileInput) {
+      button.addEventListener("click", () => this.fileInput.click());
+      this.fileInput.addEventListener("change", () => {
+        this.load(Array.from(this.fileInput.files));
+        this.fileInput.value = "";
+      });
+      section.hidden = false;
+    }
+
+    // dragenter / dragleave fire for every child element crossed, so the
+    // overlay is shown while the depth is above zero
+    window.addEventListener("dragenter", (event) => {
+      if (!this.hasFiles(event)) return;
+      event.preventDefault();
+      this.dragDepth++;
+      this.overlay.hidden = false;
+    });
+    window.addEventListener("dragover", (event) => {
+      if (!this.hasFiles(event)) return;
+      event.preventDefault();
+      event.dataTransfer.dropEffect = "copy";
+    });
+    window.addEventListener("dragleave", () => {
+      this.dragDepth = Math.max(0, this.dragDepth - 1);
+      if (this.dragDepth === 0) this.overlay.hidden = true;
+    });
+    window.addEventListener("drop", (event) => {
+      if (!this.hasFiles(event)) return;
+      event.preventDefault();
+      this.dragDepth = 0;
+      this.overlay.hidden = true;
+      this.load(Array.from(event.dataTransfer.files));
+    });
+  }
+
+  hasFiles(event) {
+    return Array.from(event.dataTransfer?.types || []).includes("Files");
+  }
+
+  createOverlay() {
+    this.overlay = document.createElement("div");
+    this.overlay.id = "graphDropOverlay";
+    this.overlay.className = "graph-drop-overlay";
+    this.overlay.textContent =
+      "Drop a GraphML or GEXF file, or a node file and an edge file, to " +
+      "load them";
+    this.overlay.hidden = true;
+    document.body.appendChild(this.overlay);
+  }
+
+  /**
+   * Pick a graph file, or the node and edge file, out of the given files
+   * @param {File[]} files - Dropped or chosen files
+   * @returns {{format: string, nodes: File, edges: File}} For GraphML and
+   *   GEXF, nodes and edges are the same file
+   * @throws When neither is found
+   */
+  findFiles(files) {
+    for (const format of Object.keys(GRAPH_PARSERS)) {
+      const file = files.find(({ name }) =>
+        name.toLowerCase().endsWith(`.${format}`)
+      );
+      if (file) return { format, nodes: file, edges: file };
+    }
+
+    for (const [format, pattern] of Object.entries(PAIR_PATTERNS)) {
+      const dataFiles = files.filter(({ name }) => pattern.test(name));
+      const nodes = dataFiles.find(({ name }) => /node/i.test(name));
+      const edges = dataFiles.find(({ name }) => /edge/i.test(name));
+      if (nodes && edges) return { format, nodes, edges };
+    }
+
+    throw new Error(
+      "Please provide a GraphML or GEXF file, or two JSON (.json or " +
+        '.json.gz) or CSV files, one with "nodes" and one with "edges" in ' +
+        "its name."
+    );
+  }
+
+  /**
+   * Get pipeline URLs for the selected files, converting CSV, GraphML and
+   * GEXF to the JSON schema
+   * @param {Object} selected - See findFiles
+   * @param {Object} report - Validation report for conversion problems
+   * @returns {Promise<Object>} nodesUrl, edgesUrl, and the clusterColors
+   *   ({ [cluster]: [r, g, b] }) and clusterLabels found in the files
+   * @throws {DataValidationError} When the files can't be converted
+   */
+  async readFiles(selected, report) {
+    const { format, nodes, edges } = selected;
+    if (format === "json") {
+      return {
+        nodesUrl: URL.createObjectURL(nodes),
+        edgesUrl: URL.createObjectURL(edges),
+        clusterColors: {},
+        clusterLabels: {},
+      };
+    }
+
+    const graph =
+      format === "csv"
+        ? parseCSVGraph(await nodes.text(), await edges.text(), report)
+        : GRAPH_PARSERS[format](await nodes.text(), report);
+    const toUrl = (data) =>
+      URL.createObjectURL(
+        new Blob([JSON.stringify(data)], { type: "application/json" })
+      );
+    return {
+      nodesUrl: toUrl(graph.nodes),
+      edgesUrl: toUrl(graph.edges),
+      clusterColors: graph.clusterColors,
+      clusterLabels: graph.clusterLabels,
+    };
+  }
+
+  /**
+   * Replace the graph with the nodes and edges in the given files
+   * @param {File[]} files - Dropped or chosen files
+   */
+  async load(files) {
+    if (this.loading || !files.length) return;
+
+    let selected;
+    try {
+      selected = this.findFiles(files);
+    } catch (error) {
+      instructionsModal.showError(error.message);
+      return;
+    }
+
+    this.loading = true;
+    const showProgress = (message, fraction) =>
+      instructionsModal.showLoading(message, fraction);
+    const report = createReport();
+    let sources = null;
+
+    try {
+      showProgress(`Loading ${selected.nodes.name}...`);
+      try {
+        sources = await this.readFiles(selected, report);
+      } catch (error) {
+        this.showLoadError(selected.nodes.name, error, report);
+        return;
+      }
+      const { nodesUrl, edgesUrl } = sources;
+      const clusterColorMap = { ...getClusterColorMap() };
+      Object.entries(sources.clusterColors).forEach(([cluster, rgb]) => {
+        clusterColorMap[cluster] = new THREE.Color().fromArray(rgb);
+      });
+      const clusterLabelMap = {
+        ...getClusterLabelMap(),
+        ...sources.clusterLabels,
+      };
+
+      // The current graph stays in place until the nodes have been read
+      // successfully. User files are loaded in full.
+      let nodesMap;
+      try {
+        const nodeData = await loadNodeData(
+          nodesUrl,
+          1,
+          clusterLabelMap,
+          clusterColorMap,
+          showProgress
+        );
+        nodesMap = nodeData.nodesMap;
+        mergeReport(report, nodeData.report);
+        this.replaceNodes(nodeData.nodesGeometry);
+      } catch (error) {
+        this.showLoadError(selected.nodes.name, error, report);
+        return;
+      }
+      this.removeEdges();
+      this.createEmptyEdges(nodesMap);
+      this.dispatchReplaced(selected);
+      instructionsModal.revealScene();
+
+      let edgesMap;
+      try {
+        const edgeData = await this.createEdges(
+          edgesUrl,
+          clusterColorMap,
+          nodesMap,
+          showProgress
+        );
+        edgesMap = edgeData.edgesMap;
+        mergeReport(report, edgeData.report);
+      } catch (error) {
+        // Drop what was streamed of the edges
+        this.removeEdges();
+        this.createEmptyEdges(nodesMap);
+        this.dispatchEdgesReplaced();
+        this.showLoadError(
+          selected.edges.name,
+          error,
+          report,
+          "The new papers are shown without citations."
+        );
+        return;
+      }
+
+      this.dispatchEdgesReplaced();
+      validateGraph(
+        { nodesMap, edgesMap, clusterColorMap, clusterLabelMap },
+        report
+      );
+      instructionsModal.setLoaded();
+      if (report.issues.length) instructionsModal.showReport(report);
+      announce(
+        `Loaded ${nodesMap.size.toLocaleString()} papers from ` +
+          selected.nodes.name
+      );
+    } finally {
+      if (sources) {
+        URL.revokeObjectURL(sources.nodesUrl);
+        URL.revokeObjectURL(sources.edgesUrl);
+      }
+      this.loading = false;
+    }
+  }
+
+  // List the problems of an invalid file, or say why it couldn't be read
+  showLoadError(fileName, error, report, consequence = "") {
+    if (error instanceof DataValidationError) {
+      // Reports from the pipeline worker are copies
+      if (error.report !== report) mergeReport(report, error.report);
+      instructionsModal.showReport(report);
+      return;
+    }
+    instructionsModal.showError(
+      `Could not load ${fileName}: ${error.message}. ${consequence}`.trim()
+    );
+  }
+
+  // Swap the points object for one on the new geometry
+  replaceNodes(nodesGeometry) {
+    const oldPoints = points;
+    this.lodSystem.setNodes(null);
+    if (oldPoints) {
+      oldPoints.removeFromParent();
+      oldPoints.geometry.dispose();
+      oldPoints.material.uniforms.nodeTexture.value.dispose();
+      oldPoints.material.dispose();
+    }
+
+    const { points: newPoints } = createNodes(nodesGeometry);
+    this.parent.add(newPoints);
+    this.lodSystem.setNodes(newPoints);
+  }
+
+  removeEdges() {
+    const oldEdges = lineSegments;
+    // The LOD system may have swapped in one of its own geometries
+    const oldGeometry = edgesGeometry;
+    this.lodSystem.setEdges(null);
+    if (oldEdges) this.disposeEdgeObject(oldEdges);
+    if (oldGeometry) oldGeometry.dispose();
+  }
+
+  disposeEdgeObject(edgeObject) {
+    edgeObject.removeFromParent();
+    edgeObject.geometry.dispose();
+    edgeObject.material.dispose();
+  }
+
+  // Stand in for the edges while they load, or when they can't be loaded,
+  // so that lineSegments and edgesGeometry never point at released buffers
+  createEmptyEdges(nodesMap) {
+    const geometry = clearEdgeData();
+    const edgeObject = createEdges(
+      geometry,
+      loadedEdgesMap,
+      nodesMap,
+      edgeIndices
+    );
+    this.parent.add(edgeObject);
+  }
+
+  async createEdges(url, clusterColorMap, nodesMap, onProgress) {
+    // Draw the edges as soon as the first chunk is in, as on the first load,
+    // in place of the empty stand-in
+    const emptyEdges = lineSegments;
+    let streamedEdges = null;
+    const result = await loadEdgeData(
+      url,
+      clusterColorMap,
+      onProgress,
+      (geometry) => {
+        if (streamedEdges) return;
+        this.disposeEdgeObject(emptyEdges);
+        streamedEdges = createEdgeObject(geometry);
+        this.parent.add(streamedEdges);
+      }
+    );
+    // No chunk streamed in, e.g. for a file without edges: the stand-in is
+    // still attached
+    if (!streamedEdges && emptyEdges) this.disposeEdgeObject(emptyEdges);
+
+    const edgeObject = createEdges(
+      result.edgesGeometry,
+      result.edgesMap,
+      nodesMap,
+      result.edgeIndices
+    );
+    if (!edgeObject.parent) {
+      this.parent.add(edgeObject);
+    }
+    this.lodSystem.setEdges(edgeObject);
+    return result;
+  }
+
+  // Let other modules rebuild what they derived from the old data, then
+  // clear the selection, which pointed at an old node
+  dispatchReplaced(selected) {
+    window.dispatchEvent(
+      new CustomEvent("graphDataReplaced", {
+        detail: {
+          nodesFile: selected.nodes.name,
+          edgesFile: selected.edges.name,
+        },
+      })
+    );
+    updateNodeInfo(null, null, null, this.scene);
+  }
+
+  dispatchEdgesReplaced() {
+    window.dispatchEvent(new Event("graphEdgesReplaced"));
+  }
+}
+
+export const graphImport = new GraphImport();
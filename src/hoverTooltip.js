@@ -0,0 +1,143 @@
+/**
+ * @file hoverTooltip.js
+ * @description Lightweight paper preview on hover. A throttled raycast over the
+ * points object finds the visible node under the cursor, shows a floating
+ * tooltip with its title, year and cluster label and gives it a soft brightness
+ * boost. Click selection in singleNodeSelection.js is left untouched.
+ */
+
+import { CONFIG } from "./config.js";
+import { nodesMap } from "./nodesLoader.js";
+import { nodeBrightness } from "./nodeBrightness.js";
+import { raycastVisibleNode } from "./singleNodeSelection.js";
+
+const TOOLTIP_OFFSET = 14; // pixels between cursor and tooltip
+
+let tooltip = null;
+let hoveredIndex = -1;
+let lastRaycastTime = 0;
+let pendingEvent = null;
+let pendingTimer = null;
+
+/**
+ * Initialize hover tooltips
+ * @param {HTMLCanvasElement} canvas - The WebGL canvas
+ * @param {THREE.Camera} camera - The camera object
+ * @param {THREE.Scene} scene - The scene object
+ */
+export function initializeHoverTooltip(canvas, camera, scene) {
+  if (!CONFIG.hoverTooltip.enabled) return;
+
+  createTooltip();
+
+  canvas.addEventListener("pointermove", (event) => {
+    // No hover on touch screens, and none while orbiting or drawing a lasso
+    if (event.pointerType === "touch" || event.buttons !== 0) {
+      clearHover();
+      return;
+    }
+
+    pendingEvent = event;
+    const elapsed = performance.now() - lastRaycastTime;
+    if (elapsed >= CONFIG.hoverTooltip.throttleDelay) {
+      processPendingEvent(canvas, camera, scene);
+    } else if (!pendingTimer) {
+      pendingTimer = setTimeout(
+        () => processPendingEvent(canvas, camera, scene),
+        CONFIG.hoverTooltip.throttleDelay - elapsed
+      );
+    }
+  });
+
+  canvas.addEventListener("pointerleave", clearHover);
+  canvas.addEventListener("pointerdown", clearHover);
+  window.addEventListener("graphDataReplaced", clearHover);
+}
+
+function processPendingEvent(canvas, camera, scene) {
+  clearTimeout(pendingTimer);
+  pendingTimer = null;
+  lastRaycastTime = performance.now();
+
+  const event = pendingEvent;
+  pendingEvent = null;
+  if (!event) return;
+
+  const intersection = raycastVisibleNode(event, canvas, camera, scene);
+  if (!intersection) {
+    clearHover();
+    return;
+  }
+
+  if (intersection.index !== hoveredIndex) {
+    setHoveredNode(intersection.index);
+  }
+  positionTooltip(event.clientX, event.clientY);
+}
+
+function setHoveredNode(index) {
+  const node = nodesMap.get(index);
+  if (!node) {
+    clearHover();
+    return;
+  }
+
+  restoreBrightness();
+  hoveredIndex = index;
+  applyBrightness();
+
+  tooltip.innerHTML = "";
+  const title = document.createElement("div");
+  title.className = "hover-tooltip-title";
+  title.textContent = node.title || "Untitled";
+  const metadata = document.createElement("div");
+  metadata.className = "hover-tooltip-metadata";
+  metadata.textContent = `${node.year} · ${node.clusterLabel || "Unlabeled"}`;
+  tooltip.appendChild(title);
+  tooltip.appendChild(metadata);
+  tooltip.style.display = "block";
+}
+
+function clearHover() {
+  clearTimeout(pendingTimer);
+  pendingTimer = null;
+  pendingEvent = null;
+  restoreBrightness();
+  hoveredIndex = -1;
+  if (tooltip) tooltip.style.display = "none";
+}
+
+// The hover layer ranks below every other highlight (see nodeBrightness.js)
+function applyBrightness() {
+  nodeBrightness.setLayer("hover", [
+    [hoveredIndex, CONFIG.hoverTooltip.brightness],
+  ]);
+}
+
+function restoreBrightness() {
+  nodeBrightness.clearLayer("hover");
+}
+
+function createTooltip() {
+  tooltip = document.createElement("div");
+  tooltip.id = "hoverTooltip";
+  tooltip.style.display = "none";
+  document.body.appendChild(tooltip);
+}
+
+// Place the tooltip next to the cursor, flipping it when it would leave the window
+function positionTooltip(clientX, clientY) {
+  const { offsetWidth, offsetHeight } = tooltip;
+  let left = clientX + TOOLTIP_OFFSET;
+  let top = clientY + TOOLTIP_OFFSET;
+
+  if (left + offsetWidth > window.innerWidth) {
+    left = clientX - TOOLTIP_OFFSET - offsetWidth;
+  }
+  if (top + offsetHeight > window.innerHeight) {
+    top = clientY - TOOLTIP_OFFSET - offsetHeight;
+  }
+
+  tooltip.style.left = `${Math.max(0, left)}px`;
+  tooltip.style.top = `${Math.max(0, top)}px`;
+}
@@ -8,7 +8,10 @@ export class InstructionsModal {
     this.instructionsContent = null;
     this.errorContent = null;
     this.loadingStatus = null;
+    this.loadingProgress = null;
+    this.errorTitle = null;
     this.errorMessage = null;
+    this.errorReport = null;
     this.isLoading = false;
   }
 
@@ -21,7 +24,10 @@ export class InstructionsModal {
     this.instructionsContent = document.getElementById("instructionsContent");
     this.errorContent = document.getElementById("errorContent");
     this.loadingStatus = document.getElementById("loadingStatus");
+    this.loadingProgress = document.getElementById("loadingProgress");
+    this.errorTitle = document.getElementById("errorTitle");
     this.errorMessage = document.getElementById("errorMessage");
+    this.errorReport = document.getElementById("errorReport");
 
     if (!this.modal || !this.closeButton) {
       console.error("Modal: Required elements not found!");
@@ -45,10 +51,14 @@ export class InstructionsModal {
    * Show a specific section of the modal
    */
   showSection(sectionId) {
-    // Hide all sections
-    this.loadingContent?.classList.remove("active");
-    this.instructionsContent?.classList.remove("active");
-    this.errorContent?.classList.remove("active");
+    // Hide all sections (show() also sets inline display styles, so clear them)
+    [this.loadingContent, this.instructionsContent, this.errorContent].forEach(
+      (section) => {
+        if (!section) return;
+        section.classList.remove("active");
+        section.style.display = "";
+      }
+    );
 
     // Show the requested section
     const section = document.getElementById(sectionId);
@@ -81,25 +91,116 @@ export class InstructionsModal {
     }
   }
 
-  showLoading(message = "Loading visualization data...") {
+  /**
+   * Show the loading screen
+   * @param {string} [message] - Current loading stage
+   * @param {number|null} [fraction] - Progress of the stage from 0 to 1, or
+   *   null when unknown
+   */
+  showLoading(message = "Loading visualization data...", fraction = null) {
     if (this.modal && this.loadingStatus) {
       this.modal.style.display = "block";
       this.loadingStatus.textContent = message;
+      this.updateProgress(fraction);
       this.showSection("loadingContent");
       this.closeButton.style.display = "none";
       this.isLoading = true;
     }
   }
 
-  showError(message) {
+  updateProgress(fraction) {
+    if (!this.loadingProgress) return;
+
+    const bar = this.loadingProgress.firstElementChild;
+    const indeterminate = fraction === null;
+    this.loadingProgress.classList.toggle("indeterminate", indeterminate);
+    if (indeterminate) {
+      this.loadingProgress.removeAttribute("aria-valuenow");
+      bar.style.width = "";
+    } else {
+      const percent = Math.round(Math.min(1, Math.max(0, fraction)) * 100);
+      this.loadingProgress.setAttribute("aria-valuenow", percent);
+      bar.style.width = `${percent}%`;
+    }
+  }
+
+  /**
+   * Lighten the backdrop while loading continues, once part of the data is
+   * drawn in the scene
+   */
+  revealScene() {
+    if (this.modal) {
+      this.modal.classList.add("revealing-scene");
+    }
+  }
+
+  showError(message, title = "Error") {
     if (this.modal && this.errorMessage) {
       this.modal.style.display = "block";
+      if (this.errorTitle) this.errorTitle.textContent = title;
       this.errorMessage.textContent = message;
+      if (this.errorReport) this.errorReport.replaceChildren();
       this.showSection("errorContent");
       this.closeButton.style.display = "block";
     }
   }
 
+  /**
+   * Show the problems found in the data files, grouped by file
+   * @param {Object} report - Validation report (see dataValidation.js)
+   */
+  showReport(report) {
+    const errors = report.issues.filter(({ severity }) => severity === "error");
+    if (errors.length) {
+      this.showError(
+        "The data could not be loaded. Please fix the problems marked in red.",
+        "Problems in the data"
+      );
+    } else {
+      this.showError(
+        "The data was loaded, but some entries were skipped or shown with " +
+          "defaults:",
+        "Data warnings"
+      );
+    }
+    if (!this.errorReport) return;
+
+    const files = new Map();
+    report.issues.forEach((issue) => {
+      if (!files.has(issue.file)) files.set(issue.file, []);
+      files.get(issue.file).push(issue);
+    });
+
+    files.forEach((issues, file) => {
+      const heading = document.createElement("h3");
+      heading.textContent = file;
+      const list = document.createElement("ul");
+
+      // Errors first: they are what stops loading
+      const rank = ({ severity }) => (severity === "error" ? 0 : 1);
+      issues
+        .sort((a, b) => rank(a) - rank(b))
+        .forEach(({ severity, message, count, examples }) => {
+          const item = document.createElement("li");
+          item.className = severity;
+          item.textContent = message;
+          // Problems with a whole file have no entries to count
+          if (examples.length) {
+            item.textContent += `: ${count.toLocaleString()} ${
+              count === 1 ? "entry" : "entries"
+            }`;
+            const exampleText = document.createElement("span");
+            exampleText.className = "validation-report-examples";
+            exampleText.textContent = `e.g. ${examples.join(", ")}`;
+            item.appendChild(exampleText);
+          }
+          list.appendChild(item);
+        });
+
+      this.errorReport.append(heading, list);
+    });
+  }
+
   hide() {
     if (this.modal) {
       this.modal.style.display = "none";
@@ -108,6 +209,9 @@ export class InstructionsModal {
 
   setLoaded() {
     this.isLoading = false;
+    if (this.modal) {
+      this.modal.classList.remove("revealing-scene");
+    }
     this.hide();
   }
 }
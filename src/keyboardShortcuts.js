@@ -0,0 +1,105 @@
+/**
+ * @file keyboardShortcuts.js
+ * @description Global keyboard shortcuts. Keys are ignored while typing in a
+ * text field or when a modifier key is held, so they never interfere with
+ * search or browser shortcuts.
+ *
+ * Shortcuts:
+ *   h      Show instructions
+ *   /      Focus search
+ *   r      Reset view
+ *   e      Show/hide edges
+ *   p      Play/pause time evolution
+ *   Escape Clear the selected paper
+ */
+
+import { resetCameraView } from "./sceneCreation.js";
+import { instructionsModal } from "./instructionsModal.js";
+import { timeTravelController } from "./timeTravel.js";
+import { lineSegments } from "./edgeCreation.js";
+import { focusSearch } from "./searchFunctionality.js";
+import {
+  updateNodeInfo,
+  getSelectedNodeIndex,
+} from "./singleNodeSelection.js";
+import { announce } from "./announcer.js";
+
+let camera = null;
+let controls = null;
+let scene = null;
+
+const SHORTCUTS = {
+  h: () => instructionsModal.show(),
+  "/": focusSearch,
+  r: resetView,
+  e: toggleEdges,
+  p: toggleTimeTravel,
+  Escape: clearSelection,
+};
+
+/**
+ * Register the keyboard shortcuts
+ * @param {THREE.Camera} cam - The camera object
+ * @param {OrbitControls} orbitControls - The orbit controls
+ * @param {THREE.Scene} sceneObj - The scene object
+ */
+export function initializeKeyboardShortcuts(cam, orbitControls, sceneObj) {
+  camera = cam;
+  controls = orbitControls;
+  scene = sceneObj;
+
+  document.addEventListener("keydown", handleKeyDown);
+}
+
+function handleKeyDown(event) {
+  if (event.ctrlKey || event.metaKey || event.altKey) return;
+  if (isTypingTarget(event.target)) return;
+
+  const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+  const action = SHORTCUTS[key];
+  if (!action) return;
+
+  event.preventDefault();
+  action();
+}
+
+function isTypingTarget(element) {
+  if (!element) return false;
+  const tagName = element.tagName;
+  return (
+    (tagName === "INPUT" &&
+      !["checkbox", "radio", "button", "range"].includes(element.type)) ||
+    tagName === "TEXTAREA" ||
+    tagName === "SELECT" ||
+    element.isContentEditable
+  );
+}
+
+/**
+ * Move the camera back to its initial position
+ */
+function resetView() {
+  resetCameraView(camera, controls);
+  announce("View reset");
+}
+
+function toggleEdges() {
+  if (!lineSegments) return;
+  lineSegments.visible = !lineSegments.visible;
+  announce(lineSegments.visible ? "Edges shown" : "Edges hidden");
+}
+
+function toggleTimeTravel() {
+  if (timeTravelController.isPlaying) {
+    timeTravelController.pause();
+    announce(`Time evolution paused at ${timeTravelController.currentYear}`);
+  } else {
+    timeTravelController.start();
+    if (timeTravelController.isPlaying) announce("Time evolution playing");
+  }
+}
+
+function clearSelection() {
+  if (getSelectedNodeIndex() === -1) return;
+  updateNodeInfo(null, null, scene);
+}
@@ -0,0 +1,148 @@
+/**
+ * @file lassoSelection.js
+ * @description Free-hand lasso for selecting many nodes at once. Holding Alt and
+ * dragging on the canvas draws a polygon; on release, every visible node whose
+ * screen projection falls inside it is passed to the selection callback.
+ * Orbit controls are suspended while drawing.
+ */
+
+import * as THREE from "three";
+import { visibilityManager } from "./visibilityManager.js";
+
+const MIN_POINT_DISTANCE = 3; // pixels between recorded lasso points
+
+let lassoPoints = [];
+let overlay = null;
+let lassoShape = null;
+let isDrawing = false;
+
+/**
+ * Initialize the lasso
+ * @param {HTMLCanvasElement} canvas - The WebGL canvas
+ * @param {THREE.Camera} camera - The camera object
+ * @param {OrbitControls} controls - The orbit controls
+ * @param {THREE.Scene} scene - The scene object
+ * @param {Function} onSelect - Called with the array of selected node indices
+ */
+export function initializeLasso(canvas, camera, controls, scene, onSelect) {
+  createOverlay();
+
+  // Capture phase on window so we run before OrbitControls sees the event
+  window.addEventListener(
+    "pointerdown",
+    (event) => {
+      if (event.target !== canvas || !event.altKey || event.button !== 0) {
+        return;
+      }
+      event.stopPropagation();
+      event.preventDefault();
+
+      isDrawing = true;
+      controls.enabled = false;
+      lassoPoints = [toCanvasPoint(event, canvas)];
+      overlay.style.display = "block";
+      updateLassoShape();
+    },
+    { capture: true }
+  );
+
+  window.addEventListener("pointermove", (event) => {
+    if (!isDrawing) return;
+    const point = toCanvasPoint(event, canvas);
+    const last = lassoPoints[lassoPoints.length - 1];
+    if (Math.hypot(point.x - last.x, point.y - last.y) >= MIN_POINT_DISTANCE) {
+      lassoPoints.push(point);
+      updateLassoShape();
+    }
+  });
+
+  window.addEventListener("pointerup", () => {
+    if (!isDrawing) return;
+    isDrawing = false;
+    controls.enabled = true;
+    overlay.style.display = "none";
+
+    if (lassoPoints.length >= 3) {
+      const indices = selectNodesInPolygon(lassoPoints, canvas, camera, scene);
+      console.log(`Lasso selected ${indices.length} nodes`);
+      onSelect(indices);
+    }
+    lassoPoints = [];
+  });
+}
+
+function createOverlay() {
+  const svgNamespace = "http://www.w3.org/2000/svg";
+  overlay = document.createElementNS(svgNamespace, "svg");
+  overlay.id = "lassoOverlay";
+  overlay.style.display = "none";
+
+  lassoShape = document.createElementNS(svgNamespace, "polygon");
+  lassoShape.setAttribute("class", "lasso-polygon");
+  overlay.appendChild(lassoShape);
+
+  document.body.appendChild(overlay);
+}
+
+function updateLassoShape() {
+  lassoShape.setAttribute(
+    "points",
+    lassoPoints.map((point) => `${point.x},${point.y}`).join(" ")
+  );
+}
+
+function toCanvasPoint(event, canvas) {
+  const rect = canvas.getBoundingClientRect();
+  return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+}
+
+/**
+ * Find all visible nodes whose screen position lies inside the polygon
+ * @param {Array<{x: number, y: number}>} polygon - Lasso points in canvas pixels
+ * @param {HTMLCanvasElement} canvas - The WebGL canvas
+ * @param {THREE.Camera} camera - The camera object
+ * @param {THREE.Scene} scene - The scene object
+ * @returns {number[]} Buffer indices of the enclosed nodes
+ */
+function selectNodesInPolygon(polygon, canvas, camera, scene) {
+  const points = scene.getObjectByName("points");
+  if (!points) return [];
+
+  const positions = points.geometry.attributes.position.array;
+  const rect = canvas.getBoundingClientRect();
+  const vector = new THREE.Vector3();
+  const selected = [];
+
+  for (let i = 0; i < positions.length / 3; i++) {
+    if (!visibilityManager.isNodeShown(i)) continue;
+
+    vector
+      .set(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2])
+      .applyMatrix4(points.matrixWorld)
+      .project(camera);
+    if (vector.z > 1) continue; // Behind the camera
+
+    const x = (vector.x * 0.5 + 0.5) * rect.width;
+    const y = (-vector.y * 0.5 + 0.5) * rect.height;
+    if (isPointInPolygon(x, y, polygon)) {
+      selected.push(i);
+    }
+  }
+
+  return selected;
+}
+
+// Ray casting point-in-polygon test
+function isPointInPolygon(x, y, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const xi = polygon[i].x;
+    const yi = polygon[i].y;
+    const xj = polygon[j].x;
+    const yj = polygon[j].y;
+    const intersects =
+      yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi;
+    if (intersects) inside = !inside;
+  }
+  return inside;
+}
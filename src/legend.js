@@ -11,19 +11,32 @@
  * - Dynamic creation of a tree-like structure for the legend
  * - Management of selections and leaf keys
  * - Interactive folding/unfolding of legend sections
+ * - Keyboard navigation following the WAI-ARIA tree pattern (arrow keys move
+ *   and fold, Space toggles a checkbox, Enter applies the selection)
  * - Export of selected leaf keys for use in other parts of the application
  */
 
 import { loadJSONData } from "./dataUtils.js";
+import { createReport, validateLegend } from "./dataValidation.js";
 
 export let legendSelections = {};
 export let legendSelectedLeafKeys = [];
 
 // Legend Functions
 
-export async function initializeLegend(url) {
+/**
+ * Load the legend and build the tree
+ * @param {string} url - URL of the legend JSON
+ * @param {Object} [report] - Validation report to add problems to
+ * @returns {Promise<Set<number>|null>} Clusters listed in the legend, or null
+ *   when it could not be loaded
+ */
+export async function initializeLegend(url, report = createReport()) {
   try {
     const data = await loadJSONData(url);
+    const legendClusters = validateLegend(data, report);
+    if (!legendClusters) return null;
+
     const legendResult = createLegendTree(data);
     legendSelections = legendResult.legendSelections;
     legendSelectedLeafKeys = legendResult.legendSelectedLeafKeys;
@@ -35,8 +48,10 @@ export async function initializeLegend(url) {
     if (resetButton) {
       resetButton.addEventListener("click", resetLegendState);
     }
+    return legendClusters;
   } catch (error) {
     console.error("Error initializing legend:", error);
+    return null;
   }
 }
 
@@ -66,6 +81,7 @@ export function createLegendTree(data) {
 
   function setCheckboxState(checkbox, isChecked) {
     checkbox.checked = isChecked;
+    syncTreeItemChecked(checkbox);
     legendSelections[checkbox.id] = isChecked;
     if (checkbox.classList.contains("leaf-checkbox")) {
       updateLegendSelectedLeafKeys(checkbox.dataset.key, isChecked);
@@ -88,10 +104,16 @@ export function createLegendTree(data) {
         const item = obj[key];
         const node = document.createElement("div");
         node.className = "legend-item";
+        node.setAttribute("role", "treeitem");
+        node.setAttribute("aria-level", path.length + 1);
+        node.setAttribute("aria-label", key);
+        node.setAttribute("aria-checked", "false");
+        node.tabIndex = -1;
 
         const checkbox = document.createElement("input");
         checkbox.type = "checkbox";
         checkbox.id = path.concat(key).join("-");
+        checkbox.tabIndex = -1; // Focus moves between tree items instead
 
         const title = document.createElement("span");
         title.className = "legend-toggle";
@@ -114,6 +136,7 @@ export function createLegendTree(data) {
         if (Array.isArray(item) || typeof item === "object") {
           const subtree = document.createElement("div");
           subtree.className = "legend-subtree";
+          subtree.setAttribute("role", "group");
 
           if (Array.isArray(item)) {
             item.forEach((subItem, index) => {
@@ -121,12 +144,18 @@ export function createLegendTree(data) {
                 if (subItem.hasOwnProperty(subKey)) {
                   const listItem = document.createElement("div");
                   listItem.className = "legend-item";
+                  listItem.setAttribute("role", "treeitem");
+                  listItem.setAttribute("aria-level", path.length + 2);
+                  listItem.setAttribute("aria-label", subItem[subKey]);
+                  listItem.setAttribute("aria-checked", "false");
+                  listItem.tabIndex = -1;
 
                   const leafCheckbox = document.createElement("input");
                   leafCheckbox.type = "checkbox";
                   leafCheckbox.id = `${checkbox.id}-${index}-${subKey}`;
                   leafCheckbox.classList.add("leaf-checkbox");
                   leafCheckbox.dataset.key = subKey;
+                  leafCheckbox.tabIndex = -1;
 
                   const leafLabel = document.createElement("label");
                   leafLabel.htmlFor = leafCheckbox.id;
@@ -150,24 +179,17 @@ export function createLegendTree(data) {
           }
 
           node.appendChild(subtree);
-
-          title.addEventListener("click", (e) => {
-            subtree.style.display =
-              subtree.style.display === "none" ? "block" : "none";
-          });
+          node.setAttribute("aria-expanded", "false");
 
           // Add folding indicator
           const foldIndicator = document.createElement("span");
           foldIndicator.className = "fold-indicator";
           foldIndicator.textContent = "▶";
+          foldIndicator.setAttribute("aria-hidden", "true");
           container.insertBefore(foldIndicator, title);
 
-          foldIndicator.addEventListener("click", (e) => {
-            subtree.style.display =
-              subtree.style.display === "none" ? "block" : "none";
-            foldIndicator.textContent =
-              subtree.style.display === "none" ? "▶" : "▼";
-          });
+          title.addEventListener("click", () => toggleExpanded(node));
+          foldIndicator.addEventListener("click", () => toggleExpanded(node));
         }
 
         parent.appendChild(node);
@@ -175,14 +197,164 @@ export function createLegendTree(data) {
     }
   }
 
-  buildTree(data, treeContainer);
+  // The tree gets its own element so the buttons in #legendDiv stay outside it
+  const tree = document.createElement("div");
+  tree.className = "legend-tree-items";
+  tree.setAttribute("role", "tree");
+  tree.setAttribute("aria-label", "Clusters");
+  tree.setAttribute("aria-multiselectable", "true");
+  buildTree(data, tree);
+  treeContainer.appendChild(tree);
+  addTreeKeyboardNavigation(tree);
+
   return { legendSelections, legendSelectedLeafKeys };
 }
 
+/**
+ * Expand or collapse a branch of the legend tree
+ * @param {HTMLElement} item - A tree item with a subtree
+ * @param {boolean} [expanded] - The new state, toggled if omitted
+ */
+function toggleExpanded(item, expanded) {
+  const subtree = item.querySelector(":scope > .legend-subtree");
+  if (!subtree) return;
+
+  const isExpanded = expanded ?? item.getAttribute("aria-expanded") !== "true";
+  subtree.style.display = isExpanded ? "block" : "none";
+  item.setAttribute("aria-expanded", isExpanded ? "true" : "false");
+  const foldIndicator = item.querySelector(
+    ":scope > .legend-item-container > .fold-indicator"
+  );
+  foldIndicator.textContent = isExpanded ? "▼" : "▶";
+}
+
+function syncTreeItemChecked(checkbox) {
+  checkbox
+    .closest(".legend-item")
+    ?.setAttribute("aria-checked", checkbox.checked ? "true" : "false");
+}
+
+/**
+ * Roving-tabindex keyboard navigation: the tree is a single tab stop and the
+ * arrow keys move between the visible items
+ * @param {HTMLElement} tree - The element with role "tree"
+ */
+function addTreeKeyboardNavigation(tree) {
+  const getItems = () =>
+    Array.from(tree.querySelectorAll('[role="treeitem"]')).filter(
+      (item) => item.offsetParent !== null
+    );
+
+  const focusItem = (item) => {
+    if (!item) return;
+    tree
+      .querySelectorAll('[role="treeitem"][tabindex="0"]')
+      .forEach((other) => (other.tabIndex = -1));
+    item.tabIndex = 0;
+    item.focus();
+  };
+
+  const firstItem = tree.querySelector('[role="treeitem"]');
+  if (firstItem) firstItem.tabIndex = 0;
+
+  // Keep the tab stop on the item last used with the mouse
+  tree.addEventListener("focusin", (event) => {
+    const item = event.target.closest('[role="treeitem"]');
+    if (item && item.tabIndex !== 0) {
+      tree
+        .querySelectorAll('[role="treeitem"][tabindex="0"]')
+        .forEach((other) => (other.tabIndex = -1));
+      item.tabIndex = 0;
+    }
+  });
+
+  tree.addEventListener("keydown", (event) => {
+    const item = event.target.closest('[role="treeitem"]');
+    if (!item) return;
+
+    const items = getItems();
+    const position = items.indexOf(item);
+    const isBranch = item.hasAttribute("aria-expanded");
+    const isExpanded = item.getAttribute("aria-expanded") === "true";
+
+    switch (event.key) {
+      case "ArrowDown":
+        focusItem(items[position + 1]);
+        break;
+      case "ArrowUp":
+        focusItem(items[position - 1]);
+        break;
+      case "Home":
+        focusItem(items[0]);
+        break;
+      case "End":
+        focusItem(items[items.length - 1]);
+        break;
+      case "ArrowRight":
+        if (isBranch && !isExpanded) {
+          toggleExpanded(item, true);
+        } else if (isExpanded) {
+          focusItem(item.querySelector('.legend-subtree [role="treeitem"]'));
+        }
+        break;
+      case "ArrowLeft":
+        if (isExpanded) {
+          toggleExpanded(item, false);
+        } else {
+          focusItem(item.parentElement.closest('[role="treeitem"]'));
+        }
+        break;
+      case " ":
+        item
+          .querySelector(
+            ":scope > input, :scope > .legend-item-container > input"
+          )
+          .click();
+        break;
+      case "Enter":
+        document.getElementById("updateVisibility")?.click();
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  });
+}
+
 export function getLegendSelectedLeafKeys() {
   return legendSelectedLeafKeys;
 }
 
+/**
+ * Replace the current leaf selection (e.g. when restoring a shared link)
+ * and apply it the same way the "Update Selection" button does.
+ * @param {number[]} keys - Cluster ids to select
+ */
+export function setLegendSelectedLeafKeys(keys) {
+  const selectedKeys = new Set(keys.map((key) => parseInt(key, 10)));
+  const checkboxes = document.querySelectorAll(
+    '#legendDiv input[type="checkbox"]'
+  );
+
+  legendSelectedLeafKeys.length = 0;
+  checkboxes.forEach((checkbox) => {
+    const isLeaf = checkbox.classList.contains("leaf-checkbox");
+    const isChecked =
+      isLeaf && selectedKeys.has(parseInt(checkbox.dataset.key, 10));
+    checkbox.checked = isChecked;
+    syncTreeItemChecked(checkbox);
+    legendSelections[checkbox.id] = isChecked;
+    if (isChecked) {
+      const leafKey = parseInt(checkbox.dataset.key, 10);
+      if (!legendSelectedLeafKeys.includes(leafKey)) {
+        legendSelectedLeafKeys.push(leafKey);
+      }
+    }
+  });
+
+  document.getElementById("updateVisibility").click();
+}
+
 function resetLegendState() {
   // Get all checkboxes in the legend
   const checkboxes = document.querySelectorAll(
@@ -192,6 +364,7 @@ function resetLegendState() {
   // Uncheck all checkboxes
   checkboxes.forEach((checkbox) => {
     checkbox.checked = false;
+    syncTreeItemChecked(checkbox);
     // Update the internal state
     if (checkbox.classList.contains("leaf-checkbox")) {
       legendSelections[checkbox.id] = false;
@@ -145,6 +145,14 @@ class LODSystem {
     }
 
     setEdges(edges) {
+        // Release the LOD buffers of edges that are being replaced
+        [this.originalEdgeGeometry, this.edgeBufferA, this.edgeBufferB].forEach(
+            (geometry) => geometry && geometry.dispose()
+        );
+        this.originalEdgeGeometry = null;
+        this.edgeBufferA = null;
+        this.edgeBufferB = null;
+
         this.edges = edges;
         if (edges && edges.geometry) {
             this.originalEdgeGeometry = edges.geometry.clone();
@@ -156,11 +164,16 @@ class LODSystem {
 
     createEdgeBuffer() {
         const buffer = this.originalEdgeGeometry.clone();
-        // Pre-allocate all necessary attributes
-        buffer.setAttribute('position', this.originalEdgeGeometry.attributes.position.clone());
-        buffer.setAttribute('color', this.originalEdgeGeometry.attributes.color.clone());
-        buffer.setAttribute('visible', this.originalEdgeGeometry.attributes.visible.clone());
-        buffer.setAttribute('year', this.originalEdgeGeometry.attributes.year.clone());
+        // Share the attributes of the rendered geometry so that visibility updates
+        // survive buffer swaps; only the index differs between LOD levels
+        const attributes = this.edges.geometry.attributes;
+        buffer.setAttribute('position', attributes.position);
+        buffer.setAttribute('color', attributes.color);
+        buffer.setAttribute('visible', attributes.visible);
+        buffer.setAttribute('fadeStart', attributes.fadeStart);
+        buffer.setAttribute('year', attributes.year);
+        buffer.setAttribute('timeRange', attributes.timeRange);
+        buffer.setAttribute('clusterSlots', attributes.clusterSlots);
         return buffer;
     }
 
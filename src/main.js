@@ -7,12 +7,8 @@ import {
 } from "./dataUtils.js";
 import { loadNodeData } from "./nodesLoader.js";
 import { createNodes } from "./nodesCreation.js";
-import { loadEdgeData, updateEdgeVisibility } from "./edgesLoader.js";
-import {
-  createEdges,
-  showEdgesByYear,
-  setEdgeVisibility,
-} from "./edgeCreation.js";
+import { loadEdgeData } from "./edgesLoader.js";
+import { createEdgeObject, createEdges } from "./edgeCreation.js";
 import { createScene } from "./sceneCreation.js";
 import {
   raycaster,
@@ -21,9 +17,11 @@ import {
 } from "./singleNodeSelection.js";
 import { initializeLegend } from "./legend.js";
 import { initializeYearSlider } from "./yearSlider.js";
+import { initializeYearHistogram } from "./yearHistogram.js";
 import { startRendering } from "./renderer.js";
 import { addEventListeners } from "./eventListeners.js";
 import { visibilityManager } from "./visibilityManager.js";
+import { updateFadeTime } from "./gpuFilters.js";
 import { instructionsModal } from "./instructionsModal.js";
 import { creditsModal } from "./creditsModal.js";
 import { initializeSearch } from "./searchFunctionality.js";
@@ -33,43 +31,90 @@ import { TopicTree } from "./topicTree.js";
 import { videoUI } from "./video/index.js";
 import { screenshotController } from "./screenshot.js";
 import { initializeMobileLegends } from "./mobileLegends.js";
+import { initializeUrlState } from "./urlState.js";
+import { neighborhoodExplorer } from "./neighborhoodExplorer.js";
+import { workingSet } from "./workingSet.js";
+import { initializeExport } from "./exportSubset.js";
+import { citationPath } from "./citationPath.js";
+import { initializeHoverTooltip } from "./hoverTooltip.js";
+import { clusterDashboard } from "./clusterDashboard.js";
+import { offlineCache } from "./offlineCache.js";
+import { loadDataset, initializeDatasetPicker } from "./datasetManifest.js";
+import { graphImport } from "./graphImport.js";
+import {
+  createReport,
+  mergeReport,
+  formatReport,
+  validateGraph,
+  DataValidationError,
+} from "./dataValidation.js";
 
 const canvas = document.querySelector("canvas.webgl");
 
-async function loadMaps() {
-  await Promise.all([
-    loadClusterColorMap(CONFIG.clusterColorMapUrl),
-    loadClusterLabelMap(CONFIG.clusterLabelMapUrl),
+async function loadMaps(files, report) {
+  // Let both maps finish, so the report lists the problems of both
+  const results = await Promise.allSettled([
+    loadClusterColorMap(files.clusterColorMap, report),
+    loadClusterLabelMap(files.clusterLabelMap, report),
   ]);
+  const failed = results.find(({ status }) => status === "rejected");
+  if (failed) throw failed.reason;
+
   return {
     clusterColorMap: getClusterColorMap(),
     clusterLabelMap: getClusterLabelMap(),
   };
 }
 
-async function loadAndCreateNodes(parent, clusterLabelMap, clusterColorMap) {
-  const { nodesMap, nodesGeometry } = await loadNodeData(
-    CONFIG.nodeDataUrl,
+// Report data pipeline progress on the loading screen
+const showLoadingProgress = (message, fraction) =>
+  instructionsModal.showLoading(message, fraction);
+
+async function loadAndCreateNodes(
+  parent,
+  files,
+  clusterLabelMap,
+  clusterColorMap,
+  report
+) {
+  const nodeData = await loadNodeData(
+    files.nodes,
     CONFIG.fractionOfNodesToLoad,
     clusterLabelMap,
-    clusterColorMap
+    clusterColorMap,
+    showLoadingProgress
   );
+  const { nodesMap, nodesGeometry } = nodeData;
+  mergeReport(report, nodeData.report);
   if (!nodesMap.size || !nodesGeometry) {
     throw new Error("Node data not loaded properly");
   }
   const { points } = createNodes(nodesGeometry);
   parent.add(points);
-  console.log("get node 8214");
-  console.log(nodesMap.get(8214).position);
   return { nodesMap, points };
 }
 
-async function loadAndCreateEdges(parent, clusterColorMap, nodesMap) {
-  // Use the new optimized edge loading approach
-  const { edgesMap, edgesGeometry, edgeIndices } = await loadEdgeData(
-    CONFIG.edgeDataUrl,
-    clusterColorMap
+async function loadAndCreateEdges(
+  parent,
+  files,
+  clusterColorMap,
+  nodesMap,
+  report
+) {
+  // Edges arrive in chunks: draw them as soon as the first chunk is in
+  let streamedEdges = null;
+  const edgeData = await loadEdgeData(
+    files.edges,
+    clusterColorMap,
+    showLoadingProgress,
+    (geometry) => {
+      if (streamedEdges) return;
+      streamedEdges = createEdgeObject(geometry);
+      parent.add(streamedEdges);
+    }
   );
+  const { edgesMap, edgesGeometry, edgeIndices } = edgeData;
+  mergeReport(report, edgeData.report);
 
   if (!edgesMap.size || !edgesGeometry) {
     throw new Error("Edge data not loaded properly");
@@ -87,7 +132,10 @@ async function loadAndCreateEdges(parent, clusterColorMap, nodesMap) {
     throw new Error("Failed to create edges");
   }
 
-  parent.add(edgeObject);
+  // createEdges completes the streamed object
+  if (!edgeObject.parent) {
+    parent.add(edgeObject);
+  }
 
   // Return both the edge object and maps for external access
   return { edgeObject, edgesMap, edgesGeometry };
@@ -100,7 +148,17 @@ async function initializeScene() {
   instructionsModal.initialize();
   creditsModal.initialize();
 
+  // Problems found in the data files (see dataValidation.js)
+  const report = createReport();
+
   try {
+    // The dataset manifest decides the data files, year bounds and camera
+    const dataset = await loadDataset();
+    initializeDatasetPicker();
+
+    // Register the service worker early so this visit's requests are cached
+    offlineCache.initialize();
+
     const { scene, camera, renderer, controls, parent } = createScene(canvas);
     camera.isPerspectiveCamera = true;
 
@@ -111,32 +169,71 @@ async function initializeScene() {
     const lodSystem = new LODSystem(camera, scene);
 
     console.log("Starting data loading and visualization process...");
+    instructionsModal.showLoading();
 
-    const { clusterColorMap, clusterLabelMap } = await loadMaps();
+    const { clusterColorMap, clusterLabelMap } = await loadMaps(
+      dataset.files,
+      report
+    );
     console.log("Label and Color Maps Successfully Loaded");
 
     const { nodesMap, points } = await loadAndCreateNodes(
       parent,
+      dataset.files,
       clusterLabelMap,
-      clusterColorMap
+      clusterColorMap,
+      report
     );
     console.log("Nodes loaded and created successfully");
 
+    // Start drawing the nodes while the edges load
+    lodSystem.setNodes(points);
+    scene.add(parent);
+    startRendering(scene, camera, controls, renderer, () => {
+      lodSystem.update();
+      updateFadeTime();
+    });
+    instructionsModal.revealScene();
+
     const { edgeObject, edgesMap } = await loadAndCreateEdges(
       parent,
+      dataset.files,
       clusterColorMap,
-      nodesMap
+      nodesMap,
+      report
     );
     console.log("Edges loaded and created successfully");
 
-    // Set nodes and edges in LOD system
-    lodSystem.setNodes(points);
     lodSystem.setEdges(edgeObject);
 
-    scene.add(parent);
+    // Data is in place: swap the loading screen for the instructions
+    instructionsModal.setLoaded();
+    instructionsModal.show();
 
     initializeSelectionMesh(scene);
-    await initializeLegend(CONFIG.legendDataUrl);
+    const legendClusters = await initializeLegend(
+      dataset.files.legend,
+      report
+    );
+
+    // Check how the files fit together. With only part of the nodes loaded,
+    // edges to the missing ones are expected.
+    const allNodesLoaded =
+      CONFIG.fractionOfNodesToLoad >= 1 && !CONFIG.loadClusterSubset;
+    validateGraph(
+      {
+        nodesMap,
+        edgesMap: allNodesLoaded ? edgesMap : null,
+        clusterColorMap,
+        clusterLabelMap,
+        legendClusters,
+      },
+      report
+    );
+    if (report.issues.length) {
+      console.warn(`Data problems:\n${formatReport(report)}`);
+      instructionsModal.showReport(report);
+    }
 
     // Initialize mobile-specific legend features AFTER main legend is created
     initializeMobileLegends();
@@ -146,37 +243,52 @@ async function initializeScene() {
     document.body.appendChild(sliderContainer);
 
     // Updated code for initializeScene()
-    initializeYearSlider(sliderContainer, (minYear, maxYear) => {
-      // Only update the visual representation in the slider
-      // Don't actually change visibility here
-      console.log(`Year range display updated: ${minYear} - ${maxYear}`);
+    initializeYearSlider(
+      sliderContainer,
+      (minYear, maxYear) => {
+        // Only update the visual representation in the slider
+        // Don't actually change visibility here
+        console.log(`Year range display updated: ${minYear} - ${maxYear}`);
+
+        // The actual visibility update will happen when the "yearUpdated" event fires
+        // after the debounce delay
+      },
+      dataset.years
+    );
 
-      // The actual visibility update will happen when the "yearUpdated" event fires
-      // after the debounce delay
-    });
+    // Draw the papers-per-year histogram behind the slider track
+    initializeYearHistogram(nodesMap);
 
-    // Initialize search functionality with access to edge control
-    initializeSearch(nodesMap, camera, controls, scene, {
-      setEdgeVisibility: setEdgeVisibility, // Pass the new edge visibility function
-    });
+    // Initialize search functionality
+    initializeSearch(nodesMap, camera, controls, scene);
     console.log("Search functionality initialized");
 
-    // Initialize time travel functionality with access to optimized edge controls
-    timeTravelController.initialize(camera, controls, scene, {
-      edgeVisibility: {
-        showEdgesByYear,
-        setEdgeVisibility,
-      },
-    });
+    // Initialize time travel functionality
+    timeTravelController.initialize(camera, controls, scene);
     console.log("Time travel functionality initialized");
 
-    // Initialize visibility manager with new edge control functions
-    visibilityManager.init({
-      showEdgesByYear,
-      setEdgeVisibility,
-    });
+    // Add export of the filtered subset below the time travel controls
+    initializeExport();
+
+    // Initialize the visibility filters (see visibilityManager.js)
+    visibilityManager.init();
+
+    // Initialize citation neighborhood mode for selected nodes
+    neighborhoodExplorer.initialize(scene);
 
-    // Add listeners with access to the edge control functions
+    // Initialize multi-selection (shift-click / Alt+drag lasso) working set
+    workingSet.initialize(canvas, camera, controls, scene);
+
+    // Initialize citation path finding between two papers
+    citationPath.initialize(camera, controls, scene);
+
+    // Initialize hover previews of papers under the cursor
+    initializeHoverTooltip(canvas, camera, scene);
+
+    // Initialize the cluster statistics dashboard
+    clusterDashboard.initialize(scene);
+
+    // Add listeners for the canvas, window and filter events
     addEventListeners(
       nodesMap,
       points,
@@ -186,16 +298,16 @@ async function initializeScene() {
       raycaster,
       mouse,
       scene,
-      canvas,
-      {
-        edges: {
-          object: edgeObject,
-          map: edgesMap,
-          setVisibility: setEdgeVisibility,
-        },
-      }
+      canvas
     );
 
+    // Restore a shared view from the URL and keep the URL in sync afterwards
+    // (needs the legend, slider and event listeners to be ready)
+    initializeUrlState(camera, controls, nodesMap, scene);
+
+    // Allow replacing the graph with dropped or chosen node and edge files
+    graphImport.initialize(scene, parent, lodSystem);
+
     // Initialize topic tree
     const topicTree = new TopicTree();
 
@@ -211,13 +323,19 @@ async function initializeScene() {
     const loadTime = (endTime - startTime) / 1000;
     console.log(`Total load time: ${loadTime.toFixed(2)} seconds`);
 
-    // Modify the startRendering call to include LOD updates
-    startRendering(scene, camera, controls, renderer, () => {
-      lodSystem.update();
-    });
+    // Everything is loaded: keep a copy for offline use
+    offlineCache.saveForOffline();
   } catch (error) {
     console.error("Error in initializeScene:", error);
-    instructionsModal.showError("Error loading data. Please refresh the page.");
+    if (error instanceof DataValidationError) {
+      // Reports from the worker are copies, the maps add to `report` directly
+      if (error.report !== report) mergeReport(report, error.report);
+      instructionsModal.showReport(report);
+    } else {
+      instructionsModal.showError(
+        "Error loading data. Please refresh the page."
+      );
+    }
   }
 }
 
@@ -0,0 +1,288 @@
+/**
+ * @file neighborhoodExplorer.js
+ * @description Citation neighborhood mode for the selected paper. When enabled,
+ * selecting a node highlights its incoming and outgoing edges and its 1–2 hop
+ * neighbors, dims every other node and lists the neighbors in the node info
+ * panel sorted by edge weight.
+ *
+ * Edges are treated as directed from `source` to `target`: for the selected
+ * paper, edges where it is the source are "outgoing" and edges where it is the
+ * target are "incoming".
+ */
+
+import { CONFIG } from "./config.js";
+import { nodesMap } from "./nodesLoader.js";
+import { edgesMap } from "./edgesLoader.js";
+import { visibilityManager } from "./visibilityManager.js";
+import { updateNodeInfo } from "./singleNodeSelection.js";
+import { nodeBrightness } from "./nodeBrightness.js";
+
+class NeighborhoodExplorer {
+  constructor() {
+    this.enabled = false;
+    this.hops = CONFIG.neighborhood.defaultHops;
+    this.adjacency = null;
+    this.currentNeighbors = null;
+    this.highlightActive = false;
+    this.selectedIndex = -1;
+    this.scene = null;
+  }
+
+  /**
+   * Initialize the neighborhood explorer
+   * @param {THREE.Scene} scene - The scene object
+   */
+  initialize(scene) {
+    this.scene = scene;
+    this.buildAdjacency();
+
+    window.addEventListener("nodeSelectionChanged", (event) => {
+      this.selectedIndex = event.detail.index;
+      this.update();
+    });
+
+    // Imported graph files (graphImport.js) replace the nodes and edges
+    window.addEventListener("graphDataReplaced", () => {
+      this.selectedIndex = -1;
+      this.update();
+      this.buildAdjacency();
+    });
+    // The edges follow the nodes; the selection stays
+    window.addEventListener("graphEdgesReplaced", () => {
+      this.buildAdjacency();
+      this.update();
+    });
+  }
+
+  /**
+   * Build the adjacency lists from edgesMap once, so lookups per click are cheap
+   */
+  buildAdjacency() {
+    const startTime = performance.now();
+    this.adjacency = new Map();
+
+    const addLink = (from, link) => {
+      if (!this.adjacency.has(from)) {
+        this.adjacency.set(from, []);
+      }
+      this.adjacency.get(from).push(link);
+    };
+
+    edgesMap.forEach((edge, edgeId) => {
+      const { source, target, weight } = edge;
+      if (!nodesMap.has(source) || !nodesMap.has(target)) return;
+
+      addLink(source, { index: target, edgeId, weight, direction: "outgoing" });
+      addLink(target, { index: source, edgeId, weight, direction: "incoming" });
+    });
+
+    const endTime = performance.now();
+    console.log(
+      `Neighborhood adjacency built for ${this.adjacency.size} nodes in ${(
+        (endTime - startTime) /
+        1000
+      ).toFixed(2)} seconds`
+    );
+  }
+
+  /**
+   * Collect the neighborhood of a node
+   * @param {number} index - Buffer index of the center node
+   * @param {number} hops - 1 for direct neighbors, 2 to include their neighbors
+   * @returns {{neighbors: Map, edgeIds: Set}} Neighbors keyed by node index and
+   *   the ids of all edges inside the neighborhood
+   */
+  collectNeighborhood(index, hops) {
+    const neighbors = new Map();
+    const edgeIds = new Set();
+
+    for (const link of this.adjacency.get(index) || []) {
+      edgeIds.add(link.edgeId);
+      const existing = neighbors.get(link.index);
+      if (!existing) {
+        neighbors.set(link.index, { ...link, hop: 1 });
+      } else {
+        // Linked in both directions: keep the strongest link
+        existing.direction =
+          existing.direction === link.direction ? link.direction : "both";
+        existing.weight = Math.max(existing.weight, link.weight);
+      }
+    }
+
+    if (hops >= 2) {
+      const firstHop = Array.from(neighbors.keys());
+      for (const neighborIndex of firstHop) {
+        for (const link of this.adjacency.get(neighborIndex) || []) {
+          if (link.index === index) continue;
+          const existing = neighbors.get(link.index);
+          if (existing && existing.hop === 1) continue;
+
+          edgeIds.add(link.edgeId);
+          if (!existing || link.weight > existing.weight) {
+            neighbors.set(link.index, { ...link, hop: 2, via: neighborIndex });
+          }
+        }
+      }
+    }
+
+    return { neighbors, edgeIds };
+  }
+
+  /**
+   * Re-apply the highlight and panel for the current selection and mode
+   */
+  update() {
+    if (!this.enabled || this.selectedIndex === -1) {
+      this.clearHighlight();
+    } else {
+      this.applyHighlight();
+    }
+    this.renderPanel();
+  }
+
+  applyHighlight() {
+    const { neighbors, edgeIds } = this.collectNeighborhood(
+      this.selectedIndex,
+      this.hops
+    );
+    this.currentNeighbors = neighbors;
+    this.highlightActive = true;
+
+    // Direct neighbors are lit, second hops undimmed, all others dimmed
+    nodeBrightness.setLayer(
+      "neighborhood",
+      Array.from(neighbors, ([index, neighbor]) => [
+        index,
+        neighbor.hop === 1 ? CONFIG.neighborhood.neighborBrightness : 0,
+      ]),
+      CONFIG.neighborhood.dimBrightness
+    );
+
+    visibilityManager.setEdgeFocus("neighborhood", edgeIds);
+  }
+
+  clearHighlight() {
+    this.currentNeighbors = null;
+    if (!this.highlightActive) return;
+    this.highlightActive = false;
+
+    visibilityManager.setEdgeFocus("neighborhood", null);
+    nodeBrightness.clearLayer("neighborhood");
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.update();
+  }
+
+  setHops(hops) {
+    this.hops = hops;
+    this.update();
+  }
+
+  /**
+   * Append the neighborhood controls and lists to the node info panel
+   */
+  renderPanel() {
+    const nodeInfoDiv = document.getElementById("nodeInfoDiv");
+    nodeInfoDiv.querySelector(".neighborhood-panel")?.remove();
+    if (this.selectedIndex === -1) return;
+
+    const panel = document.createElement("div");
+    panel.className = "neighborhood-panel";
+
+    const controls = document.createElement("div");
+    controls.className = "neighborhood-controls";
+
+    const toggleButton = document.createElement("button");
+    toggleButton.className = "neighborhood-button";
+    toggleButton.textContent = this.enabled
+      ? "Hide Neighborhood"
+      : "Explore Neighborhood";
+    toggleButton.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.setEnabled(!this.enabled);
+    });
+    controls.appendChild(toggleButton);
+
+    if (this.enabled) {
+      [1, 2].forEach((hops) => {
+        const hopButton = document.createElement("button");
+        hopButton.className = `neighborhood-button${
+          this.hops === hops ? " active" : ""
+        }`;
+        hopButton.textContent = hops === 1 ? "1 hop" : "2 hops";
+        hopButton.addEventListener("click", (e) => {
+          e.stopPropagation();
+          this.setHops(hops);
+        });
+        controls.appendChild(hopButton);
+      });
+    }
+
+    panel.appendChild(controls);
+
+    if (this.enabled && this.currentNeighbors) {
+      const neighbors = Array.from(this.currentNeighbors.entries())
+        .map(([index, neighbor]) => ({ ...neighbor, index }))
+        .sort((a, b) => b.weight - a.weight);
+
+      const outgoing = neighbors.filter(
+        (n) => n.hop === 1 && n.direction !== "incoming"
+      );
+      const incoming = neighbors.filter(
+        (n) => n.hop === 1 && n.direction !== "outgoing"
+      );
+      const secondHop = neighbors.filter((n) => n.hop === 2);
+
+      panel.appendChild(this.createList("Outgoing (builds on)", outgoing));
+      panel.appendChild(this.createList("Incoming (built upon by)", incoming));
+      if (this.hops >= 2) {
+        panel.appendChild(this.createList("2nd degree", secondHop));
+      }
+    }
+
+    nodeInfoDiv.appendChild(panel);
+  }
+
+  /**
+   * Create a list section of neighbors; clicking an entry selects that paper
+   * @param {string} title - Section title
+   * @param {Array} neighbors - Neighbors sorted by weight
+   * @returns {HTMLElement}
+   */
+  createList(title, neighbors) {
+    const section = document.createElement("div");
+    section.className = "neighborhood-section";
+
+    const heading = document.createElement("div");
+    heading.className = "neighborhood-section-title";
+    heading.textContent = `${title} (${neighbors.length})`;
+    section.appendChild(heading);
+
+    const list = document.createElement("ul");
+    list.className = "neighborhood-list";
+
+    neighbors.slice(0, CONFIG.neighborhood.listLimit).forEach((neighbor) => {
+      const node = nodesMap.get(neighbor.index);
+      if (!node) return;
+
+      const item = document.createElement("li");
+      item.className = "neighborhood-item";
+      item.textContent = `${node.title || "Untitled"} (${node.year})`;
+      item.title = `Weight: ${Number(neighbor.weight).toFixed(3)} · ${
+        node.clusterLabel || ""
+      }`;
+      item.addEventListener("click", (e) => {
+        e.stopPropagation();
+        updateNodeInfo({ index: neighbor.index }, nodesMap, this.scene);
+      });
+      list.appendChild(item);
+    });
+
+    section.appendChild(list);
+    return section;
+  }
+}
+
+export const neighborhoodExplorer = new NeighborhoodExplorer();
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview The one place that writes the `singleNodeSelectionBrightness`
+ * attribute of the nodes, which brightens (positive) or dims (negative)
+ * papers in the node shader.
+ *
+ * Every feature that highlights papers (selection, citation path, working
+ * set, neighborhood, search, hover) owns a layer and only sets or clears its
+ * own layer; apply then composes the layers into the attribute. A layer
+ * holds brightness values for some papers and optionally a base brightness
+ * for all the others, e.g. to dim everything but the search matches.
+ *
+ * Layers are ranked in LAYERS: a paper takes the value of the first layer
+ * that has one for it, else the base of the first layer that has a base,
+ * else 0. So clearing the hover never clears a citation path, and the
+ * selected paper stays brightest whatever else is highlighted.
+ */
+
+import { points } from "./nodesCreation.js";
+
+// Layer names, highest rank first
+const LAYERS = [
+  "selection",
+  "citationPath",
+  "workingSet",
+  "neighborhood",
+  "search",
+  "hover",
+];
+
+class NodeBrightness {
+  constructor() {
+    // name -> { values: Map<index, brightness>, base: number|null }
+    this.layers = new Map(
+      LAYERS.map((name) => [name, { values: new Map(), base: null }])
+    );
+
+    // The layers point at replaced nodes; their owners set them again
+    window.addEventListener("graphDataReplaced", () => {
+      this.layers.forEach((layer) => {
+        layer.values.clear();
+        layer.base = null;
+      });
+      this.apply();
+    });
+  }
+
+  /**
+   * Set the brightness of some papers in a layer, replacing what the layer
+   * held before
+   * @param {string} name - Layer name, see LAYERS
+   * @param {Iterable<[number, number]>} values - [buffer index, brightness]
+   * @param {number|null} [base] - Brightness of all other papers, or null to
+   *   leave them to the lower layers
+   */
+  setLayer(name, values, base = null) {
+    const layer = this.layers.get(name);
+    if (!layer) throw new Error(`Unknown brightness layer "${name}"`);
+
+    layer.values = new Map(values);
+    layer.base = base;
+    this.apply();
+  }
+
+  clearLayer(name) {
+    const layer = this.layers.get(name);
+    if (!layer.values.size && layer.base === null) return;
+    this.setLayer(name, []);
+  }
+
+  /**
+   * Compose the layers into the brightness attribute
+   */
+  apply() {
+    const attribute = points?.geometry.attributes.singleNodeSelectionBrightness;
+    if (!attribute) return;
+
+    const layers = Array.from(this.layers.values());
+    const baseLayer = layers.find(({ base }) => base !== null);
+    const brightness = attribute.array;
+    brightness.fill(baseLayer ? baseLayer.base : 0);
+
+    // Lowest rank first, so higher layers overwrite it
+    for (let i = layers.length - 1; i >= 0; i--) {
+      layers[i].values.forEach((value, index) => {
+        if (index < brightness.length) brightness[index] = value;
+      });
+    }
+    attribute.needsUpdate = true;
+  }
+}
+
+export const nodeBrightness = new NodeBrightness();
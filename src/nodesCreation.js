@@ -25,6 +25,7 @@
  * @requires THREE
  * @requires ./config.js
  * @requires ./shaders.js
+ * @requires ./gpuFilters.js
  *
  * @exports {Function} createNodes
  * @exports {Function} getFullNodeData
@@ -33,6 +34,7 @@
 import * as THREE from "three";
 import { CONFIG } from "./config.js";
 import { vertexShaderNode, fragmentShaderNode } from "./shaders.js";
+import { filterUniforms } from "./gpuFilters.js";
 
 let points = null; // Declare points at the module level
 
@@ -59,6 +61,8 @@ function createNodeMaterial() {
     specularIntensity: { value: CONFIG.shaderEffects.nodes.specularIntensity },
     brightnessMultiplier: { value: CONFIG.shaderEffects.nodes.brightnessMultiplier },
     highlightBrightness: { value: CONFIG.shaderEffects.nodes.highlightBrightness },
+    // Year and cluster filters, shared with the edges
+    ...filterUniforms,
   };
 
   return new THREE.ShaderMaterial({
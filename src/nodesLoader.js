@@ -8,19 +8,20 @@
  * @date 2023-10-18
  *
  * Key Functions:
- * - initializeBufferGeometry(nodeCount): Initializes THREE.BufferGeometry for nodes.
- * - normalizeCentrality(data, nodesToLoad): Calculates min and max centrality values.
- * - calculatePosition(node): Computes 3D position for a node.
- * - calculateNodeSize(normalizedCentrality): Determines node size based on centrality.
- * - getNodeColor(node, clusterColorMap): Retrieves color for a node based on its cluster.
- * - updateNodeData(index, position, color, size): Updates node data in the buffer.
- * - parseNodesData(data, percentage, clusterLabelMap, clusterColorMap): Main function for parsing node data.
- * - loadNodeData(url, percentage, clusterLabelMap, clusterColorMap): Loads and parses node data from a URL.
- * - getInitialNodeData(): Returns the initial node data and geometry.
+ * - initializeBufferGeometry(positions, colors, sizes, times, clusters): Creates THREE.BufferGeometry
+ *   for nodes from pipeline buffers.
+ * - getNodeColor(cluster, clusterColorMap): Retrieves color for a node based on its cluster.
+ * - buildNodes(result, clusterLabelMap, clusterColorMap): Builds the geometry, nodesMap and spatial
+ *   partitioning from the data pipeline result.
+ * - loadNodeData(url, percentage, clusterLabelMap, clusterColorMap, onProgress): Loads node data
+ *   through the data pipeline worker (see dataPipeline.js) and builds the nodes.
  *
  * Features:
  * - Dynamic node loading based on a configurable percentage of total nodes.
- * - Custom attribute creation for Three.js BufferGeometry (position, color, size, visibility).
+ * - Fetching, parsing and buffer building in a Web Worker (dataTransforms.js holds the position,
+ *   size and color calculations).
+ * - Custom attribute creation for Three.js BufferGeometry (position, color, size, visibility, and
+ *   the publication time and cluster slot used by the filters in the vertex shader).
  * - Centrality-based node size calculation.
  * - Cluster-based node coloring.
  * - Support for selective loading of specific clusters.
@@ -30,31 +31,37 @@
  * providing the foundation for rendering and interacting with nodes in a Three.js environment.
  *
  * @requires THREE
- * @requires ./config.js
- * @requires ./dataUtils.js
+ * @requires ./dataPipeline.js
  *
  * @exports {Function} loadNodeData
  * @exports {Function} getInitialNodeData
  */
 
 import * as THREE from "three";
-import { CONFIG } from "./config.js";
-import { loadJSONData } from "./dataUtils.js";
+import { loadPipelineData, getTransformOptions } from "./dataPipeline.js";
 import { SpatialPartitioning } from "./spatialPartitioning.js";
+import {
+  setFilterClusters,
+  getClusterSlot,
+  FADE_SETTLED,
+} from "./gpuFilters.js";
 
 let nodesMap = new Map();
 let nodesGeometry = null;
 let spatialPartitioning = new SpatialPartitioning();
 
-// BufferGeometry initialization
-function initializeBufferGeometry(nodeCount) {
+// BufferGeometry initialization from the pipeline buffers
+function initializeBufferGeometry(positions, colors, sizes, times, clusters) {
   nodesGeometry = new THREE.BufferGeometry();
 
-  // Use TypedArrays for better performance
-  const positions = new Float32Array(nodeCount * 3); // x, y, z
-  const colors = new Float32Array(nodeCount * 3); // r, g, b
-  const sizes = new Float32Array(nodeCount); // size
+  const nodeCount = sizes.length;
   const visible = new Float32Array(nodeCount).fill(1); // default visible (1)
+  // When visible last changed, for the fade (see gpuFilters.js)
+  const fadeStart = new Float32Array(nodeCount).fill(FADE_SETTLED);
+  // Publication time (year + fraction of the year) and cluster slot for the
+  // filters in the vertex shader
+  const timeValues = Float32Array.from(times);
+  const clusterSlots = Float32Array.from(clusters, getClusterSlot);
   const singleNodeSelectionBrightness = new Float32Array(nodeCount).fill(0); // default visible (1)
 
   // Create buffer attributes with optimized settings
@@ -74,6 +81,15 @@ function initializeBufferGeometry(nodeCount) {
     "visible",
     new THREE.BufferAttribute(visible, 1).setUsage(THREE.DynamicDrawUsage)
   );
+  nodesGeometry.setAttribute(
+    "fadeStart",
+    new THREE.BufferAttribute(fadeStart, 1).setUsage(THREE.DynamicDrawUsage)
+  );
+  nodesGeometry.setAttribute("time", new THREE.BufferAttribute(timeValues, 1));
+  nodesGeometry.setAttribute(
+    "clusterSlot",
+    new THREE.BufferAttribute(clusterSlots, 1)
+  );
   nodesGeometry.setAttribute(
     "singleNodeSelectionBrightness",
     new THREE.BufferAttribute(singleNodeSelectionBrightness, 1).setUsage(
@@ -84,193 +100,59 @@ function initializeBufferGeometry(nodeCount) {
   nodesGeometry.name = "nodesGeometry";
 }
 
-// Centrality normalization helper
-function normalizeCentrality(data, nodesToLoad) {
-  let maxCentrality = -Infinity;
-  let minCentrality = Infinity;
-
-  for (let i = 0; i < nodesToLoad; i++) {
-    const centrality = parseFloat(data[i].centrality);
-    maxCentrality = Math.max(maxCentrality, centrality);
-    minCentrality = Math.min(minCentrality, centrality);
-  }
-
-  return { maxCentrality, minCentrality };
-}
-
-// Position calculation helper
-function calculatePosition(node) {
-  const x = node.x * CONFIG.coordinateMultiplier;
-  const y = node.y * CONFIG.coordinateMultiplier;
-  const z = (CONFIG.liftUpZ + node.z) * CONFIG.zCoordinateShift;
-
-  return new THREE.Vector3(x, y, z).applyAxisAngle(
-    new THREE.Vector3(1, 0, 0),
-    Math.PI / 2
-  );
-}
-
-// Node size calculation helper
-function calculateNodeSize(normalizedCentrality) {
-  const minSize = CONFIG.nodeSize.min;
-  const maxSize = CONFIG.nodeSize.max;
-  const sizePower = CONFIG.nodeSize.power || 2;
-
-  return (
-    minSize + (maxSize - minSize) * Math.pow(normalizedCentrality, sizePower)
-  );
+// Node color retrieval helper (the buffer colors are set by the pipeline)
+function getNodeColor(cluster, clusterColorMap) {
+  return clusterColorMap[cluster] || new THREE.Color(0xcccccc); // Default color
 }
 
-// Node color retrieval helper
-function getNodeColor(node, clusterColorMap) {
-  const clusterColor = clusterColorMap[node.cluster];
-  if (!clusterColor) {
-    console.warn(
-      `No color found for cluster ${node.cluster}, using default color`
-    );
-    return new THREE.Color(0xcccccc); // Default color
-  }
-  return clusterColor;
-}
+// Build the geometry and node metadata from the data pipeline result
+function buildNodes(result, clusterLabelMap, clusterColorMap) {
+  const { total, count, positions, colors, sizes, times, clusters } = result;
+  console.log(`Loaded ${count} of ${total} nodes`);
 
-// Buffer update with batch processing
-function updateNodeData(index, position, color, size) {
-  const i3 = index * 3;
-  const positions = nodesGeometry.attributes.position.array;
-  const colors = nodesGeometry.attributes.color.array;
-  const sizes = nodesGeometry.attributes.size.array;
+  // Replace nodes of an earlier load (see graphImport.js). nodesMap is
+  // cleared rather than reassigned, as other modules keep a reference to it.
+  nodesMap.clear();
+  spatialPartitioning = new SpatialPartitioning();
 
-  positions[i3] = position.x;
-  positions[i3 + 1] = position.y;
-  positions[i3 + 2] = position.z;
-
-  colors[i3] = color.r;
-  colors[i3 + 1] = color.g;
-  colors[i3 + 2] = color.b;
-
-  sizes[index] = size;
-}
-
-// Batch update visibility using spatial partitioning
-export function updateNodesVisibility(yearRange, selectedClusters) {
-  const visibleNodes = spatialPartitioning.updateVisibility(
-    yearRange,
-    selectedClusters
-  );
-  const visible = nodesGeometry.attributes.visible.array;
-
-  // Reset all nodes to invisible
-  visible.fill(0);
-
-  // Set visible nodes
-  for (const node of visibleNodes) {
-    visible[node.index] = 1;
-  }
-
-  nodesGeometry.attributes.visible.needsUpdate = true;
-}
-
-// Batch update selection brightness
-export function updateNodesSelectionBrightness(selectedIndices, brightness) {
-  const selectionBrightness =
-    nodesGeometry.attributes.singleNodeSelectionBrightness.array;
-  for (const index of selectedIndices) {
-    selectionBrightness[index] = brightness;
-  }
-  nodesGeometry.attributes.singleNodeSelectionBrightness.needsUpdate = true;
-}
-
-// Main data parsing function with optimized batch processing
-function parseNodesData(data, percentage, clusterLabelMap, clusterColorMap) {
-  const totalNodes = data.length;
-  const nodesToLoad = Math.floor(totalNodes * percentage);
-  console.log(`Loading ${nodesToLoad} out of ${totalNodes} nodes`);
-
-  initializeBufferGeometry(nodesToLoad);
+  setFilterClusters(clusters.subarray(0, count));
+  initializeBufferGeometry(positions, colors, sizes, times, clusters);
   console.log("BufferGeometry initialized");
 
-  const { maxCentrality, minCentrality } = normalizeCentrality(
-    data,
-    nodesToLoad
-  );
-
-  // Pre-allocate arrays for batch processing
-  const positions = new Float32Array(nodesToLoad * 3);
-  const colors = new Float32Array(nodesToLoad * 3);
-  const sizes = new Float32Array(nodesToLoad);
-  const visible = new Float32Array(nodesToLoad).fill(1);
-  const singleNodeSelectionBrightness = new Float32Array(nodesToLoad).fill(0);
-
-  let loadedNodes = 0;
-  for (let i = 0; i < nodesToLoad; i++) {
-    const node = data[i];
-    if (
-      CONFIG.loadClusterSubset &&
-      !CONFIG.clustersToLoad.includes(node.cluster)
-    ) {
-      continue;
-    }
-
-    const nodeId = node.node_index;
-    const centrality = parseFloat(node.centrality.toFixed(5));
-    const normalizedCentrality =
-      (centrality - minCentrality) / (maxCentrality - minCentrality);
-    const position = calculatePosition(node);
-    const size = calculateNodeSize(normalizedCentrality);
-    const color = getNodeColor(node, clusterColorMap);
-
-    // Create node object for spatial partitioning
+  for (let i = 0; i < count; i++) {
+    const i3 = i * 3;
     const nodeObject = {
-      nodeId,
-      cluster: node.cluster,
-      clusterLabel: clusterLabelMap[node.cluster],
-      year: node.year,
-      title: node.title,
-      doi: node.doi || "",
-      authors: node.authors || "",
-      centrality,
-      color,
-      position: position.clone(), // Store position for spatial queries
-      index: loadedNodes, // Store buffer index for updates
+      nodeId: result.nodeIds[i],
+      cluster: result.clusters[i],
+      clusterLabel: clusterLabelMap[result.clusters[i]],
+      year: result.years[i],
+      // Fractional year, for the order of appearance in time travel
+      time: times[i],
+      // Publication date as given in the data, "" when unknown
+      date: result.dates[i],
+      title: result.titles[i],
+      doi: result.dois[i],
+      authors: result.authors[i],
+      centrality: result.centralities[i],
+      color: getNodeColor(result.clusters[i], clusterColorMap),
+      // Store position for spatial queries
+      position: new THREE.Vector3(
+        positions[i3],
+        positions[i3 + 1],
+        positions[i3 + 2]
+      ),
+      index: i, // Store buffer index for updates
     };
 
     // Store node metadata
-    nodesMap.set(loadedNodes, nodeObject);
+    nodesMap.set(i, nodeObject);
 
     // Add to spatial partitioning
     spatialPartitioning.insert(nodeObject);
-
-    // Batch update arrays
-    const i3 = loadedNodes * 3;
-    positions[i3] = position.x;
-    positions[i3 + 1] = position.y;
-    positions[i3 + 2] = position.z;
-
-    colors[i3] = color.r;
-    colors[i3 + 1] = color.g;
-    colors[i3 + 2] = color.b;
-
-    sizes[loadedNodes] = size;
-    loadedNodes++;
   }
 
-  // Batch update geometry attributes
-  nodesGeometry.attributes.position.array = positions;
-  nodesGeometry.attributes.color.array = colors;
-  nodesGeometry.attributes.size.array = sizes;
-  nodesGeometry.attributes.visible.array = visible;
-  nodesGeometry.attributes.singleNodeSelectionBrightness.array =
-    singleNodeSelectionBrightness;
-
-  // Mark attributes as updated
-  nodesGeometry.attributes.position.needsUpdate = true;
-  nodesGeometry.attributes.color.needsUpdate = true;
-  nodesGeometry.attributes.size.needsUpdate = true;
-  nodesGeometry.attributes.visible.needsUpdate = true;
-  nodesGeometry.attributes.singleNodeSelectionBrightness.needsUpdate = true;
-
-  if (loadedNodes < nodesToLoad) {
-    nodesGeometry.setDrawRange(0, loadedNodes);
+  if (count < total) {
+    nodesGeometry.setDrawRange(0, count);
   }
 }
 
@@ -278,14 +160,19 @@ export async function loadNodeData(
   url,
   percentage,
   clusterLabelMap,
-  clusterColorMap
+  clusterColorMap,
+  onProgress
 ) {
   try {
-    const data = await loadJSONData(url);
-    parseNodesData(data, percentage, clusterLabelMap, clusterColorMap);
+    const options = {
+      ...getTransformOptions(clusterColorMap),
+      percentage,
+    };
+    const result = await loadPipelineData("nodes", url, options, onProgress);
+    buildNodes(result, clusterLabelMap, clusterColorMap);
     console.log("nodesLoader Module ran successfully");
-    console.log(clusterLabelMap);
-    return { nodesMap, nodesGeometry };
+    // The validation report lists problems loaded with a fallback
+    return { nodesMap, nodesGeometry, report: result.report };
   } catch (error) {
     console.error("Error loading node data:", error);
     throw error; // Re-throw the error for the caller to handle
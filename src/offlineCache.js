@@ -0,0 +1,246 @@
+/**
+ * @file offlineCache.js
+ * @description Offline support: registers the service worker (static/sw.js),
+ * asks it to save everything the visualization needs once loading has
+ * finished, and shows the offline status (saved / update available) with a
+ * way to clear the saved copy.
+ */
+
+import { CONFIG } from "./config.js";
+import { announce } from "./announcer.js";
+import { getDataset } from "./datasetManifest.js";
+
+const STATUS_TEXT = {
+  registering: "Preparing offline use...",
+  caching: "Saving for offline use...",
+  cached: "Available offline",
+  partial: "Partly available offline",
+  notCached: "Not saved for offline use",
+  update: "Update available",
+  error: "Offline use unavailable",
+};
+
+class OfflineCache {
+  constructor() {
+    this.registration = null;
+    this.ready = null;
+    this.status = "registering";
+    this.button = null;
+    this.panel = null;
+    this.statusText = null;
+    this.reloadButton = null;
+    this.saveButton = null;
+    this.clearButton = null;
+  }
+
+  /**
+   * Register the service worker and create the status button
+   */
+  initialize() {
+    if (!CONFIG.offline.enabled || !("serviceWorker" in navigator)) return;
+
+    this.createUI();
+    this.render();
+
+    navigator.serviceWorker.addEventListener("message", (event) => {
+      if (event.data && event.data.type === "updateAvailable") {
+        this.setStatus("update");
+        announce("An update is available. Reload to get it.");
+      }
+    });
+    window.addEventListener("online", () => this.render());
+    window.addEventListener("offline", () => this.render());
+
+    this.ready = this.register();
+  }
+
+  async register() {
+    try {
+      const url = new URL(CONFIG.offline.serviceWorkerUrl, document.baseURI);
+      url.searchParams.set("dataset", getDataset().version);
+      this.registration = await navigator.serviceWorker.register(url.href);
+      await navigator.serviceWorker.ready;
+
+      // Show the saved state right away, before loading has finished
+      const { cached, total } = await this.send({
+        type: "getStatus",
+        urls: this.getUrls(),
+      });
+      if (this.status === "registering") {
+        this.setStatus(cached === total ? "cached" : "notCached");
+      }
+    } catch (error) {
+      console.error("Service worker registration failed:", error);
+      this.setStatus("error");
+    }
+  }
+
+  /**
+   * Save everything the page has loaded, plus the configured data files, for
+   * offline use. Call once the visualization has finished loading.
+   */
+  async saveForOffline() {
+    if (!this.ready) return;
+    await this.ready;
+    if (!this.registration || this.status === "update") return;
+
+    this.setStatus("caching");
+    try {
+      const { failed } = await this.send({
+        type: "precache",
+        urls: this.getUrls(),
+      });
+      this.setStatus(failed.length ? "partial" : "cached");
+    } catch (error) {
+      console.error("Could not save for offline use:", error);
+      this.setStatus("error");
+    }
+  }
+
+  /**
+   * Delete the saved copy of the app and its data
+   */
+  async clear() {
+    if (!this.registration) return;
+
+    try {
+      await this.send({ type: "clearCache" });
+      this.setStatus("notCached");
+      announce("Offline copy cleared");
+    } catch (error) {
+      console.error("Could not clear the offline cache:", error);
+      this.setStatus("error");
+    }
+  }
+
+  /**
+   * The page, the dataset manifest and files, and every file the page has
+   * requested so far (scripts, styles, fonts, textures, video)
+   * @returns {string[]} Absolute URLs
+   */
+  getUrls() {
+    const page = new URL(document.baseURI);
+    page.search = "";
+    page.hash = "";
+
+    // Not every file is requested on every visit (e.g. the video)
+    const { manifestUrl, files } = getDataset();
+    const configUrls = [
+      manifestUrl,
+      ...Object.values(files),
+      CONFIG.nodeTextureUrl,
+      CONFIG.spotlightTextureUrl,
+      CONFIG.videoUrl,
+    ]
+      .filter(Boolean)
+      .map((url) => new URL(url, document.baseURI).href);
+    const loadedUrls = performance
+      .getEntriesByType("resource")
+      .map((entry) => entry.name)
+      .filter((url) => url.startsWith("http"));
+
+    return Array.from(new Set([page.href, ...configUrls, ...loadedUrls]));
+  }
+
+  // Send a message to the active service worker and wait for its reply
+  send(message) {
+    return new Promise((resolve, reject) => {
+      const worker =
+        this.registration.active || navigator.serviceWorker.controller;
+      if (!worker) {
+        reject(new Error("No active service worker"));
+        return;
+      }
+
+      const channel = new MessageChannel();
+      channel.port1.onmessage = (event) => {
+        if (event.data && event.data.error) {
+          reject(new Error(event.data.error));
+        } else {
+          resolve(event.data);
+        }
+      };
+      worker.postMessage(message, [channel.port2]);
+    });
+  }
+
+  setStatus(status) {
+    this.status = status;
+    this.render();
+  }
+
+  createUI() {
+    this.button = document.createElement("button");
+    this.button.id = "offlineStatusButton";
+    this.button.className = "help-button offline-button";
+    this.button.textContent = "💾";
+    this.button.setAttribute("aria-controls", "offlinePanel");
+    this.button.setAttribute("aria-expanded", "false");
+    document.body.appendChild(this.button);
+
+    this.panel = document.createElement("div");
+    this.panel.id = "offlinePanel";
+    this.panel.className = "offline-panel";
+    this.panel.hidden = true;
+
+    this.statusText = document.createElement("p");
+    this.statusText.className = "offline-panel-status";
+
+    this.reloadButton = this.createPanelButton("Reload to update", () =>
+      window.location.reload()
+    );
+    this.saveButton = this.createPanelButton("Save for offline use", () =>
+      this.saveForOffline()
+    );
+    this.clearButton = this.createPanelButton("Clear offline copy", () =>
+      this.clear()
+    );
+
+    this.panel.append(
+      this.statusText,
+      this.reloadButton,
+      this.saveButton,
+      this.clearButton
+    );
+    document.body.appendChild(this.panel);
+
+    this.button.addEventListener("click", () => {
+      this.panel.hidden = !this.panel.hidden;
+      this.button.setAttribute("aria-expanded", String(!this.panel.hidden));
+    });
+  }
+
+  createPanelButton(label, onClick) {
+    const button = document.createElement("button");
+    button.className = "offline-panel-button";
+    button.textContent = label;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  render() {
+    if (!this.button) return;
+
+    let text = STATUS_TEXT[this.status];
+    if (this.status === "cached" || this.status === "partial") {
+      text += ` (data version ${getDataset().version})`;
+    }
+    if (!navigator.onLine) {
+      text = `You are offline. ${text}`;
+    }
+
+    this.button.dataset.status = this.status;
+    this.button.title = text;
+    this.button.setAttribute("aria-label", text);
+    this.statusText.textContent = text;
+
+    const busy = this.status === "registering" || this.status === "caching";
+    this.reloadButton.hidden = this.status !== "update";
+    this.saveButton.hidden = this.status !== "notCached";
+    this.saveButton.disabled = !navigator.onLine;
+    this.clearButton.hidden = this.status === "notCached";
+    this.clearButton.disabled = busy || !this.registration;
+  }
+}
+
+export const offlineCache = new OfflineCache();
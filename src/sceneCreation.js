@@ -33,12 +33,14 @@
 import * as THREE from "three";
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls";
 import { CONFIG } from "./config";
+import { getDataset } from "./datasetManifest.js";
 
 export function createScene(canvas) {
   const scene = new THREE.Scene();
   const camera = createCamera();
   const renderer = createRenderer(canvas);
   const controls = createControls(camera, canvas);
+  resetCameraView(camera, controls);
   const dummy = new THREE.Object3D();
   const parent = new THREE.Object3D();
 
@@ -56,19 +58,22 @@ function createCamera() {
     CONFIG.cameraNearPlane,
     CONFIG.cameraFarPlane
   );
-  camera.position.set(
-    CONFIG.cameraPosition.x,
-    CONFIG.cameraPosition.y,
-    CONFIG.cameraPosition.z
-  );
-  camera.lookAt(
-    CONFIG.cameraTarget.x,
-    CONFIG.cameraTarget.y,
-    CONFIG.cameraTarget.z
-  );
   return camera;
 }
 
+/**
+ * Move the camera to the default view of the dataset (see
+ * datasetManifest.js)
+ * @param {THREE.Camera} camera - The camera object
+ * @param {OrbitControls} controls - The orbit controls
+ */
+export function resetCameraView(camera, controls) {
+  const { position, target } = getDataset().camera;
+  camera.position.set(position.x, position.y, position.z);
+  controls.target.set(target.x, target.y, target.z);
+  controls.update();
+}
+
 function createRenderer(canvas) {
   // Get accurate viewport dimensions
   const width = document.documentElement.clientWidth || window.innerWidth;
@@ -101,7 +106,6 @@ function createControls(camera, canvas) {
   controls.zoomDampingFactor = 0.15;
   controls.rotateSpeed = 0.8;
   controls.panSpeed = 0.8;
-  controls.target.set(0, 0, 0);
   return controls;
 }
 
@@ -1,11 +1,28 @@
 /**
  * @file searchFunctionality.js
  * @description Implements real-time search functionality for the visualization
- * allowing users to search for nodes by title and DOI
+ * allowing users to search for nodes by title and DOI, with field prefixes
+ * (author:, year:, cluster:, ...) and boolean operators as described in
+ * searchQuery.js
+ *
+ * Queries run against an inverted index (searchIndex.js) that is built once in a
+ * Web Worker after the nodes have loaded, ranked with BM25 and tolerant of typos.
+ * Until the index is ready, a linear substring scan is used instead.
+ *
+ * The input and result list follow the ARIA combobox pattern: arrow keys move
+ * through the results, Enter opens the active one and Escape closes the list.
  */
 
 import * as THREE from "three";
 import { CONFIG } from "./config.js";
+import {
+  parseQuery,
+  matchesQuery,
+  getPositiveTextTerms,
+} from "./searchQuery.js";
+import { SearchIndex } from "./searchIndex.js";
+import { searchHighlight } from "./searchHighlight.js";
+import { announce } from "./announcer.js";
 
 let nodesMap = null;
 let camera = null;
@@ -14,10 +31,17 @@ let scene = null;
 let searchDebounceTimer = null;
 let searchResultsLimit = CONFIG.search.resultsLimit;
 
+// Search index, queried in a worker when available
+let searchWorker = null;
+let searchIndex = null;
+let indexReady = false;
+let latestSearchId = 0;
+
 // DOM elements
 let searchContainer = null;
 let searchInput = null;
 let searchResults = null;
+let activeResultIndex = -1;
 
 /**
  * Initialize the search functionality
@@ -34,6 +58,117 @@ export function initializeSearch(nodes, cam, orbitControls, sceneObj) {
 
   createSearchUI();
   addEventListeners();
+  buildSearchIndex();
+  searchHighlight.initialize();
+
+  // Imported graph files (graphImport.js) replace the indexed papers
+  window.addEventListener("graphDataReplaced", () => {
+    if (searchWorker) searchWorker.terminate();
+    searchWorker = null;
+    searchIndex = null;
+    indexReady = false;
+    latestSearchId++;
+    searchInput.value = "";
+    hideSearchResults();
+    buildSearchIndex();
+  });
+}
+
+/**
+ * Build the search index from nodesMap, in a worker if possible
+ */
+function buildSearchIndex() {
+  const documents = [];
+  nodesMap.forEach((node, index) => {
+    documents.push({
+      index,
+      title: node.title,
+      authors: node.authors,
+      doi: node.doi !== "No DOI available" ? node.doi : "",
+      year: node.year,
+      cluster: node.cluster,
+      clusterLabel: node.clusterLabel,
+      centrality: node.centrality,
+    });
+  });
+
+  const { useWorker, ...options } = CONFIG.search.index;
+
+  if (useWorker && typeof Worker !== "undefined") {
+    try {
+      const worker = new Worker(
+        new URL("./searchIndex.worker.js", import.meta.url),
+        { type: "module" }
+      );
+      worker.onmessage = handleWorkerMessage;
+      worker.onerror = (error) => {
+        // Ignore workers already replaced by an imported graph
+        if (searchWorker !== worker) return;
+        console.error("Search worker failed, indexing on main thread:", error);
+        worker.terminate();
+        searchWorker = null;
+        indexReady = false;
+        // Searches sent to the worker never get a reply, so run the current
+        // query again once the index is ready
+        buildIndexOnMainThread(documents, options, () => {
+          const query = searchInput.value.trim();
+          if (query === "") return;
+          latestSearchId++;
+          performSearch(query);
+        });
+      };
+      searchWorker = worker;
+      searchWorker.postMessage({ type: "build", documents, options });
+      return;
+    } catch (error) {
+      console.warn("Could not start search worker:", error);
+      searchWorker = null;
+    }
+  }
+
+  buildIndexOnMainThread(documents, options);
+}
+
+/**
+ * Build the search index on the main thread, once the scene has had a chance
+ * to render
+ * @param {Object[]} documents - Documents for SearchIndex.build
+ * @param {Object} options - SearchIndex options
+ * @param {Function} [onReady] - Called once the index is ready
+ */
+function buildIndexOnMainThread(documents, options, onReady) {
+  setTimeout(() => {
+    // An imported graph has started a new worker in the meantime
+    if (searchWorker) return;
+    const startTime = performance.now();
+    searchIndex = new SearchIndex(options);
+    searchIndex.build(documents);
+    indexReady = true;
+    console.log(
+      `Search index built on main thread in ${(
+        (performance.now() - startTime) /
+        1000
+      ).toFixed(2)} seconds`
+    );
+    if (onReady) onReady();
+  }, 0);
+}
+
+function handleWorkerMessage(event) {
+  const message = event.data;
+
+  if (message.type === "ready") {
+    indexReady = true;
+    console.log(
+      `Search index built with ${message.terms} terms in ${(
+        message.buildTime / 1000
+      ).toFixed(2)} seconds`
+    );
+  } else if (message.type === "results") {
+    // Ignore results of queries that have been superseded while typing
+    if (message.id !== latestSearchId) return;
+    showIndexedResults(message.query, message.indices, message.scores);
+  }
 }
 
 /**
@@ -48,6 +183,11 @@ function createSearchUI() {
   searchInput = document.createElement("input");
   searchInput.type = "text";
   searchInput.id = "search-input";
+  searchInput.setAttribute("role", "combobox");
+  searchInput.setAttribute("aria-label", "Search papers");
+  searchInput.setAttribute("aria-autocomplete", "list");
+  searchInput.setAttribute("aria-controls", "search-results");
+  searchInput.setAttribute("aria-expanded", "false");
 
   // Set appropriate placeholder text based on screen size
   updateSearchPlaceholder();
@@ -58,6 +198,8 @@ function createSearchUI() {
   // Create search results container
   searchResults = document.createElement("div");
   searchResults.id = "search-results";
+  searchResults.setAttribute("role", "listbox");
+  searchResults.setAttribute("aria-label", "Search results");
 
   // Append elements
   searchContainer.appendChild(searchInput);
@@ -77,7 +219,8 @@ function updateSearchPlaceholder() {
   } else if (isMobile) {
     searchInput.placeholder = "Search papers...";
   } else {
-    searchInput.placeholder = "Search by title or DOI...";
+    searchInput.placeholder =
+      "Search by title or DOI, or author: year: cluster: ...";
   }
 }
 
@@ -92,11 +235,15 @@ function addEventListeners() {
     if (searchDebounceTimer) {
       clearTimeout(searchDebounceTimer);
     }
+    // Replies to searches for earlier input, e.g. before the query was
+    // cleared, are dropped
+    latestSearchId++;
 
     // Clear results if query is empty
     if (query === "") {
       searchResults.innerHTML = "";
-      searchResults.style.display = "none";
+      hideSearchResults();
+      searchHighlight.clear();
       return;
     }
 
@@ -106,85 +253,253 @@ function addEventListeners() {
     }, CONFIG.search.debounceTime);
   });
 
+  searchInput.addEventListener("keydown", handleSearchKeyDown);
+
   // Close search results when clicking elsewhere
   document.addEventListener("click", (e) => {
     if (!searchContainer.contains(e.target)) {
-      searchResults.style.display = "none";
+      hideSearchResults();
+    }
+  });
+}
+
+/**
+ * Keyboard navigation in the result list
+ * @param {KeyboardEvent} event - The keydown event on the search input
+ */
+function handleSearchKeyDown(event) {
+  const items = searchResults.querySelectorAll(".search-result-item");
+  const isOpen = searchResults.style.display === "block";
+
+  switch (event.key) {
+    case "ArrowDown":
+    case "ArrowUp": {
+      if (items.length === 0) return;
+      event.preventDefault();
+      if (!isOpen) showSearchResults();
+      const step = event.key === "ArrowDown" ? 1 : -1;
+      // Wrap around; from "no active item", ArrowUp goes to the last one
+      const start =
+        activeResultIndex === -1 && step === -1 ? 0 : activeResultIndex;
+      setActiveResult((start + step + items.length) % items.length);
+      break;
     }
+    case "Enter":
+      if (!isOpen || items.length === 0) return;
+      event.preventDefault();
+      items[Math.max(activeResultIndex, 0)].click();
+      break;
+    case "Escape":
+      event.preventDefault();
+      if (isOpen) {
+        hideSearchResults();
+      } else {
+        searchInput.blur();
+      }
+      break;
+  }
+}
+
+/**
+ * Mark a result as active for keyboard navigation
+ * @param {number} index - Position in the result list, -1 for none
+ */
+function setActiveResult(index) {
+  const items = searchResults.querySelectorAll(".search-result-item");
+  items.forEach((item, i) => {
+    const isActive = i === index;
+    item.classList.toggle("active", isActive);
+    item.setAttribute("aria-selected", isActive ? "true" : "false");
+    if (isActive) item.scrollIntoView({ block: "nearest" });
   });
+
+  activeResultIndex = index;
+  if (index === -1) {
+    searchInput.removeAttribute("aria-activedescendant");
+  } else {
+    searchInput.setAttribute("aria-activedescendant", items[index].id);
+  }
+}
+
+function showSearchResults() {
+  searchResults.style.display = "block";
+  searchInput.setAttribute("aria-expanded", "true");
+}
+
+function hideSearchResults() {
+  searchResults.style.display = "none";
+  searchInput.setAttribute("aria-expanded", "false");
+  setActiveResult(-1);
 }
 
 /**
- * Perform search on nodes by title and DOI
+ * Move keyboard focus to the search input (keyboard shortcut)
+ */
+export function focusSearch() {
+  if (!searchInput) return;
+  searchInput.focus();
+  searchInput.select();
+  if (searchInput.value.trim() !== "" && searchResults.hasChildNodes()) {
+    showSearchResults();
+  }
+}
+
+/**
+ * Perform search on nodes using the query syntax from searchQuery.js
  * @param {string} query - The search query
  */
 function performSearch(query) {
   if (!nodesMap || nodesMap.size === 0) return;
 
-  query = query.toLowerCase();
+  if (indexReady && searchWorker) {
+    searchWorker.postMessage({ type: "search", id: latestSearchId, query });
+  } else if (indexReady && searchIndex) {
+    const { indices, scores } = searchIndex.search(parseQuery(query));
+    showIndexedResults(query, indices, scores);
+  } else {
+    performLinearSearch(query);
+  }
+}
+
+/**
+ * Turn ranked index results into result entries and display them
+ * @param {string} query - The search query
+ * @param {Int32Array} indices - Matching node indices, best first
+ * @param {Float32Array} scores - Scores of the matches
+ */
+function showIndexedResults(query, indices, scores) {
+  const terms = getPositiveTextTerms(parseQuery(query));
+  const results = [];
+
+  for (let i = 0; i < Math.min(indices.length, searchResultsLimit); i++) {
+    const node = nodesMap.get(indices[i]);
+    const title = node.title ? node.title.toLowerCase() : "";
+    const doi = node.doi ? node.doi.toLowerCase() : "";
+    results.push({
+      index: indices[i],
+      node,
+      score: scores[i],
+      titleMatch: terms.some((term) => title.includes(term.value)),
+      doiMatch: terms.some((term) => doi.includes(term.value)),
+    });
+  }
+
+  displaySearchResults(results, query, indices);
+}
+
+/**
+ * Linear scan over all nodes, used until the search index is ready
+ * @param {string} query - The search query
+ */
+function performLinearSearch(query) {
+  const expression = parseQuery(query);
+  const terms = getPositiveTextTerms(expression);
+  const phrase = query.toLowerCase();
   const results = [];
 
   // Search through all nodes
   nodesMap.forEach((node, index) => {
+    if (!matchesQuery(expression, node)) return;
+
     const title = node.title ? node.title.toLowerCase() : "";
     const doi = node.doi ? node.doi.toLowerCase() : "";
 
-    // Check for matches
-    const titleMatch = title.includes(query);
-    const doiMatch = doi.includes(query);
-
-    if (titleMatch || doiMatch) {
-      // Calculate relevance score (exact matches score higher)
-      let score = 0;
-
-      // Title exact match scores highest
-      if (title === query) score += 100;
-      // DOI exact match scores high
-      else if (doi === query) score += 90;
-      // Title starts with query scores high
-      else if (title.startsWith(query)) score += 80;
-      // DOI starts with query scores medium-high
-      else if (doi.startsWith(query)) score += 70;
-      // Title contains query scores medium
-      else if (titleMatch) score += 50;
-      // DOI contains query scores lower
-      else if (doiMatch) score += 40;
-
-      results.push({
-        index,
-        node,
-        score,
-        titleMatch,
-        doiMatch,
-      });
-    }
+    // The whole query as typed scores highest, as in a plain title/DOI search
+    let score = scoreText(title, doi, phrase);
+    let titleMatch = title.includes(phrase);
+    let doiMatch = doi.includes(phrase);
+
+    // Each matched word adds to the score, so papers matching more words rank higher
+    terms.forEach((term) => {
+      if (term.field && term.field !== "title" && term.field !== "doi") return;
+      const termTitle = term.field === "doi" ? "" : title;
+      const termDoi = term.field === "title" ? "" : doi;
+      score += scoreText(termTitle, termDoi, term.value) / 10;
+      titleMatch = titleMatch || termTitle.includes(term.value);
+      doiMatch = doiMatch || termDoi.includes(term.value);
+    });
+
+    results.push({
+      index,
+      node,
+      score,
+      titleMatch,
+      doiMatch,
+    });
   });
 
   // Sort results by relevance score
   results.sort((a, b) => b.score - a.score);
 
   // Display results (limited to prevent UI clutter)
-  displaySearchResults(results.slice(0, searchResultsLimit));
+  displaySearchResults(
+    results.slice(0, searchResultsLimit),
+    query,
+    results.map((result) => result.index)
+  );
+}
+
+/**
+ * Relevance of a text value for a title and DOI (exact matches score higher)
+ * @param {string} title - Lower-case title
+ * @param {string} doi - Lower-case DOI
+ * @param {string} value - Lower-case search text
+ * @returns {number}
+ */
+function scoreText(title, doi, value) {
+  // Title exact match scores highest
+  if (title === value) return 100;
+  // DOI exact match scores high
+  if (doi === value) return 90;
+  // Title starts with query scores high
+  if (title.startsWith(value)) return 80;
+  // DOI starts with query scores medium-high
+  if (doi.startsWith(value)) return 70;
+  // Title contains query scores medium
+  if (title.includes(value)) return 50;
+  // DOI contains query scores lower
+  if (doi.includes(value)) return 40;
+  return 0;
 }
 
 /**
  * Display search results in the UI
  * @param {Array} results - The search results to display
+ * @param {string} query - The search query
+ * @param {ArrayLike<number>} allIndices - Indices of all matches, not only
+ *   the displayed ones
  */
-function displaySearchResults(results) {
+function displaySearchResults(results, query, allIndices) {
   // Clear previous results
   searchResults.innerHTML = "";
+  activeResultIndex = -1;
+  searchInput.removeAttribute("aria-activedescendant");
+
+  // Keep an active "show all matches" highlight in sync with the query
+  if (searchHighlight.isActive()) {
+    searchHighlight.show(query, allIndices);
+  }
+
+  if (results.length > 0) {
+    searchResults.appendChild(createResultsHeader(query, allIndices));
+  }
 
   if (results.length === 0) {
     const noResults = document.createElement("div");
     noResults.className = "search-no-results";
     noResults.textContent = "No matching results found";
     searchResults.appendChild(noResults);
+    announce("No matching results found");
   } else {
+    announce(`${allIndices.length} matches`);
+
     // Create result items
-    results.forEach((result) => {
+    results.forEach((result, i) => {
       const resultItem = document.createElement("div");
       resultItem.className = "search-result-item";
+      resultItem.id = `search-result-${i}`;
+      resultItem.setAttribute("role", "option");
+      resultItem.setAttribute("aria-selected", "false");
 
       // Highlight if both title and DOI match
       if (result.titleMatch && result.doiMatch) {
@@ -228,7 +543,36 @@ function displaySearchResults(results) {
   }
 
   // Show results
-  searchResults.style.display = "block";
+  showSearchResults();
+}
+
+/**
+ * Create the header with the match count and the "show all" action
+ * @param {string} query - The search query
+ * @param {ArrayLike<number>} allIndices - Indices of all matches
+ * @returns {HTMLElement}
+ */
+function createResultsHeader(query, allIndices) {
+  const header = document.createElement("div");
+  header.className = "search-results-header";
+  header.setAttribute("role", "presentation");
+
+  const count = document.createElement("span");
+  count.textContent = `${allIndices.length} matches`;
+  header.appendChild(count);
+
+  const showAllButton = document.createElement("button");
+  showAllButton.className = "search-show-all";
+  showAllButton.textContent = "Show all in scene";
+  showAllButton.title = "Highlight every match and dim all other papers";
+  showAllButton.addEventListener("click", (e) => {
+    e.stopPropagation();
+    searchHighlight.show(query, allIndices);
+    hideSearchResults();
+  });
+  header.appendChild(showAllButton);
+
+  return header;
 }
 
 /**
@@ -317,7 +661,7 @@ function navigateToNode(index, node) {
     animateCameraMove(cameraPosition, targetVector);
 
     // Hide search results
-    searchResults.style.display = "none";
+    hideSearchResults();
     searchInput.value = "";
 
     // Use the existing selection mechanism to highlight the node
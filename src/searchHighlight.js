@@ -0,0 +1,208 @@
+/**
+ * @file searchHighlight.js
+ * @description "Show all matches" mode for search. Every node matching the
+ * current query is lit up in the scene, all other nodes are dimmed, and a panel
+ * reports how many matches fall in each cluster. While the mode is on, new
+ * queries update the highlight as they are typed. "Only matches" hides the
+ * other papers and the citations leading to them, with the "search" filter of
+ * the visibility manager.
+ */
+
+import { CONFIG } from "./config.js";
+import { nodesMap } from "./nodesLoader.js";
+import { edgesMap } from "./edgesLoader.js";
+import { visibilityManager } from "./visibilityManager.js";
+import { nodeBrightness } from "./nodeBrightness.js";
+
+class SearchHighlight {
+  constructor() {
+    this.active = false;
+    this.query = "";
+    this.indices = null;
+    this.clusterSizes = null;
+    this.matchesOnly = false;
+    this.ui = {
+      panel: null,
+      title: null,
+      matchesOnly: null,
+      list: null,
+    };
+  }
+
+  initialize() {
+    this.createUI();
+
+    // The matches are indices into nodes that have been replaced
+    window.addEventListener("graphDataReplaced", () => this.clear());
+  }
+
+  isActive() {
+    return this.active;
+  }
+
+  /**
+   * Highlight all matches of a query
+   * @param {string} query - The search query, shown in the panel
+   * @param {ArrayLike<number>} indices - Buffer indices of all matching nodes
+   */
+  show(query, indices) {
+    this.active = true;
+    this.query = query;
+    this.indices = indices;
+    this.applyHighlight();
+    this.applyFilter();
+    this.renderPanel();
+  }
+
+  clear() {
+    if (!this.active) return;
+    this.active = false;
+    this.indices = null;
+
+    nodeBrightness.clearLayer("search");
+    this.applyFilter();
+    this.renderPanel();
+  }
+
+  applyHighlight() {
+    if (!this.indices) return;
+
+    // Matches are lit, all other papers dimmed
+    const { matchBrightness, dimBrightness } = CONFIG.search.highlight;
+    nodeBrightness.setLayer(
+      "search",
+      Array.from(this.indices, (index) => [index, matchBrightness]),
+      dimBrightness
+    );
+  }
+
+  // Hide everything but the matches while "Only matches" is checked
+  applyFilter() {
+    if (!this.active || !this.matchesOnly) {
+      visibilityManager.setFilter("search", null);
+      return;
+    }
+
+    const matches = new Set(this.indices);
+    visibilityManager.setFilter("search", {
+      node: (node, index) => matches.has(index),
+      edge: (edge) => {
+        const { source, target } = edgesMap.get(edge.id) || {};
+        return matches.has(source) && matches.has(target);
+      },
+    });
+  }
+
+  /**
+   * Count matches per cluster, together with the size of each cluster
+   * @returns {Array<{cluster, label, color, matches, total}>} Sorted by matches
+   */
+  countByCluster() {
+    if (!this.clusterSizes) {
+      this.clusterSizes = new Map();
+      nodesMap.forEach((node) => {
+        this.clusterSizes.set(
+          node.cluster,
+          (this.clusterSizes.get(node.cluster) || 0) + 1
+        );
+      });
+    }
+
+    const counts = new Map();
+    for (let i = 0; i < this.indices.length; i++) {
+      const node = nodesMap.get(this.indices[i]);
+      if (!counts.has(node.cluster)) {
+        counts.set(node.cluster, {
+          cluster: node.cluster,
+          label: node.clusterLabel,
+          color: node.color,
+          matches: 0,
+          total: this.clusterSizes.get(node.cluster),
+        });
+      }
+      counts.get(node.cluster).matches++;
+    }
+
+    return Array.from(counts.values()).sort((a, b) => b.matches - a.matches);
+  }
+
+  /**
+   * Create the match count panel
+   */
+  createUI() {
+    this.ui.panel = document.createElement("div");
+    this.ui.panel.id = "searchMatchesPanel";
+
+    const header = document.createElement("div");
+    header.className = "search-matches-header";
+
+    this.ui.title = document.createElement("span");
+    this.ui.title.className = "search-matches-title";
+    header.appendChild(this.ui.title);
+
+    const matchesOnlyLabel = document.createElement("label");
+    matchesOnlyLabel.className = "search-matches-only";
+    matchesOnlyLabel.title = "Hide the papers that don't match";
+    this.ui.matchesOnly = document.createElement("input");
+    this.ui.matchesOnly.type = "checkbox";
+    this.ui.matchesOnly.addEventListener("change", () => {
+      this.matchesOnly = this.ui.matchesOnly.checked;
+      this.applyFilter();
+    });
+    matchesOnlyLabel.append(this.ui.matchesOnly, " Only matches");
+    header.appendChild(matchesOnlyLabel);
+
+    const clearButton = document.createElement("button");
+    clearButton.className = "search-matches-clear";
+    clearButton.textContent = "Clear";
+    clearButton.title = "Stop highlighting search matches";
+    clearButton.addEventListener("click", () => this.clear());
+    header.appendChild(clearButton);
+
+    this.ui.list = document.createElement("ul");
+    this.ui.list.className = "search-matches-list";
+
+    this.ui.panel.appendChild(header);
+    this.ui.panel.appendChild(this.ui.list);
+    document.body.appendChild(this.ui.panel);
+
+    this.renderPanel();
+  }
+
+  renderPanel() {
+    const { panel, title, list } = this.ui;
+    if (!panel) return;
+
+    panel.style.display = this.active ? "block" : "none";
+    list.innerHTML = "";
+    if (!this.active) return;
+
+    title.textContent = `${this.indices.length} matches for "${this.query}"`;
+
+    this.countByCluster().forEach((clusterCount) => {
+      const item = document.createElement("li");
+      item.className = "search-matches-item";
+
+      const swatch = document.createElement("span");
+      swatch.className = "search-matches-swatch";
+      swatch.style.backgroundColor = `#${clusterCount.color.getHexString()}`;
+
+      const label = document.createElement("span");
+      label.className = "search-matches-label";
+      label.textContent =
+        clusterCount.label || `Cluster ${clusterCount.cluster}`;
+
+      const count = document.createElement("span");
+      count.className = "search-matches-count";
+      count.textContent = clusterCount.matches;
+      count.title = `${clusterCount.matches} of ${clusterCount.total} papers in this cluster`;
+
+      item.appendChild(swatch);
+      item.appendChild(label);
+      item.appendChild(count);
+      list.appendChild(item);
+    });
+  }
+}
+
+export const searchHighlight = new SearchHighlight();
@@ -0,0 +1,498 @@
+/**
+ * @file searchIndex.js
+ * @description Inverted index for paper search, built once after the node data
+ * has loaded (normally inside searchIndex.worker.js). Titles and authors are
+ * split into lower-case tokens and reduced with a light stemmer; the stems are
+ * indexed by field and by trigram. Queries parsed by searchQuery.js are
+ * evaluated against the index and ranked with BM25:
+ *
+ * - Words match stems exactly, by prefix (for words still being typed) and by
+ *   trigram similarity within a small edit distance, so "fluoxitine" finds
+ *   "fluoxetine". Prefix and fuzzy matches score lower than exact ones.
+ * - Phrases ("prenatal exposure", 5-HT) must match all their words and appear
+ *   verbatim in the field.
+ * - DOIs are matched by substring, so fragments like "jama.2004" work. They
+ *   are indexed by trigram, and only papers sharing the fragment's rarest
+ *   trigram are checked.
+ * - year: and cluster: filters are evaluated directly on the document metadata.
+ *
+ * Expansion is only applied to terms that count towards a match: excluded
+ * words (-rat) are matched exactly.
+ */
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOP_WORDS = new Set(
+  "a an and are as at by for from in into is of on or the to vs with".split(" ")
+);
+
+const DEFAULT_OPTIONS = {
+  prefixWeight: 0.7, // Score multiplier for prefix matches
+  fuzzyWeight: 0.5, // Score multiplier for fuzzy (misspelled) matches
+  maxExpansions: 10, // Maximum prefix or fuzzy variants per word
+  fuzzyMinLength: 4, // Words shorter than this are never fuzzy matched
+};
+
+/**
+ * Split text into lower-case word tokens
+ * @param {string} text - Text to tokenize
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return (text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9À-ɏ]+/)
+    .filter((token) => token && !STOP_WORDS.has(token));
+}
+
+/**
+ * Light English stemmer: strips common plural and verb suffixes so that
+ * "rats"/"rat" and "treated"/"treat" share a stem
+ * @param {string} word - Lower-case word
+ * @returns {string}
+ */
+export function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  if (word.endsWith("ies") && word.length > 4) return word.slice(0, -3) + "y";
+  if (word.endsWith("sses")) return word.slice(0, -2);
+  if (word.endsWith("ing") && word.length > 5) return word.slice(0, -3);
+  if (word.endsWith("ed") && word.length > 4) return word.slice(0, -2);
+  if (/(ss|x|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith("s") && !/(ss|us|is)$/.test(word)) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+// Trigrams of the text itself, without padding, for substring lookups
+function substrings(text) {
+  const result = new Set();
+  for (let i = 0; i < text.length - 2; i++) {
+    result.add(text.slice(i, i + 3));
+  }
+  return result;
+}
+
+function trigrams(term) {
+  const padded = `$${term}$`;
+  const result = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    result.add(padded.slice(i, i + 3));
+  }
+  return result;
+}
+
+/**
+ * Optimal string alignment distance, giving up once it exceeds maxDistance
+ * @returns {number} The distance, or maxDistance + 1 if it is larger
+ */
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      if (
+        previousPrevious &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function maxEditsFor(word) {
+  return word.length >= 8 ? 2 : 1;
+}
+
+export class SearchIndex {
+  /**
+   * @param {Object} [options] - Overrides for DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.documents = [];
+    this.fields = {};
+    this.vocabulary = [];
+    this.trigramIndex = new Map();
+    this.doiIndex = new Map();
+  }
+
+  /**
+   * Build the index
+   * @param {Object[]} documents - One entry per paper: {index, title, authors,
+   *   doi, year, cluster, clusterLabel, centrality}
+   */
+  build(documents) {
+    this.documents = documents.map((doc) => ({
+      ...doc,
+      title: (doc.title || "").toLowerCase(),
+      authors: (doc.authors || "").toLowerCase(),
+      doi: (doc.doi || "").toLowerCase(),
+      clusterLabel: (doc.clusterLabel || "").toLowerCase(),
+    }));
+
+    this.fields = {
+      title: this.buildField("title"),
+      authors: this.buildField("authors"),
+    };
+
+    // Vocabulary over both fields, sorted for prefix lookups
+    const terms = new Set([
+      ...this.fields.title.postings.keys(),
+      ...this.fields.authors.postings.keys(),
+    ]);
+    this.vocabulary = Array.from(terms).sort();
+    this.trigramIndex = new Map();
+    this.vocabulary.forEach((term) => {
+      trigrams(term).forEach((trigram) => {
+        if (!this.trigramIndex.has(trigram)) {
+          this.trigramIndex.set(trigram, []);
+        }
+        this.trigramIndex.get(trigram).push(term);
+      });
+    });
+
+    // DOI trigram -> docIds, ascending
+    this.doiIndex = new Map();
+    this.documents.forEach((doc, docId) => {
+      substrings(doc.doi).forEach((trigram) => {
+        if (!this.doiIndex.has(trigram)) this.doiIndex.set(trigram, []);
+        this.doiIndex.get(trigram).push(docId);
+      });
+    });
+  }
+
+  buildField(name) {
+    const postings = new Map(); // stem -> Map(docId -> term frequency)
+    const lengths = new Uint16Array(this.documents.length);
+    let totalLength = 0;
+
+    this.documents.forEach((doc, docId) => {
+      const tokens = tokenize(doc[name]);
+      lengths[docId] = Math.min(tokens.length, 65535);
+      totalLength += tokens.length;
+      tokens.forEach((token) => {
+        const term = stem(token);
+        if (!postings.has(term)) postings.set(term, new Map());
+        const docs = postings.get(term);
+        docs.set(docId, (docs.get(docId) || 0) + 1);
+      });
+    });
+
+    return {
+      postings,
+      lengths,
+      averageLength: totalLength / Math.max(1, this.documents.length),
+    };
+  }
+
+  /**
+   * Search the index
+   * @param {Object|null} expression - Expression tree from parseQuery
+   * @returns {{indices: Int32Array, scores: Float32Array}} Matching node
+   *   indices, best first
+   */
+  search(expression) {
+    const matches = expression ? this.evaluate(expression, false) : new Map();
+    const docIds = Array.from(matches.keys()).sort(
+      (a, b) =>
+        matches.get(b) - matches.get(a) ||
+        this.documents[b].centrality - this.documents[a].centrality
+    );
+
+    const indices = new Int32Array(docIds.length);
+    const scores = new Float32Array(docIds.length);
+    docIds.forEach((docId, i) => {
+      indices[i] = this.documents[docId].index;
+      scores[i] = matches.get(docId);
+    });
+    return { indices, scores };
+  }
+
+  /**
+   * Evaluate an expression into matching documents and their scores
+   * @param {Object} expression - Expression tree node
+   * @param {boolean} negated - True below a NOT, where terms match exactly
+   * @returns {Map<number, number>} docId -> score
+   */
+  evaluate(expression, negated) {
+    switch (expression.type) {
+      case "and": {
+        const positives = expression.children.filter((c) => c.type !== "not");
+        const negatives = expression.children.filter((c) => c.type === "not");
+
+        let result = null;
+        for (const child of positives) {
+          const matches = this.evaluate(child, negated);
+          result = result === null ? matches : intersect(result, matches);
+          if (result.size === 0) return result;
+        }
+        if (result === null) result = this.allDocuments();
+        for (const child of negatives) {
+          this.evaluate(child.child, !negated).forEach((_, docId) =>
+            result.delete(docId)
+          );
+        }
+        return result;
+      }
+      case "or": {
+        const result = new Map();
+        expression.children.forEach((child) => {
+          this.evaluate(child, negated).forEach((score, docId) => {
+            result.set(docId, (result.get(docId) || 0) + score);
+          });
+        });
+        return result;
+      }
+      case "not": {
+        const result = this.allDocuments();
+        this.evaluate(expression.child, !negated).forEach((_, docId) =>
+          result.delete(docId)
+        );
+        return result;
+      }
+      case "yearRange":
+        return this.filterDocuments(
+          (doc) => doc.year >= expression.min && doc.year <= expression.max
+        );
+      case "cluster":
+        return this.filterDocuments((doc) =>
+          expression.id !== null
+            ? doc.cluster === expression.id
+            : doc.clusterLabel.includes(expression.value)
+        );
+      case "text":
+        return this.searchText(expression.field, expression.value, negated);
+      default:
+        return new Map();
+    }
+  }
+
+  /**
+   * Match a word or phrase in a field, or in title and DOI when no field is given
+   */
+  searchText(field, value, exact) {
+    if (field === "doi") return this.searchDoi(value);
+
+    const fieldNames = field ? [field] : ["title"];
+    const result = new Map();
+    fieldNames.forEach((name) => {
+      this.searchField(name, value, exact).forEach((score, docId) => {
+        result.set(docId, (result.get(docId) || 0) + score);
+      });
+    });
+
+    // Without a field, DOIs and DOI fragments are matched too
+    if (!field && value.length >= 3) {
+      this.searchDoi(value).forEach((score, docId) => {
+        result.set(docId, (result.get(docId) || 0) + score);
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Papers whose DOI contains the value
+   * @returns {Map<number, number>} docId -> score
+   */
+  searchDoi(value) {
+    let candidates;
+    if (value.length >= 3) {
+      // Every match contains all trigrams of the value, so the rarest one
+      // gives the fewest papers to check
+      candidates = [];
+      for (const trigram of substrings(value)) {
+        const docIds = this.doiIndex.get(trigram) || [];
+        if (docIds.length === 0) return new Map();
+        if (!candidates.length || docIds.length < candidates.length) {
+          candidates = docIds;
+        }
+      }
+    } else {
+      // Shorter fragments: papers with a trigram containing the fragment
+      candidates = new Set();
+      this.doiIndex.forEach((docIds, trigram) => {
+        if (trigram.includes(value)) docIds.forEach((id) => candidates.add(id));
+      });
+    }
+
+    const result = new Map();
+    candidates.forEach((docId) => {
+      if (this.documents[docId].doi.includes(value)) result.set(docId, 1);
+    });
+    return result;
+  }
+
+  searchField(name, value, exact) {
+    const words = tokenize(value);
+
+    // Punctuation-only values like "-" can only match verbatim
+    if (words.length === 0) {
+      return this.filterDocuments((doc) => doc[name].includes(value), 1);
+    }
+
+    // Single word: exact stem plus prefix and fuzzy variants
+    if (words.length === 1 && /^[a-z0-9À-ɏ]+$/.test(value)) {
+      return this.scoreTerms(name, this.expandWord(words[0], exact));
+    }
+
+    // Phrase: every word must match exactly and the phrase must appear verbatim
+    let result = null;
+    for (const word of words) {
+      const matches = this.scoreTerms(name, [{ term: stem(word), weight: 1 }]);
+      result = result === null ? matches : intersect(result, matches);
+      if (result.size === 0) return result;
+    }
+    result.forEach((_, docId) => {
+      if (!this.documents[docId][name].includes(value)) result.delete(docId);
+    });
+    return result;
+  }
+
+  /**
+   * Find the index terms a query word should match
+   * @returns {Array<{term: string, weight: number}>}
+   */
+  expandWord(word, exact) {
+    const term = stem(word);
+    const expansions = new Map([[term, 1]]);
+    if (exact) return [{ term, weight: 1 }];
+
+    const { prefixWeight, fuzzyWeight, maxExpansions, fuzzyMinLength } =
+      this.options;
+
+    // Prefix matches for words that are still being typed
+    if (word.length >= 3) {
+      let i = lowerBound(this.vocabulary, word);
+      let added = 0;
+      while (
+        i < this.vocabulary.length &&
+        this.vocabulary[i].startsWith(word) &&
+        added < maxExpansions
+      ) {
+        if (!expansions.has(this.vocabulary[i])) {
+          expansions.set(this.vocabulary[i], prefixWeight);
+          added++;
+        }
+        i++;
+      }
+    }
+
+    // Fuzzy matches for misspellings: candidates share trigrams with the word
+    if (word.length >= fuzzyMinLength) {
+      const wordTrigrams = trigrams(term);
+      const shared = new Map();
+      wordTrigrams.forEach((trigram) => {
+        (this.trigramIndex.get(trigram) || []).forEach((candidate) => {
+          shared.set(candidate, (shared.get(candidate) || 0) + 1);
+        });
+      });
+
+      const maxEdits = maxEditsFor(term);
+      const candidates = [];
+      shared.forEach((count, candidate) => {
+        if (expansions.has(candidate)) return;
+        // A padded term of length n has n trigrams
+        const dice = (2 * count) / (wordTrigrams.size + candidate.length);
+        if (dice < 0.4) return;
+        const distance = editDistance(term, candidate, maxEdits);
+        if (distance <= maxEdits) candidates.push({ candidate, distance });
+      });
+
+      candidates
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, maxExpansions)
+        .forEach(({ candidate, distance }) => {
+          expansions.set(candidate, fuzzyWeight / distance);
+        });
+    }
+
+    return Array.from(expansions, ([term, weight]) => ({ term, weight }));
+  }
+
+  /**
+   * BM25 scores for documents containing any of the terms; a document matching
+   * several variants keeps its best one
+   */
+  scoreTerms(name, terms) {
+    const { postings, lengths, averageLength } = this.fields[name];
+    const documentCount = this.documents.length;
+    const result = new Map();
+
+    terms.forEach(({ term, weight }) => {
+      const docs = postings.get(term);
+      if (!docs) return;
+
+      const idf = Math.log(
+        1 + (documentCount - docs.size + 0.5) / (docs.size + 0.5)
+      );
+      docs.forEach((frequency, docId) => {
+        const norm =
+          1 - BM25_B + (BM25_B * lengths[docId]) / (averageLength || 1);
+        const score =
+          weight *
+          idf *
+          ((frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * norm));
+        if (score > (result.get(docId) || 0)) result.set(docId, score);
+      });
+    });
+
+    return result;
+  }
+
+  filterDocuments(predicate, score = 0) {
+    const result = new Map();
+    this.documents.forEach((doc, docId) => {
+      if (predicate(doc)) result.set(docId, score);
+    });
+    return result;
+  }
+
+  allDocuments() {
+    return this.filterDocuments(() => true);
+  }
+}
+
+// Keep documents present in both maps, adding their scores
+function intersect(a, b) {
+  const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+  const result = new Map();
+  smaller.forEach((score, docId) => {
+    if (larger.has(docId)) result.set(docId, score + larger.get(docId));
+  });
+  return result;
+}
+
+// First position in a sorted array whose value is >= target
+function lowerBound(sorted, target) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sorted[mid] < target) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
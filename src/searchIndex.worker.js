@@ -0,0 +1,39 @@
+/**
+ * @file searchIndex.worker.js
+ * @description Web Worker that builds the search index off the main thread and
+ * answers queries against it.
+ *
+ * Messages in:
+ *   { type: "build", documents, options }
+ *   { type: "search", id, query }
+ * Messages out:
+ *   { type: "ready", terms, buildTime }
+ *   { type: "results", id, query, indices: Int32Array, scores: Float32Array }
+ */
+
+import { SearchIndex } from "./searchIndex.js";
+import { parseQuery } from "./searchQuery.js";
+
+let searchIndex = null;
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  if (message.type === "build") {
+    const startTime = performance.now();
+    searchIndex = new SearchIndex(message.options);
+    searchIndex.build(message.documents);
+    self.postMessage({
+      type: "ready",
+      terms: searchIndex.vocabulary.length,
+      buildTime: performance.now() - startTime,
+    });
+  } else if (message.type === "search" && searchIndex) {
+    const { id, query } = message;
+    const { indices, scores } = searchIndex.search(parseQuery(query));
+    self.postMessage({ type: "results", id, query, indices, scores }, [
+      indices.buffer,
+      scores.buffer,
+    ]);
+  }
+};
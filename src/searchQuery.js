@@ -0,0 +1,269 @@
+/**
+ * @file searchQuery.js
+ * @description Parser and matcher for the search query syntax. Free of DOM and
+ * three.js dependencies so it can be used anywhere, including workers.
+ *
+ * Syntax:
+ *   fluoxetine rat            both words (AND is implicit)
+ *   fluoxetine OR paroxetine  either word
+ *   -rat, NOT rat             exclude a word
+ *   "prenatal exposure"       exact phrase
+ *   (a OR b) c                grouping
+ *   title:depression          field prefixes: title, author, doi, year, cluster
+ *   author:smith
+ *   year:2005  year:2005..2010  year:2005..  year:..2010
+ *   cluster:"Risk of Prenatal Exposure"  cluster:4
+ *
+ * Words without a field match the title or DOI. Text matching is a
+ * case-insensitive substring match; cluster matches the label or, for a number,
+ * the cluster id. The parser is lenient so queries can be evaluated while they
+ * are typed: unclosed quotes and parentheses are closed at the end of input and
+ * stray closing parentheses are ignored.
+ */
+
+const FIELD_ALIASES = {
+  title: "title",
+  author: "authors",
+  authors: "authors",
+  doi: "doi",
+  year: "year",
+  cluster: "cluster",
+  label: "cluster",
+};
+
+/**
+ * Split a query string into tokens
+ * @param {string} query - The raw query
+ * @returns {Object[]} Tokens of type "lparen", "rparen", "or", "and", "not"
+ *   or "term" ({field, value})
+ */
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+    if (char === "(") {
+      tokens.push({ type: "lparen" });
+      i++;
+      continue;
+    }
+    if (char === ")") {
+      tokens.push({ type: "rparen" });
+      i++;
+      continue;
+    }
+
+    // A leading "-" negates the following term or group
+    if (char === "-" && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+      tokens.push({ type: "not" });
+      i++;
+      continue;
+    }
+
+    // Optional field prefix
+    let field = null;
+    const fieldMatch = /^([a-z]+):/i.exec(query.slice(i));
+    if (fieldMatch && FIELD_ALIASES[fieldMatch[1].toLowerCase()]) {
+      field = FIELD_ALIASES[fieldMatch[1].toLowerCase()];
+      i += fieldMatch[0].length;
+    }
+
+    // Quoted phrase or bare word
+    let value = "";
+    let quoted = false;
+    if (query[i] === '"') {
+      quoted = true;
+      const end = query.indexOf('"', i + 1);
+      value = query.slice(i + 1, end === -1 ? query.length : end);
+      i = end === -1 ? query.length : end + 1;
+    } else {
+      const start = i;
+      while (i < query.length && !/[\s()]/.test(query[i])) i++;
+      value = query.slice(start, i);
+    }
+
+    if (!field && !quoted && (value === "OR" || value === "|")) {
+      tokens.push({ type: "or" });
+    } else if (!field && !quoted && (value === "AND" || value === "&")) {
+      tokens.push({ type: "and" });
+    } else if (!field && !quoted && value === "NOT") {
+      tokens.push({ type: "not" });
+    } else if (value !== "") {
+      tokens.push({ type: "term", field, value });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a query string into an expression tree
+ * @param {string} query - The raw query
+ * @returns {Object|null} The expression tree, or null for an empty query.
+ *   Node types: "and"/"or" ({children}), "not" ({child}), "text"
+ *   ({field, value}), "yearRange" ({min, max}), "cluster" ({value, id})
+ */
+export function parseQuery(query) {
+  const tokens = tokenize(query);
+  let position = 0;
+
+  const peek = () => tokens[position];
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek() && peek().type === "or") {
+      position++;
+      children.push(parseAnd());
+    }
+    return combine("or", children);
+  }
+
+  function parseAnd() {
+    const children = [];
+    while (peek() && peek().type !== "or" && peek().type !== "rparen") {
+      if (peek().type === "and") {
+        position++;
+        continue;
+      }
+      children.push(parseUnary());
+    }
+    return combine("and", children);
+  }
+
+  function parseUnary() {
+    if (peek() && peek().type === "not") {
+      position++;
+      const child = peek() ? parseUnary() : null;
+      return child ? { type: "not", child } : null;
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[position++];
+    if (token.type === "lparen") {
+      const expression = parseOr();
+      if (peek() && peek().type === "rparen") position++;
+      return expression;
+    }
+    if (token.type === "term") {
+      return createTerm(token.field, token.value);
+    }
+    return null;
+  }
+
+  const parts = [];
+  while (position < tokens.length) {
+    if (peek().type === "rparen") {
+      position++; // Ignore stray closing parenthesis
+      continue;
+    }
+    parts.push(parseOr());
+  }
+  return combine("and", parts);
+}
+
+// Drop empty children and collapse single-child groups
+function combine(type, children) {
+  const valid = children.filter(Boolean);
+  if (valid.length === 0) return null;
+  if (valid.length === 1) return valid[0];
+  return { type, children: valid };
+}
+
+function createTerm(field, value) {
+  if (field === "year") {
+    const range = parseYearRange(value);
+    return range ? { type: "yearRange", ...range } : null;
+  }
+  if (field === "cluster") {
+    const id = /^\d+$/.test(value) ? parseInt(value, 10) : null;
+    return { type: "cluster", value: value.toLowerCase(), id };
+  }
+  return { type: "text", field, value: value.toLowerCase() };
+}
+
+/**
+ * Parse "2005", "2005..2010", "2005.." or "..2010"
+ * @param {string} value - The year expression
+ * @returns {{min: number, max: number}|null}
+ */
+function parseYearRange(value) {
+  const match = /^(\d{4})?(?:(\.\.|-)(\d{4})?)?$/.exec(value);
+  if (!match || (!match[1] && !match[3])) return null;
+
+  const min = match[1] ? parseInt(match[1], 10) : -Infinity;
+  if (!match[2]) return { min, max: min };
+  const max = match[3] ? parseInt(match[3], 10) : Infinity;
+  return { min: Math.min(min, max), max: Math.max(min, max) };
+}
+
+/**
+ * Check whether a node matches a parsed query
+ * @param {Object|null} expression - Expression tree from parseQuery
+ * @param {Object} node - A node from nodesMap
+ * @returns {boolean}
+ */
+export function matchesQuery(expression, node) {
+  if (!expression) return false;
+
+  switch (expression.type) {
+    case "and":
+      return expression.children.every((child) => matchesQuery(child, node));
+    case "or":
+      return expression.children.some((child) => matchesQuery(child, node));
+    case "not":
+      return !matchesQuery(expression.child, node);
+    case "yearRange":
+      return node.year >= expression.min && node.year <= expression.max;
+    case "cluster":
+      return expression.id !== null
+        ? node.cluster === expression.id
+        : includes(node.clusterLabel, expression.value);
+    case "text":
+      if (expression.field) {
+        return includes(node[expression.field], expression.value);
+      }
+      return (
+        includes(node.title, expression.value) ||
+        includes(node.doi, expression.value)
+      );
+    default:
+      return false;
+  }
+}
+
+function includes(text, value) {
+  return text ? String(text).toLowerCase().includes(value) : false;
+}
+
+/**
+ * Collect the text terms that count towards a match (i.e. not under a NOT),
+ * used for ranking and highlighting
+ * @param {Object|null} expression - Expression tree from parseQuery
+ * @returns {Array<{field: string|null, value: string}>}
+ */
+export function getPositiveTextTerms(expression, negated = false) {
+  if (!expression) return [];
+
+  switch (expression.type) {
+    case "and":
+    case "or":
+      return expression.children.flatMap((child) =>
+        getPositiveTextTerms(child, negated)
+      );
+    case "not":
+      return getPositiveTextTerms(expression.child, !negated);
+    case "text":
+      if (negated) return [];
+      return [{ field: expression.field, value: expression.value }];
+    default:
+      return [];
+  }
+}
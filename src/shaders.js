@@ -10,7 +10,8 @@
  * Shaders included:
  *
  * 1. Node Shaders:
- *    - vertexShaderNode: Handles node positioning, size, color, visibility, and selection highlighting.
+ *    - vertexShaderNode: Handles node positioning, size, color, visibility (including the year,
+ *      cluster and time travel filters, see gpuFilters.js), and selection highlighting.
  *    - fragmentShaderNode: Manages node color, texture, fog effect, and selection brightness.
  *
  * 2. Edge Shaders:
@@ -23,9 +24,10 @@
  *
  * Key Features:
  * - Dynamic node size based on selection state
+ * - Negative selection brightness dims nodes into the background
  * - Fog effect for depth perception
  * - Texture support for nodes
- * - Visibility control for nodes and edges
+ * - Visibility control for nodes and edges, with fades when they are shown or hidden
  * - Custom spotlight effect
  *
  * These shaders are designed to work together to create a rich, interactive 3D graph visualization,
@@ -39,21 +41,33 @@
  * @exports {string} fragmentShaderSpotlight
  */
 
+import { filterShaderChunk } from "./gpuFilters.js";
+
 // Vertex Shader
 export const vertexShaderNode = `
   // Custom attributes
   attribute float size;
   attribute vec3 color;
   attribute float visible;
+  attribute float fadeStart;
+  // Publication year plus the fraction of the year (see dataTransforms.js)
+  attribute float time;
+  attribute float clusterSlot;
   attribute float singleNodeSelectionBrightness;
 
   varying vec4 vColor;
   varying float vVisible;
   varying float vSingleNodeSelectionBrightness;
-
+${filterShaderChunk}
   void main() {
     vColor = vec4(color, 1.0);
-    vVisible = visible;
+    // Year, cluster and time travel filters run here, the other filters set
+    // visible. Fading elements are drawn smaller and more transparent.
+    vVisible =
+      fadeVisible(visible, fadeStart) *
+      passesYear(floor(time)) *
+      passesCluster(clusterSlot) *
+      passesTimeWindow(time, time);
     vSingleNodeSelectionBrightness = singleNodeSelectionBrightness;
     vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
 
@@ -84,7 +98,7 @@ export const fragmentShaderNode = `
   uniform float highlightBrightness;
 
   void main() {
-    if (vVisible < 0.5) discard; // Discard fragment if not visible
+    if (vVisible <= 0.0) discard; // Discard fragment if not visible
 
     // Get the color from the texture
     vec4 outColor = texture2D(nodeTexture, gl_PointCoord);
@@ -97,10 +111,10 @@ export const fragmentShaderNode = `
     float luminance = dot(baseColor, vec3(0.299, 0.587, 0.114));
     vec3 saturatedColor = mix(vec3(luminance), baseColor, max(saturation, 0.8));
 
-    // Apply selection highlight
+    // Apply selection highlight (positive values highlight, negative values dim)
     vec3 finalColor = mix(saturatedColor,
                          saturatedColor + vec3(highlightBrightness),
-                         vSingleNodeSelectionBrightness);
+                         max(vSingleNodeSelectionBrightness, 0.0));
 
     // Apply minimal fog effect
     float depth = gl_FragCoord.z / gl_FragCoord.w;
@@ -114,7 +128,10 @@ export const fragmentShaderNode = `
     specular = pow(specular, specularPower) * specularIntensity * 0.5;
     foggedColor += vec3(specular);
 
-    gl_FragColor = vec4(foggedColor, outColor.a);
+    // Dim nodes pushed into the background (e.g. outside a neighborhood)
+    foggedColor *= 1.0 + min(vSingleNodeSelectionBrightness, 0.0);
+
+    gl_FragColor = vec4(foggedColor, outColor.a * vVisible);
   }
 `;
 
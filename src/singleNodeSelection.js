@@ -29,8 +29,14 @@
  *   checks for a valid selection.
  * - handleLongClick(event, nodesMap, positions, canvas, camera, scene): Processes the intersection
  *   of the raycaster with the nodes and updates node information.
+ * - handleShiftClick(event, canvas, camera, scene): Dispatches a "nodeShiftClicked" event for
+ *   multi-selection.
+ * - raycastVisibleNode(event, canvas, camera, scene): Returns the closest visible node intersection.
  * - updateNodeInfo(intersection, nodesMap, positions, scene): Displays information about the selected node
- *   and updates the visual selection mesh.
+ *   and updates the visual selection mesh. Dispatches a "nodeSelectionChanged" event.
+ * - getSelectedNodeIndex(): Returns the buffer index of the selected node (-1 if none).
+ *
+ * Selection changes are announced to screen readers via ./announcer.js.
  *
  * This module integrates with Three.js to provide an interactive node selection system in a 3D environment.
  * It uses custom shaders for visual effects and raycasting for precise node selection.
@@ -38,11 +44,15 @@
  * @requires THREE
  * @requires ./shaders.js
  * @requires ./config.js
+ * @requires ./visibilityManager.js
  */
 
 import * as THREE from "three";
 import { vertexShaderSpotlight, fragmentShaderSpotlight } from "./shaders.js";
 import { CONFIG } from "./config.js";
+import { announce } from "./announcer.js";
+import { visibilityManager } from "./visibilityManager.js";
+import { nodeBrightness } from "./nodeBrightness.js";
 
 let selectionMesh;
 let selectionMaterial;
@@ -157,6 +167,10 @@ export function handleMouseUp(
     clickDistance < CONFIG.clickDistanceThreshold
   ) {
     console.log("Selection click detected!");
+    if (event.shiftKey) {
+      handleShiftClick(event, canvas, camera, scene);
+      return;
+    }
     handleLongClick(event, nodesMap, positions, canvas, camera, scene);
   } else {
     console.log("Not a selection click.");
@@ -185,6 +199,39 @@ export function handleLongClick(
   updateNodeInfo(intersects[0], nodesMap, positions, scene);
 }
 
+/**
+ * Shift-click toggles a node in the multi-selection working set instead of
+ * replacing the single selection. Only visible nodes can be picked.
+ */
+export function handleShiftClick(event, canvas, camera, scene) {
+  const intersection = raycastVisibleNode(event, canvas, camera, scene);
+  if (!intersection) return;
+
+  const shiftClickEvent = new CustomEvent("nodeShiftClicked", {
+    detail: { index: intersection.index },
+  });
+  window.dispatchEvent(shiftClickEvent);
+}
+
+/**
+ * Raycast the points object and return the closest intersection with a
+ * visible node, if any
+ * @returns {Object|undefined} The intersection (with `index`), if any
+ */
+export function raycastVisibleNode(event, canvas, camera, scene) {
+  const rect = canvas.getBoundingClientRect();
+  mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+  mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+  raycaster.setFromCamera(mouse, camera);
+  raycaster.params.Points.threshold = CONFIG.nodeSelectionAccuracyThreshold;
+  const points = scene.getObjectByName("points");
+  if (!points) return undefined;
+
+  intersects.length = 0;
+  raycaster.intersectObject(points, false, intersects);
+  return intersects.find(({ index }) => visibilityManager.isNodeShown(index));
+}
+
 let lastSelectedNodeIndex = -1; // Track the last selected node index
 
 export function updateNodeInfo(intersection, nodesMap, positions, scene) {
@@ -201,36 +248,17 @@ export function updateNodeInfo(intersection, nodesMap, positions, scene) {
     return;
   }
 
-  const brightnessAttribute =
-    points.geometry.attributes.singleNodeSelectionBrightness;
-  if (!brightnessAttribute) {
-    console.error(
-      "singleNodeSelectionBrightness attribute not found in points geometry"
-    );
-    return;
-  }
-
-  // Function to reset node brightness
-  const resetNodeBrightness = (index) => {
-    brightnessAttribute.array[index] = 0.0;
-    brightnessAttribute.needsUpdate = true;
-  };
-
-  // Reset brightness for the last selected node, if applicable
-  if (lastSelectedNodeIndex !== -1) {
-    resetNodeBrightness(lastSelectedNodeIndex);
-  }
-
   // If no intersection, reset everything and return
   if (!intersection || !nodesMap) {
     console.log("No intersection or missing data, hiding node info");
     nodeInfoDiv.style.display = "none";
     document.body.classList.remove("node-selected");
-    brightnessAttribute.array.fill(0.0);
-    brightnessAttribute.needsUpdate = true;
+    nodeBrightness.clearLayer("selection");
     hideVisualSelection();
     if (selectionMesh) selectionMesh.visible = false;
+    if (lastSelectedNodeIndex !== -1) announce("Selection cleared");
     lastSelectedNodeIndex = -1;
+    dispatchNodeSelectionChangedEvent(-1);
     return;
   }
 
@@ -260,9 +288,9 @@ export function updateNodeInfo(intersection, nodesMap, positions, scene) {
   );
 
   // Update brightness for the selected node
-  brightnessAttribute.array[intersection.index] =
-    CONFIG.singleNodeSelectionBrightness;
-  brightnessAttribute.needsUpdate = true;
+  nodeBrightness.setLayer("selection", [
+    [intersection.index, CONFIG.singleNodeSelectionBrightness],
+  ]);
 
   // Update node info display
   const doiDisplay =
@@ -285,7 +313,26 @@ export function updateNodeInfo(intersection, nodesMap, positions, scene) {
   nodeInfoDiv.style.whiteSpace = "pre-line";
   nodeInfoDiv.style.display = "block";
   document.body.classList.add("node-selected");
+  announce(
+    `Selected paper: ${selectedNode.title}, ${selectedNode.year}, ` +
+      `cluster ${selectedNode.clusterLabel}`
+  );
 
   // Update last selected node index
   lastSelectedNodeIndex = intersection.index;
+  dispatchNodeSelectionChangedEvent(lastSelectedNodeIndex);
+}
+
+/**
+ * Returns the buffer index of the currently selected node, or -1 if none.
+ * @returns {number}
+ */
+export function getSelectedNodeIndex() {
+  return lastSelectedNodeIndex;
+}
+
+// Notify other modules (e.g. URL state) that the selection changed
+function dispatchNodeSelectionChangedEvent(index) {
+  const event = new CustomEvent("nodeSelectionChanged", { detail: { index } });
+  window.dispatchEvent(event);
 }
@@ -1,7 +1,8 @@
 /**
  * @file spatialPartitioning.js
  * @description Implements spatial partitioning using an octree for efficient node management and querying.
- * This system helps optimize node visibility updates, selection, and rendering.
+ * This system speeds up spatial queries (frustum, sphere) for selection and rendering; which nodes
+ * are visible is decided by visibilityManager.js.
  */
 
 import * as THREE from 'three';
@@ -122,28 +123,6 @@ class OctreeNode {
 
     return nodes;
   }
-
-  updateNodeVisibility(yearRange, selectedClusters) {
-    const visibleNodes = new Set();
-
-    if (this.children) {
-      for (const child of this.children) {
-        const childNodes = child.updateNodeVisibility(yearRange, selectedClusters);
-        childNodes.forEach(node => visibleNodes.add(node));
-      }
-    } else {
-      for (const node of this.nodes) {
-        const isInYearRange = node.year >= yearRange.min && node.year <= yearRange.max;
-        const isInSelectedCluster = !selectedClusters || selectedClusters.includes(node.cluster);
-        
-        if (isInYearRange && isInSelectedCluster) {
-          visibleNodes.add(node);
-        }
-      }
-    }
-
-    return visibleNodes;
-  }
 }
 
 export class SpatialPartitioning {
@@ -170,8 +149,4 @@ export class SpatialPartitioning {
   getNodesInSphere(center, radius) {
     return this.root.querySphere(center, radius);
   }
-
-  updateVisibility(yearRange, selectedClusters) {
-    return this.root.updateNodeVisibility(yearRange, selectedClusters);
-  }
-} 
\ No newline at end of file
+}
@@ -2,33 +2,77 @@
  * @file timeTravel.js
  * @description Implements time travel functionality for the visualization,
  * allowing users to see how clusters evolved over time with optimizations
- * for large datasets. Integrates with the existing year slider.
+ * for large datasets. Integrates with the existing year slider: the slider
+ * follows the current year, and the "timeTravel" filter of the visibility
+ * manager shows the papers and citations of the years up to it.
+ *
+ * Playback can be paused, stepped a year at a time, scrubbed with the
+ * timeline, sped up or slowed down and looped. In cumulative mode every year
+ * from the start of the slider range stays visible; in sliding window mode
+ * only the last few years are. Moving to another year only looks up the
+ * years entering or leaving the visible range in the year indices.
+ *
+ * Time runs continuously: within a year, papers appear in the order of their
+ * publication date, or spread over the year when it is unknown (see
+ * computeNodeTimes in dataTransforms.js). The visibility manager shows whole
+ * years; the time window in the vertex shaders (gpuFilters.js) reveals the
+ * papers of the current year one after another.
+ *
+ * A session starts with the first play, step or scrub and ends with Stop or
+ * when the user changes the year range or the clusters; the last frame stays
+ * on screen until then.
  */
 
 import * as THREE from "three";
 import { CONFIG } from "./config.js";
 import { nodesMap } from "./nodesLoader.js";
 import { lineSegments } from "./edgeCreation.js";
-import { points } from "./nodesCreation.js";
+import { visibilityManager } from "./visibilityManager.js";
 import { getLegendSelectedLeafKeys } from "./legend.js";
 import { getCurrentYearRange } from "./yearSlider.js";
+import { getDataset } from "./datasetManifest.js";
+import { setTimeWindow, clearTimeWindow } from "./gpuFilters.js";
+
+// Playback modes: which years are visible at the current year
+const MODES = {
+  cumulative: "Cumulative",
+  window: "Sliding window",
+};
 
 class TimeTravelController {
   constructor() {
     this.isPlaying = false;
+    // Whether a session is running: the "timeTravel" filter shows shownRange
+    this.isActive = false;
+    this.startYear = CONFIG.timeTravel.startYear;
+    // Playback position in fractional years, from startYear to endYear + 1:
+    // the papers published before it are shown
+    this.currentTime = CONFIG.timeTravel.startYear;
+    // Year being revealed at currentTime
     this.currentYear = CONFIG.timeTravel.startYear;
     this.endYear = CONFIG.timeTravel.endYear;
+    this.shownRange = null;
     this.animationSpeed = CONFIG.timeTravel.animationSpeed;
-    this.animationId = null;
+    this.speed = 1;
+    this.mode = CONFIG.timeTravel.mode;
+    this.windowSize = CONFIG.timeTravel.windowSize;
+    this.loop = CONFIG.timeTravel.loop;
+    this.frameId = null;
     this.selectedClusters = new Set();
-    this.abortController = null;
-    this.originalYearVisibility = null;
-    this.originalEdgeVisibility = null;
+    // Set while the controller moves the year slider itself
+    this.updatingSlider = false;
     this.ui = {
-      playButton: null
+      playButton: null,
+      stepBackButton: null,
+      stepForwardButton: null,
+      stopButton: null,
+      scrubber: null,
+      yearLabel: null,
+      windowOption: null,
     };
     this.nodeYearIndex = null;
     this.edgeYearIndex = null;
+    this.edgeMinYearIndex = null;
     this.camera = null;
     this.controls = null;
     this.scene = null;
@@ -50,9 +94,37 @@ class TimeTravelController {
     this.camera = camera;
     this.controls = controls;
     this.scene = scene;
+
+    // Year bounds come from the dataset manifest
+    const { min, max } = getDataset().years;
+    this.startYear = min;
+    this.currentTime = min;
+    this.currentYear = min;
+    this.endYear = max;
+
     this.createUI();
     this.buildYearIndices();
 
+    // The last frame stays on screen after stopping, until the user changes
+    // the year range or the clusters, which also ends a running session
+    const clearFilter = () => {
+      if (this.updatingSlider) return;
+      this.stop();
+      clearTimeWindow();
+      visibilityManager.setFilter("timeTravel", null);
+    };
+    window.addEventListener("yearUpdated", clearFilter);
+    window.addEventListener("clusterVisibilityUpdated", clearFilter);
+
+    // Imported graph files (graphImport.js) replace the indexed data: first
+    // the nodes, then the edges
+    const reindex = () => {
+      clearFilter();
+      this.buildYearIndices();
+    };
+    window.addEventListener("graphDataReplaced", reindex);
+    window.addEventListener("graphEdgesReplaced", reindex);
+
     // Get references to year slider elements
     this.yearSliders.fromSlider = document.getElementById("fromSlider");
     this.yearSliders.toSlider = document.getElementById("toSlider");
@@ -68,19 +140,23 @@ class TimeTravelController {
     console.log("Building year indices for time travel...");
     const startTime = performance.now();
 
-    // Initialize year ranges
+    // Initialize year ranges. Edges are indexed by the years of both their
+    // papers, as a sliding window drops them when the older one leaves it.
     this.nodeYearIndex = {};
     this.edgeYearIndex = {};
+    this.edgeMinYearIndex = {};
 
-    for (let year = CONFIG.timeTravel.startYear; year <= CONFIG.timeTravel.endYear; year++) {
+    const { min: firstYear, max: lastYear } = getDataset().years;
+    for (let year = firstYear; year <= lastYear; year++) {
       this.nodeYearIndex[year] = [];
       this.edgeYearIndex[year] = [];
+      this.edgeMinYearIndex[year] = [];
     }
 
     // Index nodes by year
     nodesMap.forEach((node, index) => {
       const year = node.year;
-      if (year >= CONFIG.timeTravel.startYear && year <= CONFIG.timeTravel.endYear) {
+      if (year >= firstYear && year <= lastYear) {
         this.nodeYearIndex[year].push({
           index,
           cluster: node.cluster
@@ -88,22 +164,23 @@ class TimeTravelController {
       }
     });
 
-    // Index edges by year
+    // Index edges by the year they appear in: the year both papers exist
     if (lineSegments && lineSegments.userData && lineSegments.userData.edgeData) {
-      lineSegments.userData.edgeData.forEach((edge) => {
-        // Use minYear for edge indexing to determine when the edge first appears
-        // This is more efficient than indexing by both min and max since we'll check both during visibility
-        const minYear = edge.minYear !== undefined ? edge.minYear : edge.year;
-
-        if (minYear >= CONFIG.timeTravel.startYear && minYear <= CONFIG.timeTravel.endYear) {
-          this.edgeYearIndex[minYear].push({
-            startIndex: edge.startIndex,
-            endIndex: edge.endIndex,
+      lineSegments.userData.edgeData.forEach((edge, position) => {
+        const maxYear = edge.maxYear !== undefined ? edge.maxYear : edge.year;
+
+        if (maxYear >= firstYear && maxYear <= lastYear) {
+          const entry = {
+            position, // Position in edgeData, as used by the visibility manager
             sourceCluster: edge.sourceCluster,
             targetCluster: edge.targetCluster,
-            minYear: minYear,
-            maxYear: edge.maxYear !== undefined ? edge.maxYear : edge.year
-          });
+            minYear: edge.minYear !== undefined ? edge.minYear : edge.year,
+            maxYear
+          };
+          this.edgeYearIndex[maxYear].push(entry);
+          if (entry.minYear >= firstYear) {
+            this.edgeMinYearIndex[entry.minYear].push(entry);
+          }
         }
       });
     }
@@ -115,7 +192,7 @@ class TimeTravelController {
     let totalNodes = 0;
     let totalEdges = 0;
 
-    for (let year = CONFIG.timeTravel.startYear; year <= CONFIG.timeTravel.endYear; year++) {
+    for (let year = firstYear; year <= lastYear; year++) {
       totalNodes += this.nodeYearIndex[year].length;
       totalEdges += this.edgeYearIndex[year].length;
     }
@@ -125,36 +202,20 @@ class TimeTravelController {
   }
 
   /**
-   * Start the time travel visualization
+   * Start a session over the year range of the slider, for the clusters
+   * selected in the legend. Everything is hidden until a time is shown.
+   * @returns {boolean} Whether the session started
    */
-  async start() {
-    if (this.isPlaying) return;
-
+  begin() {
     // Get selected clusters from legend
     this.selectedClusters = new Set(getLegendSelectedLeafKeys());
 
     // If no clusters selected, show a message
     if (this.selectedClusters.size === 0) {
       alert("Please select at least one cluster from the legend to begin time travel");
-      return;
+      return false;
     }
 
-    // Create a new abort controller
-    this.abortController = new AbortController();
-
-    // Save original visibility arrays to restore later
-    this.backupOriginalVisibility();
-
-    // Get current year range from slider
-    const [fromYear, toYear] = getCurrentYearRange();
-
-    // Reset to starting year (the left slider value)
-    this.currentYear = fromYear;
-    this.endYear = toYear;
-
-    // Update UI to show we're starting from the left slider
-    this.updateYearSlider(this.currentYear);
-
     // Count how many nodes will be visible for the selected clusters
     let visibleNodesCount = 0;
     nodesMap.forEach((node) => {
@@ -169,46 +230,246 @@ class TimeTravelController {
         `You've selected ${visibleNodesCount} nodes which may cause performance issues. Proceed anyway?`
       );
 
-      if (!proceed) {
-        this.abortController = null;
-        return;
-      }
+      if (!proceed) return false;
     }
 
-    // First, hide all nodes and edges
-    this.resetVisibility();
+    // Get current year range from slider
+    [this.startYear, this.endYear] = getCurrentYearRange();
+    this.currentTime = this.startYear;
+    // The year slider is moved by the first showTime
+    this.currentYear = null;
+
+    // First, hide all nodes and edges; showTime reveals the visible years
+    visibilityManager.setFilter("timeTravel", {
+      node: () => false,
+      edge: () => false,
+    });
+    this.shownRange = null;
+    this.isActive = true;
+
+    this.ui.scrubber.min = this.startYear;
+    this.ui.scrubber.max = this.endYear + 1;
+    return true;
+  }
+
+  /**
+   * Play from the current time, starting a session if needed. At the end of
+   * the range, playback starts over.
+   */
+  start() {
+    if (this.isPlaying) return;
+    if (!this.isActive) {
+      if (!this.begin()) return;
+      this.showTime(this.startYear);
+    } else if (this.currentTime >= this.endYear + 1) {
+      this.showTime(this.startYear);
+    }
 
-    // Start the animation
     this.isPlaying = true;
     this.updateUI();
-    this.animate();
+    this.scheduleNextFrame();
   }
 
   /**
-   * Stop the time travel visualization
+   * Pause at the current time; the session stays open for stepping and
+   * scrubbing
    */
-  stop() {
+  pause() {
     if (!this.isPlaying) return;
 
     this.isPlaying = false;
+    if (this.frameId) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+    this.updateUI();
+  }
+
+  /**
+   * Stop the time travel visualization
+   */
+  stop() {
+    this.pause();
+    if (!this.isActive) return;
 
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
-      this.animationId = null;
+    // Keep the current state: the filter is cleared by the next change of
+    // the year range or clusters
+    this.isActive = false;
+    this.updateUI();
+  }
+
+  /**
+   * Pause and go a number of years forward or back, to the end of a year
+   * (or back to the start of the timeline)
+   * @param {number} delta - Years to move, e.g. -1 for the previous year
+   */
+  step(delta) {
+    // A new session starts with its first year
+    if (!this.isActive) {
+      if (this.begin()) this.showTime(this.startYear + 1);
+      return;
     }
+    this.pause();
+
+    // From within a year, the first step completes it or goes back to its
+    // start
+    const time =
+      delta > 0
+        ? Math.floor(this.currentTime) + delta
+        : Math.ceil(this.currentTime) + delta;
+    // Going back stops at the start of the timeline, as in seek, so it never
+    // moves forward from within the first year
+    const earliest = delta > 0 ? this.startYear + 1 : this.startYear;
+    this.showTime(Math.min(Math.max(time, earliest), this.endYear + 1));
+  }
 
-    // Signal any ongoing processes to abort
-    if (this.abortController) {
-      this.abortController.abort();
-      this.abortController = null;
+  /**
+   * Jump to a point of the timeline, starting a session if needed
+   * @param {number} time - Fractional year within the session's range
+   */
+  seek(time) {
+    if (!this.isActive && !this.begin()) {
+      this.updateUI();
+      return;
     }
+    this.showTime(Math.min(Math.max(time, this.startYear), this.endYear + 1));
+  }
 
-    // Don't restore original visibility - keep current state
-    // this.restoreOriginalVisibility();
+  // Advance the time every frame, by one year per step at the current speed
+  scheduleNextFrame() {
+    let lastFrame = performance.now();
+    const advance = (now) => {
+      this.frameId = null;
+      if (!this.isPlaying) return;
+
+      const yearDuration = this.animationSpeed / this.speed;
+      const time = this.currentTime + (now - lastFrame) / yearDuration;
+      lastFrame = now;
+      if (time < this.endYear + 1) {
+        this.showTime(time);
+      } else if (this.loop) {
+        this.showTime(this.startYear);
+      } else {
+        this.showTime(this.endYear + 1);
+        this.pause();
+        return;
+      }
+      this.frameId = requestAnimationFrame(advance);
+    };
+    this.frameId = requestAnimationFrame(advance);
+  }
+
+  /**
+   * Years with papers visible at a time of playback
+   * @param {number} time - Fractional year
+   * @returns {number[]} [from, to]
+   */
+  getVisibleRange(time) {
+    const to = this.getYearAt(time);
+    if (this.mode === "window") {
+      const from = Math.floor(time - this.windowSize);
+      return [Math.min(Math.max(this.startYear, from), to), to];
+    }
+    return [this.startYear, to];
+  }
+
+  /**
+   * @param {number} time - Fractional year
+   * @returns {number} Latest year with papers published before the time
+   */
+  getYearAt(time) {
+    return Math.min(
+      Math.max(Math.ceil(time) - 1, this.startYear),
+      this.endYear
+    );
+  }
 
+  /**
+   * Make a time the current one: show the years visible at it, let the time
+   * window reveal the papers published before it, and move the year slider
+   * and the timeline there
+   * @param {number} time - Fractional year to show
+   */
+  showTime(time) {
+    this.currentTime = time;
+    const [from, to] = this.getVisibleRange(time);
+    if (
+      !this.shownRange ||
+      from !== this.shownRange[0] ||
+      to !== this.shownRange[1]
+    ) {
+      this.showRange(from, to);
+    }
+
+    // Papers grow in over the duration of the fade, in years at this speed
+    const yearDuration = this.animationSpeed / this.speed;
+    setTimeWindow(
+      this.mode === "window" ? time - this.windowSize : null,
+      time,
+      CONFIG.visibilityFade.duration / yearDuration
+    );
+
+    if (to !== this.currentYear) {
+      this.currentYear = to;
+      this.updateYearSlider(to);
+    }
     this.updateUI();
   }
 
+  /**
+   * Show the papers of the years from..to in the selected clusters and the
+   * citations between them. Only the years entering or leaving the shown
+   * range are looked up in the year indices.
+   * @param {number} from - First visible year
+   * @param {number} to - Last visible year
+   */
+  showRange(from, to) {
+    // Nothing is shown at the start of a session
+    const [oldFrom, oldTo] = this.shownRange || [from, from - 1];
+    const wasShown = (year) => year >= oldFrom && year <= oldTo;
+    const isShown = (year) => year >= from && year <= to;
+    const inClusters = ({ sourceCluster, targetCluster }) =>
+      this.selectedClusters.has(sourceCluster) &&
+      this.selectedClusters.has(targetCluster);
+
+    const shown = { nodes: [], edges: [] };
+    const hidden = { nodes: [], edges: [] };
+    for (
+      let year = Math.min(oldFrom, from);
+      year <= Math.max(oldTo, to);
+      year++
+    ) {
+      if (wasShown(year) === isShown(year)) continue;
+
+      const target = isShown(year) ? shown : hidden;
+      (this.nodeYearIndex[year] || []).forEach(({ index, cluster }) => {
+        if (this.selectedClusters.has(cluster)) target.nodes.push(index);
+      });
+
+      // An edge is shown while both its papers are
+      const edges = [
+        ...(this.edgeYearIndex[year] || []),
+        ...(this.edgeMinYearIndex[year] || []),
+      ];
+      edges.forEach((edge) => {
+        if (!inClusters(edge)) return;
+        const before = wasShown(edge.minYear) && wasShown(edge.maxYear);
+        const after = isShown(edge.minYear) && isShown(edge.maxYear);
+        if (before !== after) {
+          (after ? shown : hidden).edges.push(edge.position);
+        }
+      });
+    }
+    this.shownRange = [from, to];
+
+    if (hidden.nodes.length || hidden.edges.length) {
+      visibilityManager.updateFilter("timeTravel", hidden, false);
+    }
+    if (shown.nodes.length || shown.edges.length) {
+      visibilityManager.updateFilter("timeTravel", shown, true);
+    }
+  }
+
   /**
    * Update the year slider UI to reflect the current year
    * @param {number} year - The current year to display
@@ -223,8 +484,14 @@ class TimeTravelController {
     // Update the slider fill
     this.updateSliderFill();
 
-    // Trigger the year updated event to update visibility
-    this.dispatchYearUpdatedEvent();
+    // Trigger the year updated event to update visibility. The session
+    // ignores this change of the year range.
+    this.updatingSlider = true;
+    try {
+      this.dispatchYearUpdatedEvent();
+    } finally {
+      this.updatingSlider = false;
+    }
   }
 
   /**
@@ -258,201 +525,6 @@ class TimeTravelController {
     window.dispatchEvent(event);
   }
 
-  /**
-   * Backup the original visibility arrays to restore after time travel
-   */
-  backupOriginalVisibility() {
-    if (!points || !lineSegments) return;
-
-    const nodeVisArray = points.geometry.attributes.visible.array;
-    const edgeVisArray = lineSegments.geometry.attributes.visible.array;
-
-    this.originalNodeVisibility = new Float32Array(nodeVisArray.length);
-    this.originalEdgeVisibility = new Float32Array(edgeVisArray.length);
-
-    // Copy current visibility
-    for (let i = 0; i < nodeVisArray.length; i++) {
-      this.originalNodeVisibility[i] = nodeVisArray[i];
-    }
-
-    for (let i = 0; i < edgeVisArray.length; i++) {
-      this.originalEdgeVisibility[i] = edgeVisArray[i];
-    }
-  }
-
-  /**
-   * Restore the original visibility arrays after time travel
-   */
-  restoreOriginalVisibility() {
-    if (!points || !lineSegments) return;
-    if (!this.originalNodeVisibility || !this.originalEdgeVisibility) return;
-
-    const nodeVisArray = points.geometry.attributes.visible.array;
-    const edgeVisArray = lineSegments.geometry.attributes.visible.array;
-
-    // Restore original visibility
-    for (let i = 0; i < nodeVisArray.length; i++) {
-      nodeVisArray[i] = this.originalNodeVisibility[i];
-    }
-
-    for (let i = 0; i < edgeVisArray.length; i++) {
-      edgeVisArray[i] = this.originalEdgeVisibility[i];
-    }
-
-    // Update geometry
-    points.geometry.attributes.visible.needsUpdate = true;
-    lineSegments.geometry.attributes.visible.needsUpdate = true;
-  }
-
-  /**
-   * Reset visibility to hide all nodes and edges
-   */
-  resetVisibility() {
-    if (!points || !lineSegments) return;
-
-    const nodeVisArray = points.geometry.attributes.visible.array;
-    const edgeVisArray = lineSegments.geometry.attributes.visible.array;
-
-    // Hide all nodes and edges
-    for (let i = 0; i < nodeVisArray.length; i++) {
-      nodeVisArray[i] = 0;
-    }
-
-    for (let i = 0; i < edgeVisArray.length; i++) {
-      edgeVisArray[i] = 0;
-    }
-
-    // Update geometry
-    points.geometry.attributes.visible.needsUpdate = true;
-    lineSegments.geometry.attributes.visible.needsUpdate = true;
-  }
-
-  /**
-   * Animate the time progression
-   */
-  animate() {
-    if (!this.isPlaying) return;
-
-    // Update year slider to show current year
-    this.updateYearSlider(this.currentYear);
-
-    // Apply visibility for current year
-    this.applyVisibilityForYear(this.currentYear)
-      .then(() => {
-        // Check if we've reached the end or been aborted
-        if (this.currentYear >= this.endYear || !this.isPlaying) {
-          this.stop();
-          return;
-        }
-
-        // Schedule next year update
-        setTimeout(() => {
-          this.currentYear++;
-          this.animationId = requestAnimationFrame(() => this.animate());
-        }, this.animationSpeed);
-      })
-      .catch(error => {
-        if (error.name !== 'AbortError') {
-          console.error("Error during time travel animation:", error);
-        }
-        this.stop();
-      });
-  }
-
-  /**
-   * Apply visibility for nodes and edges up to a specific year
-   * Uses batched processing for better performance with large datasets
-   * @param {number} targetYear - The year to show nodes and edges up to
-   * @returns {Promise} - Promise that resolves when visibility is applied
-   */
-  async applyVisibilityForYear(targetYear) {
-    if (!points || !lineSegments || !this.abortController) {
-      return Promise.reject(new Error("Missing required objects"));
-    }
-
-    const signal = this.abortController.signal;
-
-    return new Promise((resolve, reject) => {
-      // Early rejection if already aborted
-      if (signal.aborted) {
-        reject(new Error("AbortError"));
-        return;
-      }
-
-      const nodeVisArray = points.geometry.attributes.visible.array;
-      const edgeVisArray = lineSegments.geometry.attributes.visible.array;
-
-      // Get the year range from sliders
-      const fromYear = parseInt(this.yearSliders.fromSlider.value);
-      const toYear = parseInt(this.yearSliders.toSlider.value);
-
-      // First, hide all nodes and edges
-      for (let i = 0; i < nodeVisArray.length; i++) {
-        nodeVisArray[i] = 0;
-      }
-      for (let i = 0; i < edgeVisArray.length; i++) {
-        edgeVisArray[i] = 0;
-      }
-
-      let visibleNodesCount = 0;
-      let visibleEdgesCount = 0;
-
-      // First, identify all visible nodes by year
-      const visibleNodesByCluster = new Map();
-
-      for (let year = fromYear; year <= targetYear; year++) {
-        const nodesForYear = this.nodeYearIndex[year] || [];
-        for (const node of nodesForYear) {
-          if (this.selectedClusters.has(node.cluster)) {
-            nodeVisArray[node.index] = 1;
-            visibleNodesCount++;
-
-            // Track visible nodes by cluster for edge filtering
-            if (!visibleNodesByCluster.has(node.cluster)) {
-              visibleNodesByCluster.set(node.cluster, true);
-            }
-          }
-        }
-      }
-
-      // Process all edges that have both nodes in the visible range
-      for (let year = fromYear; year <= targetYear; year++) {
-        const edgesForYear = this.edgeYearIndex[year] || [];
-
-        for (const edge of edgesForYear) {
-          // Skip if edge's maxYear is outside our target range
-          if (edge.maxYear > targetYear) continue;
-
-          // Check if both clusters are selected
-          if (this.selectedClusters.has(edge.sourceCluster) &&
-              this.selectedClusters.has(edge.targetCluster)) {
-
-            // Get the actual edge data to access the correct indices
-            const edgeData = lineSegments.userData.edgeData.find(e =>
-              e.startIndex === edge.startIndex &&
-              e.endIndex === edge.endIndex
-            );
-
-            if (edgeData) {
-              // Set visibility for all points in this edge using the correct indices
-              for (let j = edgeData.startIndex; j < edgeData.endIndex; j++) {
-                edgeVisArray[j] = 1;
-                visibleEdgesCount++;
-              }
-            }
-          }
-        }
-      }
-
-      // Update geometry
-      points.geometry.attributes.visible.needsUpdate = true;
-      lineSegments.geometry.attributes.visible.needsUpdate = true;
-
-      console.log(`Year ${targetYear}: ${visibleNodesCount} nodes, ${visibleEdgesCount} edges visible (range: ${fromYear}-${targetYear})`);
-      resolve();
-    });
-  }
-
   /**
    * Position camera for optimal time-travel viewing
    * @returns {Promise} - Promise that resolves when camera is positioned
@@ -464,48 +536,119 @@ class TimeTravelController {
   }
 
   /**
-   * Create the minimal time travel UI (just a play button in the legend)
+   * Create the time travel controls in the legend: playback buttons, the
+   * timeline, and the speed, mode and loop options
    */
   createUI() {
-    // Create a container for the play button
-    const container = document.createElement('div');
-    container.id = 'time-travel-control';
-    container.className = 'time-travel-section';
+    const container = document.createElement("div");
+    container.id = "time-travel-control";
+    container.className = "time-travel-section";
 
     // Add section title
-    const title = document.createElement('div');
-    title.className = 'legend-section-title';
-    title.textContent = 'Time Evolution';
-
-    // Create the play button
-    this.ui.playButton = document.createElement('button');
-    this.ui.playButton.className = 'time-travel-button';
-    this.ui.playButton.textContent = 'Play';
-    this.ui.playButton.title = 'Play/pause time evolution animation';
-
-    // Add hover effects to play button
-    this.ui.playButton.addEventListener('mouseover', () => {
-      this.ui.playButton.style.backgroundColor = '#d4b86a';
-    });
-
-    this.ui.playButton.addEventListener('mouseout', () => {
-      this.ui.playButton.style.backgroundColor = '#e1c874';
-    });
-
-    this.ui.playButton.addEventListener('click', () => {
-      if (this.isPlaying) {
-        this.stop();
-      } else {
-        this.start();
+    const title = document.createElement("div");
+    title.className = "legend-section-title";
+    title.textContent = "Time Evolution";
+
+    const buttons = document.createElement("div");
+    buttons.className = "time-travel-buttons";
+    this.ui.stepBackButton = this.createButton("⏮", "Previous year", () =>
+      this.step(-1)
+    );
+    this.ui.playButton = this.createButton(
+      "Play",
+      "Play/pause time evolution animation",
+      () => (this.isPlaying ? this.pause() : this.start())
+    );
+    this.ui.stepForwardButton = this.createButton("⏭", "Next year", () =>
+      this.step(1)
+    );
+    this.ui.stopButton = this.createButton("■", "Stop time evolution", () =>
+      this.stop()
+    );
+    buttons.append(
+      this.ui.stepBackButton,
+      this.ui.playButton,
+      this.ui.stepForwardButton,
+      this.ui.stopButton
+    );
+
+    // Timeline: drag to scrub through the years
+    this.ui.scrubber = document.createElement("input");
+    this.ui.scrubber.type = "range";
+    this.ui.scrubber.className = "time-travel-scrubber";
+    this.ui.scrubber.min = this.startYear;
+    this.ui.scrubber.max = this.endYear + 1;
+    this.ui.scrubber.step = "any";
+    this.ui.scrubber.value = this.currentTime;
+    this.ui.scrubber.setAttribute("aria-label", "Time evolution timeline");
+    this.ui.scrubber.addEventListener("input", () =>
+      this.seek(Number(this.ui.scrubber.value))
+    );
+
+    this.ui.yearLabel = document.createElement("div");
+    this.ui.yearLabel.className = "time-travel-year-label";
+    this.ui.yearLabel.setAttribute("aria-live", "polite");
+
+    const speedSelect = this.createSelect(
+      "Speed",
+      CONFIG.timeTravel.speeds.map((speed) => [speed, `${speed}×`]),
+      this.speed,
+      (value) => {
+        this.speed = Number(value);
+      }
+    );
+    const modeSelect = this.createSelect(
+      "Mode",
+      Object.entries(MODES),
+      this.mode,
+      (value) => {
+        this.mode = value;
+        this.ui.windowOption.hidden = value !== "window";
+        if (this.isActive) this.showTime(this.currentTime);
       }
+    );
+
+    // Length of the sliding window
+    this.ui.windowOption = document.createElement("label");
+    this.ui.windowOption.className = "time-travel-option";
+    this.ui.windowOption.textContent = "Window ";
+    const windowInput = document.createElement("input");
+    windowInput.type = "number";
+    windowInput.min = 1;
+    windowInput.value = this.windowSize;
+    windowInput.addEventListener("change", () => {
+      this.windowSize = Math.max(1, Math.round(Number(windowInput.value)) || 1);
+      windowInput.value = this.windowSize;
+      if (this.isActive) this.showTime(this.currentTime);
     });
-
-    // Add elements to container
-    container.appendChild(title);
-    container.appendChild(this.ui.playButton);
+    this.ui.windowOption.append(windowInput, " years");
+    this.ui.windowOption.hidden = this.mode !== "window";
+
+    const loopOption = document.createElement("label");
+    loopOption.className = "time-travel-option";
+    const loopCheckbox = document.createElement("input");
+    loopCheckbox.type = "checkbox";
+    loopCheckbox.checked = this.loop;
+    loopCheckbox.addEventListener("change", () => {
+      this.loop = loopCheckbox.checked;
+    });
+    loopOption.append(loopCheckbox, " Loop");
+
+    const options = document.createElement("div");
+    options.className = "time-travel-options";
+    options.append(speedSelect, modeSelect, this.ui.windowOption, loopOption);
+
+    container.append(
+      title,
+      buttons,
+      this.ui.scrubber,
+      this.ui.yearLabel,
+      options
+    );
+    this.updateUI();
 
     // Add to the legend container
-    const legendDiv = document.getElementById('legendDiv');
+    const legendDiv = document.getElementById("legendDiv");
     if (legendDiv) {
       legendDiv.appendChild(container);
     } else {
@@ -513,14 +656,49 @@ class TimeTravelController {
     }
   }
 
+  createButton(text, label, onClick) {
+    const button = document.createElement("button");
+    button.className = "time-travel-button";
+    button.textContent = text;
+    button.title = label;
+    button.setAttribute("aria-label", label);
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  // A labeled select of [value, text] options
+  createSelect(labelText, options, selected, onChange) {
+    const label = document.createElement("label");
+    label.className = "time-travel-option";
+    label.textContent = `${labelText} `;
+
+    const select = document.createElement("select");
+    options.forEach(([value, text]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    });
+    select.value = selected;
+    select.addEventListener("change", () => onChange(select.value));
+
+    label.appendChild(select);
+    return label;
+  }
+
   /**
    * Update UI based on current state
    */
   updateUI() {
     if (!this.ui.playButton) return;
 
-    this.ui.playButton.textContent = this.isPlaying ? 'Stop' : 'Play';
-    this.ui.playButton.className = `time-travel-button ${this.isPlaying ? 'playing' : ''}`;
+    this.ui.playButton.textContent = this.isPlaying ? "Pause" : "Play";
+    this.ui.playButton.classList.toggle("playing", this.isPlaying);
+    this.ui.stopButton.disabled = !this.isActive;
+
+    this.ui.scrubber.value = this.currentTime;
+    const [from, to] = this.getVisibleRange(this.currentTime);
+    this.ui.yearLabel.textContent = from === to ? `${to}` : `${from}–${to}`;
   }
 }
 
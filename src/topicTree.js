@@ -1,4 +1,5 @@
 import { select, tree, hierarchy } from "d3";
+import { getDataset } from "./datasetManifest.js";
 
 export class TopicTree {
   constructor() {
@@ -8,6 +9,12 @@ export class TopicTree {
     this.saveButton = document.getElementById("saveTreeButton");
     this.closeButton = document.getElementById("topicTreeCloseBtn");
     this.viewButton = document.getElementById("viewTopicHierarchyBtn");
+    this.dataUrl = getDataset().files.topicTree;
+
+    // The topic hierarchy is optional in a dataset manifest
+    if (!this.dataUrl) {
+      this.viewButton.style.display = "none";
+    }
 
     this.margin = { top: 20, right: 200, bottom: 20, left: 150 };
 
@@ -95,9 +102,7 @@ export class TopicTree {
 
   async loadData() {
     try {
-      const response = await fetch(
-        "./data/D3JS_cluster_hierarchy_structure_2025.json"
-      );
+      const response = await fetch(this.dataUrl);
       if (!response.ok) throw new Error("Network response was not ok");
 
       this.datasets = await response.json();
@@ -0,0 +1,219 @@
+/**
+ * @file urlState.js
+ * @description Keeps the current view in the URL hash so that a link reproduces
+ * exactly what the sender was looking at. The camera position and target, the
+ * year range, the applied legend selection and the selected node are written to
+ * the hash whenever they change and restored once the scene has loaded.
+ *
+ * Hash format:
+ *   #camera=x,y,z&target=x,y,z&years=from-to&clusters=1,7,9&node=8214
+ *
+ * The node is stored by its data id (node_index), not its buffer index, so links
+ * keep working when the buffer order changes.
+ */
+
+import { CONFIG } from "./config.js";
+import { getCurrentYearRange, setYearRange } from "./yearSlider.js";
+import {
+  getLegendSelectedLeafKeys,
+  setLegendSelectedLeafKeys,
+} from "./legend.js";
+import { updateNodeInfo, getSelectedNodeIndex } from "./singleNodeSelection.js";
+import { instructionsModal } from "./instructionsModal.js";
+
+let camera = null;
+let controls = null;
+let nodesMap = null;
+let scene = null;
+let updateTimer = null;
+
+/**
+ * Restore the view from the URL (if any) and start tracking changes
+ * @param {THREE.Camera} cam - The camera object
+ * @param {OrbitControls} orbitControls - The orbit controls
+ * @param {Map} nodes - The nodes map containing all node data
+ * @param {THREE.Scene} sceneObj - The scene object
+ */
+export function initializeUrlState(cam, orbitControls, nodes, sceneObj) {
+  if (!CONFIG.urlState.enabled) return;
+
+  camera = cam;
+  controls = orbitControls;
+  nodesMap = nodes;
+  scene = sceneObj;
+
+  const state = parseHash(window.location.hash);
+  if (Object.keys(state).length > 0) {
+    applyState(state);
+  }
+
+  controls.addEventListener("change", scheduleUpdate);
+  window.addEventListener("yearUpdated", scheduleUpdate);
+  window.addEventListener("clusterVisibilityUpdated", scheduleUpdate);
+  window.addEventListener("nodeSelectionChanged", scheduleUpdate);
+
+  createShareButton();
+}
+
+/**
+ * Parse the URL hash into a state object. Invalid entries are skipped.
+ * @param {string} hash - The location hash, with or without the leading "#"
+ * @returns {Object} The parsed state
+ */
+export function parseHash(hash) {
+  const state = {};
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+
+  const cameraPosition = parseVector(params.get("camera"));
+  if (cameraPosition) state.camera = cameraPosition;
+
+  const cameraTarget = parseVector(params.get("target"));
+  if (cameraTarget) state.target = cameraTarget;
+
+  const years = (params.get("years") || "").split("-").map(Number);
+  if (years.length === 2 && years.every(Number.isInteger)) {
+    state.years = years;
+  }
+
+  const clusters = parseIntegerList(params.get("clusters"));
+  if (clusters.length > 0) state.clusters = clusters;
+
+  const nodeId = parseInt(params.get("node"), 10);
+  if (!isNaN(nodeId)) state.nodeId = nodeId;
+
+  return state;
+}
+
+/**
+ * Serialize the current view into a hash string (without the leading "#")
+ * @returns {string}
+ */
+export function serializeState() {
+  const entries = [];
+
+  if (camera && controls) {
+    entries.push(`camera=${formatVector(camera.position)}`);
+    entries.push(`target=${formatVector(controls.target)}`);
+  }
+
+  const [fromYear, toYear] = getCurrentYearRange();
+  if (!isNaN(fromYear) && !isNaN(toYear)) {
+    entries.push(`years=${fromYear}-${toYear}`);
+  }
+
+  const clusters = getLegendSelectedLeafKeys();
+  if (clusters.length > 0) {
+    entries.push(`clusters=${[...clusters].sort((a, b) => a - b).join(",")}`);
+  }
+
+  const selectedIndex = getSelectedNodeIndex();
+  const selectedNode = selectedIndex !== -1 && nodesMap?.get(selectedIndex);
+  if (selectedNode) {
+    entries.push(`node=${selectedNode.nodeId}`);
+  }
+
+  return entries.join("&");
+}
+
+/**
+ * Apply a parsed state to the scene. Filters are applied first so that the
+ * selected node is visible when it gets highlighted.
+ * @param {Object} state - A state object as returned by parseHash
+ */
+function applyState(state) {
+  console.log("Restoring view from URL:", state);
+
+  if (state.clusters) {
+    setLegendSelectedLeafKeys(state.clusters);
+  }
+
+  if (state.years) {
+    setYearRange(state.years[0], state.years[1]);
+  }
+
+  if (state.camera) {
+    camera.position.set(state.camera.x, state.camera.y, state.camera.z);
+  }
+  if (state.target) {
+    controls.target.set(state.target.x, state.target.y, state.target.z);
+  }
+  controls.update();
+
+  if (state.nodeId !== undefined) {
+    const index = findNodeIndexById(state.nodeId);
+    if (index !== -1) {
+      updateNodeInfo({ index }, nodesMap, scene);
+    } else {
+      console.warn(`Node ${state.nodeId} from URL not found`);
+    }
+  }
+
+  // A shared link should open straight on the shared view
+  instructionsModal.hide();
+  document.getElementById("introVideoOverlay")?.classList.remove("show");
+}
+
+function scheduleUpdate() {
+  if (updateTimer) {
+    clearTimeout(updateTimer);
+  }
+  updateTimer = setTimeout(() => {
+    updateTimer = null;
+    writeHash();
+  }, CONFIG.urlState.updateDelay);
+}
+
+function writeHash() {
+  const hash = serializeState();
+  const url = `${window.location.pathname}${window.location.search}#${hash}`;
+  window.history.replaceState(null, "", url);
+}
+
+function findNodeIndexById(nodeId) {
+  for (const [index, node] of nodesMap) {
+    if (node.nodeId === nodeId) return index;
+  }
+  return -1;
+}
+
+function parseVector(value) {
+  const parts = (value || "").split(",").map(Number);
+  if (parts.length !== 3 || !parts.every(Number.isFinite)) return null;
+  return { x: parts[0], y: parts[1], z: parts[2] };
+}
+
+function parseIntegerList(value) {
+  return (value || "")
+    .split(",")
+    .map((part) => parseInt(part, 10))
+    .filter((number) => !isNaN(number));
+}
+
+function formatVector(vector) {
+  return [vector.x, vector.y, vector.z].map((v) => Math.round(v)).join(",");
+}
+
+/**
+ * Create the button that copies the link to the current view
+ */
+function createShareButton() {
+  const button = document.createElement("button");
+  button.id = "shareLinkButton";
+  button.className = "help-button share-button";
+  button.textContent = "🔗";
+  button.title = "Copy link to this view";
+  document.body.appendChild(button);
+
+  button.addEventListener("click", async () => {
+    // Write immediately so the copied link reflects the latest state
+    writeHash();
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      button.title = "Link copied!";
+      setTimeout(() => (button.title = "Copy link to this view"), 2000);
+    } catch (error) {
+      console.error("Could not copy link to clipboard:", error);
+      window.prompt("Copy this link:", window.location.href);
+    }
+  });
+}
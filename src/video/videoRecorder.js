@@ -1,6 +1,7 @@
 import { CONFIG } from "../config.js";
 import { nodesMap } from "../nodesLoader.js";
 import { updateNodeInfo, hideVisualSelection } from "../singleNodeSelection.js";
+import { nodeBrightness } from "../nodeBrightness.js";
 import { audioNarration } from "./sound/audioNarration.js";
 
 //////////////
@@ -467,19 +468,8 @@ class VideoRecorder {
         }
         document.body.classList.remove("node-selected");
 
-        // Approach 4: Reset any selection state in scene objects
-        if (scene) {
-          const points = scene.getObjectByName("points");
-          if (
-            points &&
-            points.geometry.attributes.singleNodeSelectionBrightness
-          ) {
-            points.geometry.attributes.singleNodeSelectionBrightness.array.fill(
-              0.0
-            );
-            points.geometry.attributes.singleNodeSelectionBrightness.needsUpdate = true;
-          }
-        }
+        // Approach 4: Reset the selection highlight of the nodes
+        nodeBrightness.clearLayer("selection");
       } catch (error) {
         console.warn("Could not complete node deselection:", error);
       }
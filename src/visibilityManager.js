@@ -1,6 +1,27 @@
 /**
- * @fileoverview VisibilityManager handles the visibility state of nodes and edges
- * with combined year and cluster filtering.
+ * @fileoverview VisibilityManager is the one place that decides which nodes
+ * and edges are shown.
+ *
+ * The year range and the legend clusters, which change while the slider is
+ * dragged, are filtered in the vertex shaders (see gpuFilters.js): updating
+ * them sets a few uniforms and doesn't loop over the nodes and edges.
+ *
+ * Every other filter (search, time travel, citation neighborhood, ...) owns
+ * one bit in a per-node and a per-edge mask and only sets or clears its own
+ * bit; applyVisibility then composes the masks into the `visible` attributes
+ * of the node and edge geometries. Nothing else writes those attributes, so
+ * features can't overwrite each other, and a new filter is added with
+ * registerFilter / setFilter without touching the others.
+ *
+ * There are two kinds of filters:
+ * - Filters hide what they reject: an element is shown only when none of
+ *   the active filters has its bit set.
+ * - Focus filters (neighborhood, citation path) narrow the edges down to
+ *   those they contain: while any is active, an edge is shown when at least
+ *   one of them contains it.
+ *
+ * Edges are numbered in the order of lineSegments.userData.edgeData; edges
+ * left out of it (see CONFIG.fractionOfEdgesToLoad) are never shown.
  */
 
 import { getCurrentYearRange } from "./yearSlider.js";
@@ -8,222 +29,336 @@ import { getLegendSelectedLeafKeys } from "./legend.js";
 import { points } from "./nodesCreation.js";
 import { nodesMap } from "./nodesLoader.js";
 import { lineSegments } from "./edgeCreation.js";
-import { edgesMap } from "./edgesLoader.js";
+import {
+  setYearFilter,
+  setEnabledClusters,
+  getFadeTime,
+  isInTimeWindow,
+} from "./gpuFilters.js";
+
+const MAX_FILTERS = 32;
+
+// [name, focus] of the filters every feature can rely on
+const BUILT_IN_FILTERS = [
+  ["search", false],
+  ["timeTravel", false],
+  ["neighborhood", true],
+  ["citationPath", true],
+];
 
 class VisibilityManager {
   constructor() {
-    this.nodeYearVisibility = null;
-    this.edgeYearVisibility = null;
-    this.nodeClusterVisibility = null;
-    this.edgeClusterVisibility = null;
+    // name -> { bit, focus, active, predicates }
+    this.filters = new Map();
+    // A set bit means the element doesn't pass (or isn't in) that filter
+    this.nodeMasks = null;
+    this.edgeMasks = null;
     this.initialized = false;
-
-    // Event listener for yearUpdated
-    window.addEventListener("yearUpdated", () => {
+    // State of the filters in the shaders: [from, to] and the selected
+    // clusters, null while off
+    this.yearRange = null;
+    this.selectedClusters = null;
+
+    BUILT_IN_FILTERS.forEach(([name, focus]) =>
+      this.registerFilter(name, { focus })
+    );
+
+    // Imported graph files: size the masks for the new data and apply the
+    // year and cluster filters to it (the new nodes have new cluster slots).
+    // The other filters are cleared by their owners. The edges arrive after
+    // the nodes, while filters may already be set.
+    window.addEventListener("graphDataReplaced", () => {
+      this.initialized = false;
       this.updateYearVisibility();
+      this.updateClusterVisibility();
     });
+    window.addEventListener("graphEdgesReplaced", () => this.resetEdgeMasks());
   }
 
-  init(edgeControlFunctions = {}) {
+  init() {
     // Validate required attributes
-    if (!points?.geometry?.attributes?.visible || !lineSegments?.geometry?.attributes?.visible) {
+    if (
+      !points?.geometry?.attributes?.visible ||
+      !lineSegments?.geometry?.attributes?.visible
+    ) {
       console.error("Required geometry attributes not found");
       return;
     }
 
-    const nodeCount = points.geometry.attributes.visible.array.length;
-    const edgeCount = lineSegments.geometry.attributes.visible.array.length;
+    this.nodeMasks = new Uint32Array(
+      points.geometry.attributes.visible.array.length
+    );
+    this.edgeMasks = new Uint32Array(this.getEdgeData().length);
+    this.filters.forEach((filter) => {
+      filter.active = false;
+    });
 
-    console.log("Initializing VisibilityManager", {
-      nodeCount,
-      edgeCount,
-      nodesMapSize: nodesMap.size,
-      edgesMapSize: edgesMap ? edgesMap.size : 0
+    this.initialized = true;
+    console.log("Initialized VisibilityManager", {
+      nodeCount: this.nodeMasks.length,
+      edgeCount: this.edgeMasks.length,
     });
+  }
 
-    // Initialize visibility arrays
-    this.nodeYearVisibility = new Float32Array(nodeCount).fill(1);
-    this.edgeYearVisibility = new Float32Array(edgeCount).fill(1);
-    this.nodeClusterVisibility = new Float32Array(nodeCount).fill(1);
-    this.edgeClusterVisibility = new Float32Array(edgeCount).fill(1);
+  // Initialize on first use, once the nodes and edges exist
+  ensureInitialized() {
+    if (!this.initialized) this.init();
+    return this.initialized;
+  }
 
-    this.initialized = true;
-    this.logVisibilityCounts();
+  getEdgeData() {
+    return lineSegments?.userData.edgeData || [];
   }
 
-  updateYearVisibility() {
-    if (!this.initialized) {
-      this.init();
-      if (!this.initialized) return;
+  /**
+   * Reserve a bit for a filter
+   * @param {string} name - Filter name
+   * @param {Object} [options]
+   * @param {boolean} [options.focus] - Whether the filter narrows the edges
+   *   down to the ones it contains instead of hiding what it rejects
+   * @returns {number} The bit of the filter
+   */
+  registerFilter(name, { focus = false } = {}) {
+    if (this.filters.has(name)) return this.filters.get(name).bit;
+    if (this.filters.size === MAX_FILTERS) {
+      throw new Error(`No mask bit left for the filter "${name}"`);
     }
 
-    const [fromYear, toYear] = getCurrentYearRange();
-    console.log(`Updating visibility for years ${fromYear} to ${toYear}`);
+    const bit = 1 << this.filters.size;
+    this.filters.set(name, { bit, focus, active: false, predicates: null });
+    return bit;
+  }
+
+  /**
+   * Set a filter from predicates, or turn it off
+   * @param {string} name - Filter name (registered on first use)
+   * @param {Object|null} predicates - node(node, index) and edge(edge, i),
+   *   with an edgeData entry and its position, returning true for what passes
+   *   the filter; a missing predicate lets everything pass. null turns the
+   *   filter off.
+   */
+  setFilter(name, predicates) {
+    const bit = this.registerFilter(name);
+    const filter = this.filters.get(name);
+    if (!this.ensureInitialized()) return;
+    if (!predicates && !filter.active) return;
+
+    filter.active = Boolean(predicates);
+    // Kept to test edges that are loaded later, see resetEdgeMasks
+    filter.predicates = predicates;
+    const passesNode = predicates?.node;
+    const passesEdge = predicates?.edge;
 
-    // Update node visibility based on year
-    let visibleNodesCount = 0;
     nodesMap.forEach((node, index) => {
-      const isVisible = node.year >= fromYear && node.year <= toYear;
-      this.nodeYearVisibility[index] = isVisible ? 1 : 0;
-      if (isVisible) visibleNodesCount++;
+      this.nodeMasks[index] =
+        passesNode && !passesNode(node, index)
+          ? this.nodeMasks[index] | bit
+          : this.nodeMasks[index] & ~bit;
+    });
+    this.getEdgeData().forEach((edge, i) => {
+      this.edgeMasks[i] =
+        passesEdge && !passesEdge(edge, i)
+          ? this.edgeMasks[i] | bit
+          : this.edgeMasks[i] & ~bit;
     });
 
-    // Get edge data
-    const edgeData = lineSegments.userData.edgeData || [];
+    this.applyVisibility();
+  }
 
-    // Update edge year visibility
-    this.edgeYearVisibility.fill(0); // Reset all to invisible first
-    let visibleEdgesCount = 0;
+  /**
+   * Size the edge masks for newly loaded edges and test them against the
+   * active filters
+   */
+  resetEdgeMasks() {
+    if (!this.initialized) return;
+
+    const edgeData = this.getEdgeData();
+    this.edgeMasks = new Uint32Array(edgeData.length);
+    this.filters.forEach(({ bit, active, predicates }) => {
+      const passesEdge = active && predicates?.edge;
+      if (!passesEdge) return;
+      edgeData.forEach((edge, i) => {
+        if (!passesEdge(edge, i)) this.edgeMasks[i] |= bit;
+      });
+    });
 
-    edgeData.forEach((edge) => {
-      // An edge is visible only if both its connected nodes are in range
-      // This means: minYear >= fromYear && maxYear <= toYear
-      const minYear = edge.minYear !== undefined ? edge.minYear : edge.year;
-      const maxYear = edge.maxYear !== undefined ? edge.maxYear : edge.year;
+    this.applyVisibility();
+  }
 
-      const isVisible = minYear >= fromYear && maxYear <= toYear;
+  /**
+   * Change an active filter for some elements only, e.g. to reveal the
+   * papers of one more year without testing all the others again
+   * @param {string} name - Filter name
+   * @param {Object} elements - nodes (buffer indices) and edges (positions in
+   *   edgeData)
+   * @param {boolean} passes - Whether the elements now pass the filter
+   */
+  updateFilter(name, { nodes = [], edges = [] }, passes) {
+    const filter = this.filters.get(name);
+    if (!filter?.active || !this.initialized) return;
+
+    const { bit } = filter;
+    for (const index of nodes) {
+      this.nodeMasks[index] = passes
+        ? this.nodeMasks[index] & ~bit
+        : this.nodeMasks[index] | bit;
+    }
+    for (const i of edges) {
+      this.edgeMasks[i] = passes
+        ? this.edgeMasks[i] & ~bit
+        : this.edgeMasks[i] | bit;
+    }
 
-      const startIdx = edge.startIndex || edge.startVertexIndex;
-      const endIdx = edge.endIndex || edge.endVertexIndex;
+    this.applyVisibility();
+  }
 
-      if (startIdx !== undefined && endIdx !== undefined && isVisible) {
-        for (let j = startIdx; j <= endIdx; j++) {
-          this.edgeYearVisibility[j] = 1;
-          visibleEdgesCount++;
-        }
-      }
-    });
+  isFilterActive(name) {
+    return Boolean(this.filters.get(name)?.active);
+  }
 
-    console.log("Year visibility updated", {
-      visibleNodes: visibleNodesCount,
-      totalNodes: nodesMap.size,
-      visibleEdges: visibleEdgesCount,
-      totalEdges: edgeData.length,
-    });
+  /**
+   * Apply the year slider range. An edge is shown only if both its papers
+   * are in range.
+   */
+  updateYearVisibility() {
+    const [fromYear, toYear] = getCurrentYearRange();
+    console.log(`Updating visibility for years ${fromYear} to ${toYear}`);
 
-    // Apply the combined visibility
-    this.applyVisibility();
+    this.yearRange = [fromYear, toYear];
+    setYearFilter(fromYear, toYear);
   }
 
+  /**
+   * Apply the clusters selected in the legend. An edge is shown only if both
+   * its papers are in selected clusters.
+   */
   updateClusterVisibility() {
-    if (!this.initialized) {
-      this.init();
-      if (!this.initialized) return;
-    }
-
     const selectedClusters = new Set(getLegendSelectedLeafKeys());
     console.log("Updating cluster visibility", {
       selectedClustersCount: selectedClusters.size,
-      selectedClusters: Array.from(selectedClusters),
     });
 
-    // Update node cluster visibility
-    let visibleNodesCount = 0;
-    nodesMap.forEach((node, index) => {
-      const isVisible =
-        selectedClusters.size === 0 || selectedClusters.has(node.cluster);
-      this.nodeClusterVisibility[index] = isVisible ? 1 : 0;
-      if (isVisible) visibleNodesCount++;
-    });
+    // No selection shows all clusters
+    this.selectedClusters = selectedClusters.size ? selectedClusters : null;
+    setEnabledClusters(this.selectedClusters);
+  }
 
-    // Get edge data
-    const edgeData = lineSegments.userData.edgeData || [];
-
-    // Update edge cluster visibility
-    this.edgeClusterVisibility.fill(0); // Reset all to invisible first
-    let visibleEdgesCount = 0;
-
-    // If no clusters selected, make all edges visible
-    if (selectedClusters.size === 0) {
-      this.edgeClusterVisibility.fill(1);
-      visibleEdgesCount = this.edgeClusterVisibility.length;
-    } else {
-      // Process each edge
-      edgeData.forEach((edge) => {
-        const sourceVisible = selectedClusters.has(edge.sourceCluster);
-        const targetVisible = selectedClusters.has(edge.targetCluster);
-        const isVisible = sourceVisible && targetVisible;
-
-        if (isVisible) {
-          const startIdx = edge.startIndex || edge.startVertexIndex;
-          const endIdx = edge.endIndex || edge.endVertexIndex;
-
-          if (startIdx !== undefined && endIdx !== undefined) {
-            for (let j = startIdx; j <= endIdx; j++) {
-              this.edgeClusterVisibility[j] = 1;
-              visibleEdgesCount++;
-            }
-          }
-        }
-      });
+  // The shader filters evaluated on the CPU, for the few places that need
+  // to know which nodes are shown (picking, export, statistics)
+  passesShaderFilters(node) {
+    if (
+      this.yearRange &&
+      (node.year < this.yearRange[0] || node.year > this.yearRange[1])
+    ) {
+      return false;
     }
-
-    console.log("Cluster visibility updated", {
-      visibleNodes: visibleNodesCount,
-      totalNodes: nodesMap.size,
-      visibleEdges: visibleEdgesCount,
-      totalEdges: edgeData.length,
-    });
-
-    // Apply the combined visibility
-    this.applyVisibility();
+    if (!isInTimeWindow(node.time, node.time)) return false;
+    return !this.selectedClusters || this.selectedClusters.has(node.cluster);
   }
 
-  applyVisibility() {
-    this.applyNodeVisibility();
-    this.applyEdgeVisibility();
+  /**
+   * Whether a node is drawn, e.g. to ignore hidden nodes when picking
+   * @param {number} index - Buffer index of the node
+   * @returns {boolean}
+   */
+  isNodeShown(index) {
+    const node = nodesMap.get(index);
+    if (!node || !this.passesShaderFilters(node)) return false;
+    return points.geometry.attributes.visible.array[index] >= 0.5;
   }
 
-  applyNodeVisibility() {
-    const nodeVisArray = points.geometry.attributes.visible.array;
-    let visibleNodes = 0;
-
-    // Apply combined visibility for nodes
-    for (let i = 0; i < nodeVisArray.length; i++) {
-      const isVisible = this.nodeYearVisibility[i] && this.nodeClusterVisibility[i];
-      nodeVisArray[i] = isVisible ? 1 : 0;
-      if (isVisible) visibleNodes++;
+  /**
+   * Narrow the visible edges down to the given ones, or clear the focus
+   * @param {string} owner - Name of the focus filter, e.g. "neighborhood"
+   * @param {Iterable|null} edgeIds - Ids of the edges to show (keys of
+   *   edgesMap), or null to clear
+   */
+  setEdgeFocus(owner, edgeIds) {
+    this.registerFilter(owner, { focus: true });
+    if (!edgeIds) {
+      this.setFilter(owner, null);
+      return;
     }
 
-    // Update geometry
-    points.geometry.attributes.visible.needsUpdate = true;
+    const ids = new Set(edgeIds);
+    this.setFilter(owner, { edge: (edge) => ids.has(edge.id) });
   }
 
-  applyEdgeVisibility() {
-    const edgeVisArray = lineSegments.geometry.attributes.visible.array;
-    let visibleEdges = 0;
-
-    // Apply combined visibility for edges
-    for (let i = 0; i < edgeVisArray.length; i++) {
-      const isVisible = this.edgeYearVisibility[i] && this.edgeClusterVisibility[i];
-      edgeVisArray[i] = isVisible ? 1 : 0;
-      if (isVisible) visibleEdges++;
-    }
-
-    // Update geometry
-    lineSegments.geometry.attributes.visible.needsUpdate = true;
-
-    // Log combined results
-    console.log("Combined visibility applied", {
-      visibleEdges,
-      totalEdges: edgeVisArray.length,
-      percentEdgesVisible: ((visibleEdges / edgeVisArray.length) * 100).toFixed(1) + "%",
+  // Bits of the active filters, by kind
+  getActiveBits() {
+    let hideBits = 0;
+    let focusBits = 0;
+    this.filters.forEach(({ bit, focus, active }) => {
+      if (!active) return;
+      if (focus) {
+        focusBits |= bit;
+      } else {
+        hideBits |= bit;
+      }
     });
+    return { hideBits, focusBits };
   }
 
-  logVisibilityCounts() {
-    const nodeVisArray = points.geometry.attributes.visible.array;
-    const edgeVisArray = lineSegments.geometry.attributes.visible.array;
+  /**
+   * Get the buffer indices of all nodes that pass every active filter
+   * @returns {number[]}
+   */
+  getVisibleNodeIndices() {
+    const isShown = this.createComposer();
+    const indices = [];
+    nodesMap.forEach((node, index) => {
+      const mask = this.initialized ? this.nodeMasks[index] : 0;
+      if (this.passesShaderFilters(node) && isShown(mask)) indices.push(index);
+    });
+    return indices;
+  }
 
-    const visibleNodes = Array.from(nodeVisArray).filter(v => v === 1).length;
-    const visibleEdges = Array.from(edgeVisArray).filter(v => v === 1).length;
+  // Whether an element with the given mask is shown
+  createComposer() {
+    const { hideBits, focusBits } = this.getActiveBits();
+    return (mask) =>
+      (mask & hideBits) === 0 &&
+      (focusBits === 0 || (mask & focusBits) !== focusBits);
+  }
 
-    console.log("Current visibility state:", {
-      visibleNodes,
-      totalNodes: nodeVisArray.length,
-      visibleEdges,
-      totalEdges: edgeVisArray.length,
+  /**
+   * Write the composed masks into the `visible` attributes. The year,
+   * cluster and time travel filters are applied on top of them in the
+   * shaders. Elements whose visibility changes get the current time as
+   * `fadeStart`, so they fade in or out.
+   */
+  applyVisibility() {
+    if (!this.initialized) return;
+    const isShown = this.createComposer();
+    const now = getFadeTime();
+
+    const nodeAttributes = points.geometry.attributes;
+    const nodeVisArray = nodeAttributes.visible.array;
+    const nodeFadeArray = nodeAttributes.fadeStart.array;
+    for (let i = 0; i < this.nodeMasks.length; i++) {
+      const visible = isShown(this.nodeMasks[i]) ? 1 : 0;
+      if (nodeVisArray[i] !== visible) {
+        nodeVisArray[i] = visible;
+        nodeFadeArray[i] = now;
+      }
+    }
+    nodeAttributes.visible.needsUpdate = true;
+    nodeAttributes.fadeStart.needsUpdate = true;
+
+    const edgeAttributes = lineSegments.geometry.attributes;
+    const edgeVisArray = edgeAttributes.visible.array;
+    const edgeFadeArray = edgeAttributes.fadeStart.array;
+    this.getEdgeData().forEach(({ startIndex, endIndex }, i) => {
+      // Edges without vertices would compare the next edge's first vertex
+      if (endIndex < startIndex) return;
+      const visible = isShown(this.edgeMasks[i]) ? 1 : 0;
+      if (edgeVisArray[startIndex] !== visible) {
+        edgeVisArray.fill(visible, startIndex, endIndex + 1);
+        edgeFadeArray.fill(now, startIndex, endIndex + 1);
+      }
     });
+    edgeAttributes.visible.needsUpdate = true;
+    edgeAttributes.fadeStart.needsUpdate = true;
   }
 }
 
@@ -236,7 +371,8 @@ document.addEventListener("DOMContentLoaded", () => {
   if (updateVisibilityButton) {
     updateVisibilityButton.addEventListener("click", () => {
       console.log("Update visibility button clicked");
-      visibilityManager.updateClusterVisibility();
+      // Routed through the event so other modules (e.g. URL state) can react
+      window.dispatchEvent(new Event("clusterVisibilityUpdated"));
       collapseLegend();
     });
   }
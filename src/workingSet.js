@@ -0,0 +1,188 @@
+/**
+ * @file workingSet.js
+ * @description Multi-selection "working set" of papers for side-by-side comparison.
+ * Papers are added with shift-click (toggle) or the Alt+drag lasso, listed in a
+ * persistent panel (title, year, cluster label, DOI) and highlighted in the scene
+ * with a per-node brightness boost, independent of the single selection.
+ */
+
+import { CONFIG } from "./config.js";
+import { nodesMap } from "./nodesLoader.js";
+import { updateNodeInfo } from "./singleNodeSelection.js";
+import { nodeBrightness } from "./nodeBrightness.js";
+import { initializeLasso } from "./lassoSelection.js";
+
+class WorkingSet {
+  constructor() {
+    this.indices = new Set();
+    this.scene = null;
+    this.ui = {
+      panel: null,
+      title: null,
+      list: null,
+    };
+  }
+
+  /**
+   * Initialize the working set panel and multi-selection input
+   * @param {HTMLCanvasElement} canvas - The WebGL canvas
+   * @param {THREE.Camera} camera - The camera object
+   * @param {OrbitControls} controls - The orbit controls
+   * @param {THREE.Scene} scene - The scene object
+   */
+  initialize(canvas, camera, controls, scene) {
+    this.scene = scene;
+    this.createUI();
+
+    window.addEventListener("nodeShiftClicked", (event) => {
+      this.toggle(event.detail.index);
+    });
+
+    // The working set refers to nodes that have been replaced
+    window.addEventListener("graphDataReplaced", () => this.clear());
+
+    initializeLasso(canvas, camera, controls, scene, (indices) =>
+      this.addMany(indices)
+    );
+  }
+
+  toggle(index) {
+    if (this.indices.has(index)) {
+      this.remove(index);
+    } else {
+      this.indices.add(index);
+      this.update();
+    }
+  }
+
+  /**
+   * Add several nodes at once (e.g. from the lasso)
+   * @param {number[]} indices - Buffer indices of the nodes to add
+   */
+  addMany(indices) {
+    if (indices.length > CONFIG.workingSet.maxLassoSelection) {
+      const proceed = confirm(
+        `The lasso contains ${indices.length} papers. Add all of them to the working set?`
+      );
+      if (!proceed) return;
+    }
+    indices.forEach((index) => this.indices.add(index));
+    this.update();
+  }
+
+  remove(index) {
+    if (!this.indices.delete(index)) return;
+    this.update();
+  }
+
+  clear() {
+    this.indices.clear();
+    this.update();
+  }
+
+  /**
+   * Get the buffer indices of all nodes in the working set
+   * @returns {number[]}
+   */
+  getIndices() {
+    return Array.from(this.indices);
+  }
+
+  update() {
+    this.applyHighlight();
+    this.renderPanel();
+  }
+
+  applyHighlight() {
+    nodeBrightness.setLayer(
+      "workingSet",
+      Array.from(this.indices, (index) => [index, CONFIG.workingSet.brightness])
+    );
+  }
+
+  /**
+   * Create the working set panel
+   */
+  createUI() {
+    this.ui.panel = document.createElement("div");
+    this.ui.panel.id = "workingSetPanel";
+
+    const header = document.createElement("div");
+    header.className = "working-set-header";
+
+    this.ui.title = document.createElement("span");
+    this.ui.title.className = "working-set-title";
+    header.appendChild(this.ui.title);
+
+    const clearButton = document.createElement("button");
+    clearButton.className = "working-set-clear";
+    clearButton.textContent = "Clear";
+    clearButton.title = "Remove all papers from the working set";
+    clearButton.addEventListener("click", () => this.clear());
+    header.appendChild(clearButton);
+
+    this.ui.list = document.createElement("ul");
+    this.ui.list.className = "working-set-list";
+
+    this.ui.panel.appendChild(header);
+    this.ui.panel.appendChild(this.ui.list);
+    document.body.appendChild(this.ui.panel);
+
+    this.renderPanel();
+  }
+
+  /**
+   * Render the list of papers in the working set
+   */
+  renderPanel() {
+    const { panel, title, list } = this.ui;
+    if (!panel) return;
+
+    panel.style.display = this.indices.size > 0 ? "block" : "none";
+    title.textContent = `Working Set (${this.indices.size})`;
+    list.innerHTML = "";
+
+    this.indices.forEach((index) => {
+      const node = nodesMap.get(index);
+      if (!node) return;
+
+      const item = document.createElement("li");
+      item.className = "working-set-item";
+
+      const itemTitle = document.createElement("div");
+      itemTitle.className = "working-set-item-title";
+      itemTitle.textContent = node.title || "Untitled";
+      itemTitle.title = "Show paper details";
+      itemTitle.addEventListener("click", () => {
+        updateNodeInfo({ index }, nodesMap, this.scene);
+      });
+
+      const metadata = document.createElement("div");
+      metadata.className = "working-set-item-metadata";
+      metadata.textContent = `${node.year} · ${node.clusterLabel || "Unlabeled"}`;
+
+      if (node.doi && node.doi !== "No DOI available") {
+        const doiLink = document.createElement("a");
+        doiLink.href = `https://doi.org/${node.doi}`;
+        doiLink.target = "_blank";
+        doiLink.rel = "noopener noreferrer";
+        doiLink.textContent = node.doi;
+        metadata.appendChild(document.createElement("br"));
+        metadata.appendChild(doiLink);
+      }
+
+      const removeButton = document.createElement("button");
+      removeButton.className = "working-set-remove";
+      removeButton.textContent = "×";
+      removeButton.title = "Remove from working set";
+      removeButton.addEventListener("click", () => this.remove(index));
+
+      item.appendChild(removeButton);
+      item.appendChild(itemTitle);
+      item.appendChild(metadata);
+      list.appendChild(item);
+    });
+  }
+}
+
+export const workingSet = new WorkingSet();
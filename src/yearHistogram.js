@@ -0,0 +1,96 @@
+/**
+ * @file yearHistogram.js
+ * @description Histogram of papers per year drawn behind the year slider track.
+ * Counts follow the current legend selection, bars inside the selected year
+ * range are highlighted, and clicking a bar snaps the range to that year.
+ */
+
+import { getLegendSelectedLeafKeys } from "./legend.js";
+import { getCurrentYearRange, setYearRange } from "./yearSlider.js";
+
+const THUMB_WIDTH = 24; // matches the range thumb width in style.css
+
+let nodesMap = null;
+let histogram = null;
+let bars = [];
+let minYear = 0;
+let maxYear = 0;
+
+/**
+ * Create the histogram inside the slider control
+ * @param {Map} nodes - The nodes map containing all node data
+ */
+export function initializeYearHistogram(nodes) {
+  nodesMap = nodes;
+
+  const fromSlider = document.getElementById("fromSlider");
+  const slidersControl = fromSlider?.parentElement;
+  if (!slidersControl) {
+    console.error("Year slider not found, cannot add histogram");
+    return;
+  }
+
+  minYear = parseInt(fromSlider.min, 10);
+  maxYear = parseInt(fromSlider.max, 10);
+  createBars(slidersControl);
+  updateCounts();
+  updateHighlight();
+
+  window.addEventListener("yearUpdated", updateHighlight);
+  window.addEventListener("clusterVisibilityUpdated", updateCounts);
+  window.addEventListener("graphDataReplaced", updateCounts);
+
+  // Preview the counts while checkboxes change, before the selection is applied
+  document.getElementById("legendDiv")?.addEventListener("change", updateCounts);
+}
+
+function createBars(slidersControl) {
+  histogram = document.createElement("div");
+  histogram.className = "year-histogram";
+  // Align bar centers with the thumb centers at each year
+  histogram.style.left = `${THUMB_WIDTH / 2}px`;
+  histogram.style.right = `${THUMB_WIDTH / 2}px`;
+
+  const yearCount = maxYear - minYear + 1;
+  bars = [];
+  for (let year = minYear; year <= maxYear; year++) {
+    const bar = document.createElement("div");
+    bar.className = "year-histogram-bar";
+    bar.style.left = `${((year - minYear) / (yearCount - 1)) * 100}%`;
+    bar.style.width = `${80 / yearCount}%`;
+    bar.addEventListener("click", () => setYearRange(year, year));
+    histogram.appendChild(bar);
+    bars.push(bar);
+  }
+
+  slidersControl.insertBefore(histogram, slidersControl.firstChild);
+}
+
+/**
+ * Recount papers per year for the selected clusters and resize the bars
+ */
+function updateCounts() {
+  const selectedClusters = new Set(getLegendSelectedLeafKeys());
+  const counts = new Array(bars.length).fill(0);
+
+  nodesMap.forEach((node) => {
+    if (node.year < minYear || node.year > maxYear) return;
+    if (selectedClusters.size === 0 || selectedClusters.has(node.cluster)) {
+      counts[node.year - minYear]++;
+    }
+  });
+
+  const maxCount = Math.max(1, ...counts);
+  bars.forEach((bar, i) => {
+    bar.style.height = `${(counts[i] / maxCount) * 100}%`;
+    bar.title = `${minYear + i}: ${counts[i]} papers`;
+  });
+}
+
+function updateHighlight() {
+  const [fromYear, toYear] = getCurrentYearRange();
+  bars.forEach((bar, i) => {
+    const year = minYear + i;
+    bar.classList.toggle("in-range", year >= fromYear && year <= toYear);
+  });
+}
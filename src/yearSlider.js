@@ -6,12 +6,29 @@ export function getCurrentYearRange() {
   return [parseInt(fromValue.textContent), parseInt(toValue.textContent)];
 }
 
-export function initializeYearSlider(container, onYearChange) {
+/**
+ * Set up the year range slider
+ * @param {HTMLElement} container - The slider container
+ * @param {Function} onYearChange - Unused: changes are dispatched as
+ *   "yearUpdated" events
+ * @param {{min: number, max: number}} [yearBounds] - Slider bounds (from the
+ *   dataset manifest); the full range is selected initially
+ */
+export function initializeYearSlider(container, onYearChange, yearBounds) {
   const fromSlider = document.getElementById("fromSlider");
   const toSlider = document.getElementById("toSlider");
   const fromValue = document.getElementById("fromValue");
   const toValue = document.getElementById("toValue");
 
+  if (yearBounds) {
+    [fromSlider, toSlider].forEach((slider) => {
+      slider.min = yearBounds.min;
+      slider.max = yearBounds.max;
+    });
+    fromSlider.value = yearBounds.min;
+    toSlider.value = yearBounds.max;
+  }
+
   function controlFromSlider(fromSlider, toSlider) {
     const [from, to] = getParsed(fromSlider, toSlider);
     fillSlider(fromSlider, toSlider, "#C6C6C6", "#25daa5", toSlider);
@@ -48,20 +65,6 @@ export function initializeYearSlider(container, onYearChange) {
     return [from, to];
   }
 
-  function fillSlider(from, to, sliderColor, rangeColor, controlSlider) {
-    const rangeDistance = to.max - to.min;
-    const fromPosition = from.value - to.min;
-    const toPosition = to.value - to.min;
-    controlSlider.style.background = `linear-gradient(
-      to right,
-      ${sliderColor} 0%,
-      ${sliderColor} ${(fromPosition / rangeDistance) * 100}%,
-      ${rangeColor} ${(fromPosition / rangeDistance) * 100}%,
-      ${rangeColor} ${(toPosition / rangeDistance) * 100}%,
-      ${sliderColor} ${(toPosition / rangeDistance) * 100}%,
-      ${sliderColor} 100%)`;
-  }
-
   function setToggleAccessible(currentTarget) {
     const toSlider = document.querySelector("#toSlider");
     if (Number(currentTarget.value) <= 0) {
@@ -85,6 +88,48 @@ export function initializeYearSlider(container, onYearChange) {
   dispatchYearUpdatedEvent();
 }
 
+/**
+ * Set the year range programmatically (e.g. when restoring a shared link).
+ * Values are clamped to the slider bounds before "yearUpdated" is dispatched.
+ * @param {number} fromYear - The first year of the range
+ * @param {number} toYear - The last year of the range
+ */
+export function setYearRange(fromYear, toYear) {
+  const fromSlider = document.getElementById("fromSlider");
+  const toSlider = document.getElementById("toSlider");
+  const fromValue = document.getElementById("fromValue");
+  const toValue = document.getElementById("toValue");
+  if (!fromSlider || !toSlider) return;
+
+  const min = parseInt(fromSlider.min, 10);
+  const max = parseInt(fromSlider.max, 10);
+  const clamp = (year) => Math.min(max, Math.max(min, year));
+  const from = clamp(Math.min(fromYear, toYear));
+  const to = clamp(Math.max(fromYear, toYear));
+
+  fromSlider.value = from;
+  toSlider.value = to;
+  fromValue.textContent = from;
+  toValue.textContent = to;
+  fillSlider(fromSlider, toSlider, "#C6C6C6", "#25daa5", toSlider);
+
+  dispatchYearUpdatedEvent();
+}
+
+function fillSlider(from, to, sliderColor, rangeColor, controlSlider) {
+  const rangeDistance = to.max - to.min;
+  const fromPosition = from.value - to.min;
+  const toPosition = to.value - to.min;
+  controlSlider.style.background = `linear-gradient(
+    to right,
+    ${sliderColor} 0%,
+    ${sliderColor} ${(fromPosition / rangeDistance) * 100}%,
+    ${rangeColor} ${(fromPosition / rangeDistance) * 100}%,
+    ${rangeColor} ${(toPosition / rangeDistance) * 100}%,
+    ${sliderColor} ${(toPosition / rangeDistance) * 100}%,
+    ${sliderColor} 100%)`;
+}
+
 // Function to dispatch the custom "yearUpdated" event
 function dispatchYearUpdatedEvent() {
   const [minYear, maxYear] = getCurrentYearRange();
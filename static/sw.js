@@ -0,0 +1,294 @@
+/**
+ * @file sw.js
+ * @description Service worker that makes the visualization work offline after
+ * the first visit. Registered by src/offlineCache.js with the dataset version
+ * in its URL (sw.js?dataset=<version>), so a new dataset version installs a
+ * new service worker.
+ *
+ * - Data files (anything under data/) are kept in IndexedDB, keyed by dataset
+ *   version and URL. Entries of other versions are deleted on activation.
+ * - Everything else (page, scripts, styles, textures, fonts, video) is kept in
+ *   the Cache API and served stale-while-revalidate. When the page itself has
+ *   changed on the server, open pages are told an update is available.
+ *
+ * Messages in (replies go to the MessageChannel port sent with the message):
+ *   { type: "precache", urls }   cache URLs not cached yet
+ *                                -> { cached, failed: [url] }
+ *   { type: "getStatus", urls }  -> { version, cached, total }
+ *   { type: "clearCache" }       -> { cleared: true }
+ * Messages out (to all pages):
+ *   { type: "updateAvailable" }
+ */
+
+const DATASET_VERSION =
+  new URL(self.location.href).searchParams.get("dataset") || "default";
+const SHELL_CACHE = "ssri-app-shell";
+const DB_NAME = "ssri-offline-data";
+const DB_STORE = "responses";
+
+self.addEventListener("install", () => self.skipWaiting());
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(Promise.all([deleteOtherVersions(), self.clients.claim()]));
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || !request.url.startsWith("http")) return;
+
+  if (isDataUrl(request.url)) {
+    event.respondWith(handleDataRequest(event));
+  } else if (request.headers.has("range")) {
+    event.respondWith(handleRangeRequest(request));
+  } else {
+    event.respondWith(handleShellRequest(event));
+  }
+});
+
+self.addEventListener("message", (event) => {
+  const { type, urls } = event.data || {};
+  const reply = (data) => event.ports[0] && event.ports[0].postMessage(data);
+  const handlers = {
+    precache: () => precache(urls),
+    getStatus: () => getStatus(urls),
+    clearCache,
+  };
+  if (!handlers[type]) return;
+
+  event.waitUntil(
+    handlers[type]().then(reply, (error) => reply({ error: error.message }))
+  );
+});
+
+function isDataUrl(url) {
+  const { origin, pathname } = new URL(url);
+  return origin === self.location.origin && pathname.includes("/data/");
+}
+
+// Pages are cached without their query and hash, which hold the shared view
+function getShellKey(request) {
+  if (request.mode !== "navigate") return request;
+  const url = new URL(request.url);
+  url.search = "";
+  url.hash = "";
+  return url.href;
+}
+
+// ---------------------------------------------------------------------------
+// Data files (IndexedDB)
+// ---------------------------------------------------------------------------
+
+async function handleDataRequest(event) {
+  const { request } = event;
+  const stored = await readData(request.url);
+  if (stored) return toResponse(stored);
+
+  const response = await fetch(request);
+  if (response.ok) {
+    event.waitUntil(storeData(request.url, response.clone()));
+  }
+  return response;
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () =>
+      request.result.createObjectStore(DB_STORE, {
+        keyPath: ["version", "url"],
+      });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run `callback(store)` in a transaction and resolve with the value of the
+// request it returns, once the transaction has completed
+async function withStore(mode, callback) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(DB_STORE, mode);
+    const request = callback(transaction.objectStore(DB_STORE));
+    transaction.oncomplete = () => resolve(request && request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  }).finally(() => db.close());
+}
+
+async function readData(url) {
+  try {
+    return await withStore("readonly", (store) =>
+      store.get([DATASET_VERSION, url])
+    );
+  } catch (error) {
+    console.warn("Offline data cache unavailable:", error);
+    return null;
+  }
+}
+
+async function storeData(url, response) {
+  const body = await response.arrayBuffer();
+  // The body is stored decoded, so its length replaces Content-Length.
+  // Content-Encoding is kept: it tells the page the .gz file was decoded.
+  const headers = Array.from(response.headers.entries()).filter(
+    ([name]) => name.toLowerCase() !== "content-length"
+  );
+  headers.push(["content-length", String(body.byteLength)]);
+
+  await withStore("readwrite", (store) =>
+    store.put({
+      version: DATASET_VERSION,
+      url,
+      body,
+      headers,
+      status: response.status,
+      storedAt: Date.now(),
+    })
+  );
+}
+
+function toResponse(stored) {
+  return new Response(stored.body, {
+    status: stored.status,
+    headers: stored.headers,
+  });
+}
+
+function deleteOtherVersions() {
+  return withStore("readwrite", (store) => {
+    const request = store.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      if (cursor.value.version !== DATASET_VERSION) cursor.delete();
+      cursor.continue();
+    };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// App shell (Cache API)
+// ---------------------------------------------------------------------------
+
+async function handleShellRequest(event) {
+  const { request } = event;
+  const cache = await caches.open(SHELL_CACHE);
+  const key = getShellKey(request);
+  const cached = await cache.match(key);
+  const cachedCopy = cached && cached.clone();
+
+  const network = fetch(request).then(async (response) => {
+    if (response.ok || response.type === "opaque") {
+      if (request.mode === "navigate" && cachedCopy) {
+        await notifyIfChanged(cachedCopy, response.clone());
+      }
+      await cache.put(key, response.clone());
+    }
+    return response;
+  });
+
+  if (!cached) return network;
+  // Serve the cached copy, refresh it in the background
+  event.waitUntil(network.catch(() => {}));
+  return cached;
+}
+
+async function notifyIfChanged(cached, fresh) {
+  const [cachedText, freshText] = await Promise.all([
+    cached.text(),
+    fresh.text(),
+  ]);
+  if (cachedText === freshText) return;
+
+  const pages = await self.clients.matchAll({ type: "window" });
+  pages.forEach((page) => page.postMessage({ type: "updateAvailable" }));
+}
+
+// Media elements request byte ranges, which the Cache API can't store: serve
+// them from the full file once it has been cached (see precache)
+async function handleRangeRequest(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request.url);
+  if (!cached) return fetch(request);
+
+  const blob = await cached.blob();
+  const match = /bytes=(\d*)-(\d*)/.exec(request.headers.get("range")) || [];
+  const start = Number(match[1]) || 0;
+  const end = match[2] ? Math.min(Number(match[2]) + 1, blob.size) : blob.size;
+
+  return new Response(blob.slice(start, end), {
+    status: 206,
+    statusText: "Partial Content",
+    headers: {
+      "Content-Type": cached.headers.get("content-type") || "",
+      "Content-Range": `bytes ${start}-${end - 1}/${blob.size}`,
+      "Content-Length": String(end - start),
+    },
+  });
+}
+
+// Fetch a URL for caching. Cross-origin files that don't allow CORS (e.g.
+// plain <script> tags) can only be stored as opaque responses.
+async function fetchForCache(url) {
+  if (new URL(url).origin === self.location.origin) return fetch(url);
+  try {
+    return await fetch(url, { mode: "cors" });
+  } catch {
+    return fetch(url, { mode: "no-cors" });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Messages
+// ---------------------------------------------------------------------------
+
+async function isCached(url, cache) {
+  if (isDataUrl(url)) return Boolean(await readData(url));
+  return Boolean(await cache.match(url));
+}
+
+async function precache(urls = []) {
+  const cache = await caches.open(SHELL_CACHE);
+  const failed = [];
+
+  for (const url of urls) {
+    try {
+      if (await isCached(url, cache)) continue;
+
+      const response = await fetchForCache(url);
+      if (!response.ok && response.type !== "opaque") {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      if (isDataUrl(url)) {
+        await storeData(url, response);
+      } else {
+        await cache.put(url, response);
+      }
+    } catch (error) {
+      console.warn(`Could not cache ${url} for offline use:`, error);
+      failed.push(url);
+    }
+  }
+
+  return { cached: urls.length - failed.length, failed };
+}
+
+async function getStatus(urls = []) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cachedFlags = await Promise.all(
+    urls.map((url) => isCached(url, cache))
+  );
+  return {
+    version: DATASET_VERSION,
+    cached: cachedFlags.filter(Boolean).length,
+    total: urls.length,
+  };
+}
+
+async function clearCache() {
+  await Promise.all([
+    caches.delete(SHELL_CACHE),
+    withStore("readwrite", (store) => store.clear()),
+  ]);
+  return { cleared: true };
+}
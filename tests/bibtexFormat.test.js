@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { toBibTeX } from "../src/bibtexFormat.js";
+
+const paper = (authors, year = 2006) => ({
+  title: "Neonatal outcomes after prenatal exposure to SSRI antidepressants",
+  authors,
+  year,
+  doi: "",
+  clusterLabel: "Pregnancy",
+  cluster: 2,
+  centrality: 0.5,
+});
+
+const keys = (bibTeX) =>
+  Array.from(bibTeX.matchAll(/^@article\{([^,]+),/gm), ([, key]) => key);
+
+test("citation keys take the first author's surname, not the initials", () => {
+  const bibTeX = toBibTeX([
+    paper("Oberlander TF; Warburton W; Misri S; Aghajanian J; Hertzman C"),
+    paper("de Vries AB; Smith J"),
+    paper(""),
+  ]);
+
+  assert.deepEqual(keys(bibTeX), [
+    "oberlander2006",
+    "devries2006",
+    "paper2006",
+  ]);
+  assert.match(
+    bibTeX,
+    /author = \{Oberlander TF and Warburton W and Misri S and Aghajanian J/
+  );
+});
+
+test("duplicate citation keys get letter suffixes", () => {
+  const bibTeX = toBibTeX([
+    paper("Oberlander TF"),
+    paper("Oberlander TF; Misri S"),
+    paper("Oberlander TF", 2008),
+  ]);
+
+  assert.deepEqual(keys(bibTeX), [
+    "oberlander2006",
+    "oberlander2006a",
+    "oberlander2008",
+  ]);
+});
@@ -0,0 +1,201 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { ungzip } from "pako";
+
+import {
+  decodeBinaryData,
+  encodeBinaryData,
+  FORMAT_VERSION,
+} from "../src/binaryFormat.js";
+import {
+  edgesJSONToColumns,
+  nodesJSONToColumns,
+  transformEdges,
+  transformNodes,
+} from "../src/dataTransforms.js";
+
+const converter = fileURLToPath(
+  new URL("../scripts/convertToBinary.js", import.meta.url)
+);
+
+const nodes = [
+  {
+    node_index: 0,
+    x: 1.5,
+    y: -2.25,
+    z: 0.5,
+    cluster: 1,
+    year: 2004,
+    date: "2004-10-13",
+    centrality: 0.2,
+    title: "Fluoxetine in adolescent depression",
+    doi: "10.1001/jama.292.7.807",
+    authors: "March J; Silva S",
+  },
+  {
+    node_index: 1,
+    x: -3,
+    y: 4,
+    z: 1,
+    cluster: 2,
+    year: 2010,
+    date: "2010-03",
+    centrality: 0.9,
+    title: "Exposition prénatale aux ISRS — étude de cohorte",
+    doi: "",
+    authors: "Bérard A",
+  },
+  {
+    node_index: 2,
+    x: 0,
+    y: 0,
+    z: 0,
+    cluster: 2,
+    year: 2012,
+    centrality: 0.5,
+    title: "Undated paper",
+  },
+];
+
+const edges = [
+  {
+    id: 7,
+    source: 1,
+    target: 0,
+    weight: 2,
+    color: 2,
+    year: 2010,
+    points: [
+      { x: -3, y: 4, z: 1 },
+      { x: -1, y: 1, z: 0.75 },
+      { x: 1.5, y: -2.25, z: 0.5 },
+    ],
+  },
+  // No points: takes no vertices, but keeps its place in the offsets
+  { id: 8, source: 2, target: 0, weight: 1, color: -1, year: 2012, points: [] },
+  {
+    id: 9,
+    source: 2,
+    target: 1,
+    weight: 1,
+    color: 5,
+    year: 2012,
+    points: [
+      { x: 0, y: 0, z: 0 },
+      { x: -3, y: 4, z: 1 },
+    ],
+  },
+];
+
+const options = {
+  coordinateMultiplier: 10,
+  liftUpZ: 1,
+  zCoordinateShift: 2,
+  nodeSize: { min: 1, max: 5, power: 2 },
+  percentage: 1,
+  clustersToLoad: null,
+  clusterColors: { 1: [1, 0, 0], 2: [0, 0.5, 1] },
+  defaultNodeColor: [0.8, 0.8, 0.8],
+  defaultEdgeColor: [0.2, 0.2, 0.2],
+  edgeChunkSize: 2,
+};
+
+// Write the data as JSON, run the converter and load the result like the app
+function convert(kind, data, outputName) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "ssrb-"));
+  try {
+    const input = path.join(directory, `${kind}.json`);
+    const output = path.join(directory, outputName);
+    fs.writeFileSync(input, JSON.stringify(data));
+    execFileSync(process.execPath, [converter, kind, input, output], {
+      stdio: "pipe",
+    });
+
+    let bytes = fs.readFileSync(output);
+    if (output.endsWith(".gz")) bytes = ungzip(bytes);
+    const buffer = bytes.buffer.slice(
+      bytes.byteOffset,
+      bytes.byteOffset + bytes.byteLength
+    );
+    return decodeBinaryData(buffer, kind);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+test("nodes load the same from JSON and from the converted file", () => {
+  const binary = convert("nodes", nodes, "nodes.bin.gz");
+  assert.equal(binary.kind, "nodes");
+  assert.equal(binary.version, FORMAT_VERSION);
+  assert.equal(binary.count, nodes.length);
+
+  const fromJSON = transformNodes(nodesJSONToColumns(nodes), options);
+  const fromBinary = transformNodes(binary.columns, options);
+
+  for (const name of [
+    "positions",
+    "colors",
+    "sizes",
+    "nodeIds",
+    "clusters",
+    "years",
+    "times",
+    "titles",
+    "dois",
+    "authors",
+    "dates",
+  ]) {
+    assert.deepEqual(fromBinary[name], fromJSON[name], name);
+  }
+  assert.deepEqual(fromBinary.dates, ["2004-10-13", "2010-03", ""]);
+  assert.equal(fromBinary.titles[1], nodes[1].title);
+});
+
+test("edges load the same from JSON and from the converted file", () => {
+  const binary = convert("edges", edges, "edges.bin");
+  assert.deepEqual(Array.from(binary.columns.pointOffsets), [0, 3, 3, 5]);
+  // Integer ids are stored compactly
+  assert.ok(binary.columns.ids instanceof Int32Array);
+
+  const fromJSON = transformEdges(edgesJSONToColumns(edges), options);
+  const fromBinary = transformEdges(binary.columns, options);
+
+  for (const name of [
+    "vertexCount",
+    "positions",
+    "colors",
+    "years",
+    "indices",
+    "vertexEdges",
+    "sources",
+    "targets",
+    "weights",
+    "edgeYears",
+    "startVertices",
+    "endVertices",
+  ]) {
+    assert.deepEqual(fromBinary[name], fromJSON[name], name);
+  }
+  assert.deepEqual(Array.from(fromBinary.ids), [7, 8, 9]);
+  // The edge without points has no vertices
+  assert.ok(fromBinary.endVertices[1] < fromBinary.startVertices[1]);
+});
+
+test("files of another kind or a newer version are rejected", () => {
+  const bytes = encodeBinaryData("nodes", 1, { years: new Int32Array([2004]) });
+  assert.throws(
+    () => decodeBinaryData(bytes.buffer, "edges"),
+    /Expected edges data/
+  );
+
+  new DataView(bytes.buffer).setUint16(4, FORMAT_VERSION + 1, true);
+  assert.throws(() => decodeBinaryData(bytes.buffer, "nodes"), /is newer/);
+
+  bytes[0] = 0;
+  assert.throws(() => decodeBinaryData(bytes.buffer), /bad magic number/);
+});
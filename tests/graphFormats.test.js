@@ -0,0 +1,312 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DOMParser } from "@xmldom/xmldom";
+
+import {
+  parseCSVGraph,
+  parseGEXF,
+  parseGraphML,
+  toCSVGraph,
+  toGEXF,
+  toGraphML,
+} from "../src/graphFormats.js";
+import { nodesJSONToColumns } from "../src/dataTransforms.js";
+import { createReport, DataValidationError } from "../src/dataValidation.js";
+
+// XML is read with the browser's DOMParser
+globalThis.DOMParser ??= DOMParser;
+
+// Two papers as the export builds them (see exportSubset.js getNetwork)
+const network = {
+  nodes: [
+    {
+      id: 0,
+      label: "Fluoxetine in adolescent depression",
+      x: 1.5,
+      y: -2,
+      z: 0,
+      cluster: 3,
+      clusterLabel: "Adolescents",
+      year: 2004,
+      date: "2004-10-13",
+      centrality: 0.25,
+      doi: "10.1001/jama.292.7.807",
+      authors: "March J; Silva S",
+      color: [255, 128, 0],
+    },
+    {
+      id: 1,
+      label: "Undated paper",
+      x: 0,
+      y: 0,
+      z: 4,
+      cluster: 3,
+      clusterLabel: "Adolescents",
+      year: 2006,
+      date: "",
+      centrality: 0.1,
+      doi: "",
+      authors: "",
+      color: [255, 128, 0],
+    },
+  ],
+  edges: [{ id: 0, source: 1, target: 0, weight: 1, year: 2006, color: null }],
+};
+
+test("publication dates survive a CSV export and import", () => {
+  const csv = toCSVGraph(network);
+  const graph = parseCSVGraph(csv.nodes, csv.edges, createReport());
+
+  assert.equal(graph.nodes[0].date, "2004-10-13");
+  assert.equal(graph.nodes[1].date, undefined);
+
+  const columns = nodesJSONToColumns(graph.nodes, createReport());
+  assert.deepEqual(columns.dates, ["2004-10-13", ""]);
+});
+
+test("GraphML and GEXF exports write the publication date", () => {
+  const graphML = toGraphML(network);
+  assert.match(graphML, /<key id="n_date" for="node" attr\.name="date"/);
+  assert.match(graphML, /<data key="n_date">2004-10-13<\/data>/);
+
+  const gexf = toGEXF(network);
+  assert.match(gexf, /<attribute id="date" title="date" type="string"/);
+  assert.match(gexf, /<attvalue for="date" value="2004-10-13"/);
+});
+
+// Three papers in two clusters, with ids that are not buffer positions
+const layout = {
+  nodes: [
+    {
+      id: 10,
+      label: "Fluoxetine & paroxetine in <adolescents>",
+      x: 12.5,
+      y: -3.25,
+      z: 1,
+      cluster: 3,
+      clusterLabel: "Adolescents",
+      year: 2004,
+      date: "2004-10",
+      centrality: 0.25,
+      doi: "10.1001/jama.292.7.807",
+      authors: "March J; Silva S",
+      color: [255, 128, 0],
+    },
+    {
+      id: 20,
+      label: "Prenatal exposure",
+      x: -7,
+      y: 0.5,
+      z: 0,
+      cluster: 5,
+      clusterLabel: "Risk of Prenatal Exposure",
+      year: 2010,
+      date: "",
+      centrality: 0.75,
+      doi: "",
+      authors: "Bérard A",
+      color: [0, 64, 255],
+    },
+    {
+      id: 30,
+      label: "Another adolescent trial",
+      x: 4,
+      y: 4,
+      z: -2,
+      cluster: 3,
+      clusterLabel: "Adolescents",
+      year: 2011,
+      date: "2011-02-01",
+      centrality: 0.5,
+      doi: "",
+      authors: "",
+      color: [255, 128, 0],
+    },
+  ],
+  edges: [
+    // In the color of cluster 5
+    {
+      id: 0,
+      source: 20,
+      target: 10,
+      weight: 2,
+      year: 2010,
+      color: [0, 64, 255],
+    },
+    // In a color that is no cluster's
+    { id: 1, source: 30, target: 10, weight: 1, year: 2011, color: [9, 9, 9] },
+  ],
+};
+
+const importers = {
+  GraphML: (network) => parseGraphML(toGraphML(network), createReport()),
+  GEXF: (network) => parseGEXF(toGEXF(network), createReport()),
+  CSV: (network) => {
+    const csv = toCSVGraph(network);
+    return parseCSVGraph(csv.nodes, csv.edges, createReport());
+  },
+};
+
+Object.entries(importers).forEach(([format, exportAndImport]) => {
+  test(`layouts survive a ${format} export and import`, () => {
+    const graph = exportAndImport(layout);
+
+    assert.deepEqual(
+      graph.nodes.map((node) => [node.x, node.y, node.z]),
+      layout.nodes.map((node) => [node.x, node.y, node.z])
+    );
+    graph.nodes.forEach((node, i) => {
+      const original = layout.nodes[i];
+      // Ids are replaced by the position in the file (see graphFormats.js)
+      assert.equal(node.node_index, i);
+      assert.equal(node.title, original.label);
+      assert.equal(node.cluster, original.cluster);
+      assert.equal(node.year, original.year);
+      assert.equal(node.date || "", original.date);
+      assert.equal(node.centrality, original.centrality);
+      assert.equal(node.doi, original.doi);
+      assert.equal(node.authors, original.authors);
+    });
+
+    assert.deepEqual(graph.clusterColors, {
+      3: [1, 128 / 255, 0],
+      5: [0, 64 / 255, 1],
+    });
+    assert.deepEqual(graph.clusterLabels, {
+      3: "Adolescents",
+      5: "Risk of Prenatal Exposure",
+    });
+    assert.deepEqual(
+      graph.edges.map(({ source, target, weight, year, color }) => ({
+        source,
+        target,
+        weight,
+        year,
+        color,
+      })),
+      [
+        { source: 1, target: 0, weight: 2, year: 2010, color: 5 },
+        // Not a cluster color: drawn in the default color
+        { source: 2, target: 0, weight: 1, year: 2011, color: -1 },
+      ]
+    );
+  });
+});
+
+test("Gephi GraphML with modularity classes and r/g/b colors", () => {
+  const graph = parseGraphML(
+    `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns">
+  <key attr.name="label" attr.type="string" for="node" id="label"/>
+  <key attr.name="Modularity Class" attr.type="int" for="node" id="d0"/>
+  <key attr.name="PageRank" attr.type="double" for="node" id="d1"/>
+  <key attr.name="r" attr.type="int" for="node" id="r"/>
+  <key attr.name="g" attr.type="int" for="node" id="g"/>
+  <key attr.name="b" attr.type="int" for="node" id="b"/>
+  <key attr.name="x" attr.type="float" for="node" id="x"/>
+  <key attr.name="y" attr.type="float" for="node" id="y"/>
+  <key attr.name="weight" attr.type="double" for="edge" id="weight"/>
+  <graph edgedefault="directed">
+    <node id="n0">
+      <data key="label">Sertraline</data><data key="d0">2</data>
+      <data key="d1">0.4</data><data key="x">-1.5</data><data key="y">2</data>
+      <data key="r">0</data><data key="g">255</data><data key="b">0</data>
+    </node>
+    <node id="n1">
+      <data key="label">Citalopram</data><data key="d0">2</data>
+      <data key="x">3</data><data key="y">-4</data>
+    </node>
+    <edge source="n1" target="n0"><data key="weight">3.0</data></edge>
+    <edge source="n1" target="missing"/>
+  </graph>
+</graphml>`,
+    createReport()
+  );
+
+  assert.deepEqual(
+    graph.nodes.map(({ node_index, title, cluster, centrality, x, y, z }) => [
+      node_index,
+      title,
+      cluster,
+      centrality,
+      x,
+      y,
+      z,
+    ]),
+    [
+      [0, "Sertraline", 2, 0.4, -1.5, 2, 0],
+      [1, "Citalopram", 2, undefined, 3, -4, 0],
+    ]
+  );
+  assert.deepEqual(graph.clusterColors, { 2: [0, 1, 0] });
+  // The edge to an unknown node is skipped
+  assert.deepEqual(
+    graph.edges.map(({ source, target, weight }) => [source, target, weight]),
+    [[1, 0, 3]]
+  );
+});
+
+test("Gephi GEXF with viz positions and colors", () => {
+  const graph = parseGEXF(
+    `<?xml version="1.0" encoding="UTF-8"?>
+<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">
+  <graph defaultedgetype="directed">
+    <attributes class="node">
+      <attribute id="0" title="modularity_class" type="integer"/>
+      <attribute id="1" title="Year" type="integer"/>
+    </attributes>
+    <nodes>
+      <node id="a" label="Escitalopram">
+        <attvalues><attvalue for="0" value="7"/><attvalue for="1" value="2002"/></attvalues>
+        <viz:position x="10.5" y="-20" z="0.0"/>
+        <viz:color r="12" g="34" b="56"/>
+      </node>
+      <node id="b" label="Venlafaxine">
+        <attvalues><attvalue for="0" value="8"/><attvalue for="1" value="1998"/></attvalues>
+        <viz:position x="1" y="2"/>
+      </node>
+    </nodes>
+    <edges>
+      <edge id="0" source="b" target="a" weight="0.5">
+        <viz:color r="12" g="34" b="56"/>
+      </edge>
+    </edges>
+  </graph>
+</gexf>`,
+    createReport()
+  );
+
+  assert.deepEqual(
+    graph.nodes.map(({ title, cluster, year, x, y, z }) => [
+      title,
+      cluster,
+      year,
+      x,
+      y,
+      z,
+    ]),
+    [
+      ["Escitalopram", 7, 2002, 10.5, -20, 0],
+      ["Venlafaxine", 8, 1998, 1, 2, 0],
+    ]
+  );
+  assert.deepEqual(graph.clusterColors, { 7: [12 / 255, 34 / 255, 56 / 255] });
+  assert.deepEqual(
+    graph.edges.map(({ source, target, weight, color }) => [
+      source,
+      target,
+      weight,
+      color,
+    ]),
+    [[1, 0, 0.5, 7]]
+  );
+});
+
+test("files of the other XML format are rejected", () => {
+  const gexf = toGEXF(layout);
+  assert.throws(() => parseGraphML(gexf, createReport()), DataValidationError);
+  assert.throws(
+    () => parseGEXF(toGraphML(layout), createReport()),
+    DataValidationError
+  );
+});
@@ -0,0 +1,118 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { SearchIndex, stem, tokenize } from "../src/searchIndex.js";
+import { parseQuery } from "../src/searchQuery.js";
+
+const papers = [
+  {
+    title: "Fluoxetine in adolescent depression",
+    authors: "March J; Silva S",
+    doi: "10.1001/jama.292.7.807",
+    year: 2004,
+    cluster: 1,
+    clusterLabel: "Adolescents",
+  },
+  {
+    title: "Prenatal exposure to fluoxetine and fluoxetine levels in rats",
+    authors: "Smith J",
+    doi: "10.1016/j.ntt.2010.01.001",
+    year: 2010,
+    cluster: 2,
+    clusterLabel: "Risk of Prenatal Exposure",
+  },
+  {
+    title: "Exposure to prenatal stress in rats",
+    authors: "Jones K",
+    doi: "",
+    year: 2008,
+    cluster: 2,
+    clusterLabel: "Risk of Prenatal Exposure",
+  },
+  {
+    title: "Paroxetine and sertraline in panic disorder",
+    authors: "Fluoxman R",
+    doi: "10.1176/appi.ajp.158.9.1",
+    year: 2001,
+    cluster: 3,
+    clusterLabel: "Anxiety",
+  },
+  {
+    title: "Fluvoxamine for obsessive compulsive disorder in children",
+    authors: "Riddle MA",
+    doi: "10.1097/00004583-200102000-00011",
+    year: 2001,
+    cluster: 1,
+    clusterLabel: "Adolescents",
+  },
+];
+
+// Node indices are offset from the positions to tell them apart
+const index = new SearchIndex();
+index.build(
+  papers.map((paper, i) => ({ ...paper, index: 100 + i, centrality: i / 10 }))
+);
+
+const search = (query) =>
+  Array.from(index.search(parseQuery(query)).indices, (i) => i - 100);
+
+test("tokenize drops stop words and stem merges word forms", () => {
+  assert.deepEqual(tokenize("Exposure to 5-HT in the Rats"), [
+    "exposure",
+    "5",
+    "ht",
+    "rats",
+  ]);
+  assert.equal(stem("rats"), stem("rat"));
+  assert.equal(stem("treated"), "treat");
+  assert.equal(stem("studies"), "study");
+});
+
+test("results are ranked with BM25", () => {
+  // Paper 1 mentions fluoxetine twice, paper 0 once in a shorter title
+  assert.deepEqual(search("fluoxetine"), [1, 0]);
+  // Rarer words weigh more: "prenatal" is in two papers, "stress" in one
+  assert.deepEqual(search("prenatal OR stress"), [2, 1]);
+});
+
+test("words still being typed match by prefix, below exact matches", () => {
+  assert.deepEqual(search("fluox"), [1, 0]);
+  const { scores } = index.search(parseQuery("fluoxetine"));
+  const { scores: prefixScores } = index.search(parseQuery("fluoxeti"));
+  assert.ok(prefixScores[0] < scores[0]);
+});
+
+test("misspelled words match by edit distance", () => {
+  assert.deepEqual(search("fluoxitine"), [1, 0]);
+  assert.deepEqual(search("paroxitine"), [3]);
+  // Short words are never fuzzy matched
+  assert.deepEqual(search("rar"), []);
+});
+
+test("boolean operators and excluded words", () => {
+  assert.deepEqual(search("fluoxetine rats"), [1]);
+  assert.deepEqual(search("fluoxetine -rats"), [0]);
+  // The shorter title ranks first
+  assert.deepEqual(search("paroxetine OR fluvoxamine"), [3, 4]);
+  // Excluded words match exactly, so -fluoxitine excludes nothing
+  assert.deepEqual(search("exposure -fluoxitine"), [2, 1]);
+  assert.deepEqual(search("NOT disorder").sort(), [0, 1, 2]);
+});
+
+test("phrases must appear verbatim", () => {
+  assert.deepEqual(search('"prenatal exposure"'), [1]);
+  assert.deepEqual(search('"exposure to prenatal"'), [2]);
+});
+
+test("fields, years, clusters and DOI fragments", () => {
+  assert.deepEqual(search("author:fluoxman"), [3]);
+  assert.deepEqual(search("title:fluoxman"), []);
+  assert.deepEqual(search("fluoxetine year:2005..").sort(), [1]);
+  assert.deepEqual(search("year:2001").sort(), [3, 4]);
+  assert.deepEqual(search("cluster:anxiety"), [3]);
+  assert.deepEqual(search("cluster:2 stress"), [2]);
+  assert.deepEqual(search("jama.292"), [0]);
+  assert.deepEqual(search("doi:10.1").sort(), [0, 1, 3, 4]);
+  assert.deepEqual(search("doi:ajp"), [3]);
+  assert.deepEqual(search("doi:2010 doi:ntt"), [1]);
+});
@@ -0,0 +1,122 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  getPositiveTextTerms,
+  matchesQuery,
+  parseQuery,
+} from "../src/searchQuery.js";
+
+const text = (value, field = null) => ({ type: "text", field, value });
+
+test("words are combined with AND unless joined by OR", () => {
+  assert.deepEqual(parseQuery("Fluoxetine rat"), {
+    type: "and",
+    children: [text("fluoxetine"), text("rat")],
+  });
+  assert.deepEqual(
+    parseQuery("fluoxetine AND rat"),
+    parseQuery("fluoxetine rat")
+  );
+  assert.deepEqual(parseQuery("fluoxetine OR paroxetine rat"), {
+    type: "or",
+    children: [
+      text("fluoxetine"),
+      { type: "and", children: [text("paroxetine"), text("rat")] },
+    ],
+  });
+});
+
+test("NOT and a leading minus exclude a term or group", () => {
+  const expected = {
+    type: "and",
+    children: [text("depression"), { type: "not", child: text("rat") }],
+  };
+  assert.deepEqual(parseQuery("depression -rat"), expected);
+  assert.deepEqual(parseQuery("depression NOT rat"), expected);
+  assert.deepEqual(parseQuery("-(rat OR mouse)"), {
+    type: "not",
+    child: { type: "or", children: [text("rat"), text("mouse")] },
+  });
+  // A minus inside a word is part of it
+  assert.deepEqual(parseQuery("5-HT"), text("5-ht"));
+});
+
+test("field prefixes, quoted phrases and clusters", () => {
+  assert.deepEqual(parseQuery('title:"Prenatal Exposure" author:smith'), {
+    type: "and",
+    children: [text("prenatal exposure", "title"), text("smith", "authors")],
+  });
+  assert.deepEqual(parseQuery("doi:10.1001"), text("10.1001", "doi"));
+  assert.deepEqual(parseQuery('cluster:"Risk of Prenatal Exposure"'), {
+    type: "cluster",
+    value: "risk of prenatal exposure",
+    id: null,
+  });
+  assert.deepEqual(parseQuery("cluster:4"), {
+    type: "cluster",
+    value: "4",
+    id: 4,
+  });
+  // Unknown prefixes are part of the word
+  assert.deepEqual(parseQuery("ratio:1"), text("ratio:1"));
+});
+
+test("year ranges", () => {
+  const range = (query) => {
+    const { min, max } = parseQuery(query);
+    return [min, max];
+  };
+  assert.deepEqual(range("year:2005"), [2005, 2005]);
+  assert.deepEqual(range("year:2005..2010"), [2005, 2010]);
+  assert.deepEqual(range("year:2010..2005"), [2005, 2010]);
+  assert.deepEqual(range("year:2005.."), [2005, Infinity]);
+  assert.deepEqual(range("year:..2010"), [-Infinity, 2010]);
+  assert.equal(parseQuery("year:soon"), null);
+});
+
+test("unfinished queries are parsed while they are typed", () => {
+  assert.equal(parseQuery(""), null);
+  assert.deepEqual(parseQuery("fluoxetine NOT "), text("fluoxetine"));
+  assert.deepEqual(parseQuery('"prenatal expo'), text("prenatal expo"));
+  assert.deepEqual(parseQuery("(fluoxetine OR parox"), {
+    type: "or",
+    children: [text("fluoxetine"), text("parox")],
+  });
+  assert.deepEqual(parseQuery("rat) mouse"), {
+    type: "and",
+    children: [text("rat"), text("mouse")],
+  });
+});
+
+test("matchesQuery evaluates the tree against a paper", () => {
+  const paper = {
+    title: "Fluoxetine exposure in pregnant rats",
+    authors: "Smith J; Jones K",
+    doi: "10.1016/J.NTT.2010.01.001",
+    year: 2010,
+    cluster: 4,
+    clusterLabel: "Risk of Prenatal Exposure",
+  };
+  const matches = (query) => matchesQuery(parseQuery(query), paper);
+
+  assert.equal(matches("fluoxetine rats"), true);
+  assert.equal(matches("fluoxetine -rats"), false);
+  assert.equal(matches("paroxetine OR ntt.2010"), true);
+  assert.equal(matches("author:jones year:2005..2010"), true);
+  assert.equal(matches("author:fluoxetine"), false);
+  assert.equal(matches('cluster:"prenatal" cluster:4'), true);
+  assert.equal(matches("year:..2009"), false);
+  assert.equal(matches(""), false);
+});
+
+test("getPositiveTextTerms skips excluded terms", () => {
+  const expression = parseQuery("fluoxetine -rat author:smith year:2010");
+  assert.deepEqual(getPositiveTextTerms(expression), [
+    { field: null, value: "fluoxetine" },
+    { field: "authors", value: "smith" },
+  ]);
+  assert.deepEqual(getPositiveTextTerms(parseQuery("NOT (-rat)")), [
+    { field: null, value: "rat" },
+  ]);
+});